@@ -0,0 +1,53 @@
+const AuditLog = require('../models/AuditLog');
+
+// Query the audit log (admin only)
+const getAuditLogs = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, actorId, action, targetType, targetId, from, to } = req.query;
+
+    const fromDate = from ? new Date(from) : undefined;
+    const toDate = to ? new Date(to) : undefined;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({ message: 'from and to must be valid dates' });
+    }
+
+    const result = await AuditLog.search({
+      actorId,
+      action,
+      targetType,
+      targetId,
+      from: fromDate,
+      to: toDate,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 500)
+    });
+
+    res.json({
+      message: 'Audit log retrieved successfully',
+      ...result
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({ message: 'Server error retrieving audit log' });
+  }
+};
+
+// Recompute the audit log hash chain and report the first gap or modified entry (admin only)
+const verifyAuditLog = async (req, res) => {
+  try {
+    const verification = await AuditLog.verify();
+
+    res.json({
+      message: verification.valid ? 'Audit log is intact' : 'Audit log has been tampered with',
+      ...verification
+    });
+  } catch (error) {
+    console.error('Verify audit log error:', error);
+    res.status(500).json({ message: 'Server error verifying audit log' });
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+  verifyAuditLog
+};
@@ -1,18 +1,69 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+const UserToken = require('../models/UserToken');
+const { issueTokens, rotateRefreshToken } = require('../services/authTokens');
+const { sendMail } = require('../services/mailer');
+const {
+  isTwoFactorMandatory,
+  verifySecondFactor,
+  issueLoginChallenge,
+  verifyLoginChallenge
+} = require('../services/twoFactor');
+const {
+  accountIdentifier,
+  beginLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  clearAccountFailures
+} = require('../services/loginProtection');
 
-// Generate JWT token
-const generateToken = (user) => {
-  return jwt.sign(
-    { 
-      id: user._id, 
-      username: user.username, 
-      email: user.email, 
-      role: user.role 
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN }
-  );
+const MIN_PASSWORD_LENGTH = 6;
+const DEFAULT_RESET_TTL_MINUTES = 60;
+const DEFAULT_VERIFICATION_TTL_HOURS = 48;
+const DEFAULT_VERIFICATION_RESEND_SECONDS = 60;
+
+// Mail a fresh verification link to a user, replacing any earlier one
+const sendVerificationEmail = async (user) => {
+  const ttlHours = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || DEFAULT_VERIFICATION_TTL_HOURS;
+  const token = await UserToken.issue(user._id, 'email-verification', ttlHours * 60 * 60 * 1000);
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 9099}`;
+  const verifyUrl = `${apiUrl}/api/auth/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hello ${user.username},\n\n` +
+      `Confirm your email address with this link before you vote. It expires in ${ttlHours} hours:\n\n` +
+      `${verifyUrl}\n\n` +
+      'If you did not create an account, you can ignore this email.'
+  });
+};
+
+// Answer a login attempt that is refused because of earlier failures
+const rejectThrottledLogin = (res, block) => {
+  res.set('Retry-After', String(block.retryAfter));
+  return res.status(block.status).json({ message: block.message, retryAfter: block.retryAfter });
+};
+
+// Start a session for a user who has passed every login step
+const completeLogin = async (user, req, res) => {
+  await clearAccountFailures({ accountId: accountIdentifier(user) });
+  const tokens = await issueTokens(user, req);
+
+  res.json({
+    message: 'Login successful',
+    ...tokens,
+    // Admins still have to enroll before admin endpoints let them in
+    twoFactorSetupRequired: isTwoFactorMandatory(user) && !User.isTwoFactorEnabled(user),
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      emailVerified: User.isEmailVerified(user),
+      twoFactorEnabled: User.isTwoFactorEnabled(user)
+    }
+  });
 };
 
 // Login user
@@ -30,35 +81,86 @@ const login = async (req, res) => {
     if (!user) {
       user = await User.findByEmail(username);
     }
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+
+    // Refuse outright while the account or this IP is being throttled
+    const { block, attempt } = await beginLoginAttempt({
+      ip: req.ip,
+      accountId: accountIdentifier(user, username),
+      userId: user && user._id
+    });
+    if (block) {
+      return rejectThrottledLogin(res, block);
     }
 
     // Validate password
-    const isValidPassword = await User.validatePassword(password, user.password);
+    const isValidPassword = user && await User.validatePassword(password, user.password);
     if (!isValidPassword) {
+      await recordLoginFailure(attempt);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
+    await recordLoginSuccess(attempt);
 
-    // Generate token
-    const token = generateToken(user);
+    // With two-factor authentication on, the password only earns a challenge that
+    // is traded for tokens together with a code
+    if (User.isTwoFactorEnabled(user)) {
+      return res.json({
+        message: 'Two-factor authentication code required',
+        twoFactorRequired: true,
+        challengeToken: issueLoginChallenge(user)
+      });
+    }
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role
-      }
-    });
+    // Start a session with a short-lived access token and a refresh token
+    await completeLogin(user, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ message: 'Server error during login' });
   }
 };
 
+// Second login step: the challenge from login plus a code or backup code
+const loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({ message: 'Challenge token and a code or backup code are required' });
+    }
+
+    const userId = verifyLoginChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired; log in again' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !User.isTwoFactorEnabled(user)) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired; log in again' });
+    }
+
+    // Wrong codes count towards the same limits as wrong passwords
+    const { block, attempt } = await beginLoginAttempt({
+      ip: req.ip,
+      accountId: accountIdentifier(user),
+      userId: user._id
+    });
+    if (block) {
+      return rejectThrottledLogin(res, block);
+    }
+
+    const method = await verifySecondFactor(user, { code, backupCode });
+    if (!method) {
+      await recordLoginFailure(attempt);
+      return res.status(401).json({ message: 'Invalid two-factor code' });
+    }
+    await recordLoginSuccess(attempt);
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+};
+
 // Register new user
 const register = async (req, res) => {
   try {
@@ -70,8 +172,8 @@ const register = async (req, res) => {
     }
 
     // Validate password length
-    if (password.length < 6) {
-      return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` });
     }
 
     // Validate email format
@@ -85,20 +187,23 @@ const register = async (req, res) => {
       return res.status(403).json({ message: 'Cannot register admin users through this endpoint' });
     }
 
-    // Create new user
-    const newUser = await User.create({ username, email, password, role });
+    // Create new user; they can sign in right away but not vote until verified
+    const newUser = await User.create({ username, email, password, role, emailVerified: false });
+
+    await User.claimVerificationEmail(newUser._id, 0);
+    await sendVerificationEmail(newUser);
 
-    // Generate token
-    const token = generateToken(newUser);
+    const tokens = await issueTokens(newUser, req);
 
     res.status(201).json({
-      message: 'User registered successfully',
-      token,
+      message: 'User registered successfully; check your email to verify your address',
+      ...tokens,
       user: {
         id: newUser._id,
         username: newUser.username,
         email: newUser.email,
-        role: newUser.role
+        role: newUser.role,
+        emailVerified: false
       }
     });
   } catch (error) {
@@ -118,6 +223,8 @@ const getProfile = (req, res) => {
       username: req.user.username,
       email: req.user.email,
       role: req.user.role,
+      emailVerified: User.isEmailVerified(req.user),
+      twoFactorEnabled: User.isTwoFactorEnabled(req.user),
       createdAt: req.user.createdAt
     }
   });
@@ -136,9 +243,218 @@ const verifyToken = (req, res) => {
   });
 };
 
+// Confirm an email address with the token from the verification link
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Verification token is required' });
+    }
+
+    const verificationToken = await UserToken.consume(token, 'email-verification');
+    if (!verificationToken) {
+      return res.status(400).json({ message: 'Verification token is invalid or has expired' });
+    }
+
+    const user = await User.markEmailVerified(verificationToken.userId);
+    if (!user) {
+      return res.status(400).json({ message: 'Verification token is invalid or has expired' });
+    }
+
+    res.json({ message: 'Email address verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error verifying email' });
+  }
+};
+
+// Send the current user another verification link, at most once per cooldown
+const resendVerification = async (req, res) => {
+  try {
+    if (User.isEmailVerified(req.user)) {
+      return res.status(400).json({ message: 'Email address is already verified' });
+    }
+
+    const cooldownSeconds = Number(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS) || DEFAULT_VERIFICATION_RESEND_SECONDS;
+    const user = await User.claimVerificationEmail(req.user._id, cooldownSeconds * 1000);
+    if (!user) {
+      const sentAt = req.user.verificationEmailSentAt;
+      const retryAfter = sentAt
+        ? Math.max(1, Math.ceil((sentAt.getTime() + cooldownSeconds * 1000 - Date.now()) / 1000))
+        : cooldownSeconds;
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: `Please wait ${retryAfter} seconds before requesting another email`, retryAfter });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error sending verification email' });
+  }
+};
+
+// Trade a refresh token for a new pair; each refresh token works only once
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const result = await rotateRefreshToken(refreshToken);
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token: result.token,
+      refreshToken: result.refreshToken,
+      refreshTokenExpiresAt: result.refreshTokenExpiresAt
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error refreshing token' });
+  }
+};
+
+// End the session the request was made with
+const logout = async (req, res) => {
+  try {
+    await AuthSession.revoke(req.authSessionId, 'logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+};
+
+// End every session of the current user, this one included
+const logoutEverywhere = async (req, res) => {
+  try {
+    const revokedSessions = await AuthSession.revokeAllForUser(req.user._id, 'logout everywhere');
+    res.json({ message: 'Logged out of all sessions successfully', revokedSessions });
+  } catch (error) {
+    console.error('Logout everywhere error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+};
+
+// Change the current user's password; every other session is signed out
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Current password and new password are required' });
+    }
+
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` });
+    }
+
+    const isValidPassword = await User.validatePassword(currentPassword, req.user.password);
+    if (!isValidPassword) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    await User.updatePassword(req.user._id, newPassword);
+    // The current session has just entered the password, so it stays signed in
+    await AuthSession.reauthenticate(req.authSessionId);
+    const revokedSessions = await AuthSession.revokeAllForUser(req.user._id, 'password changed', {
+      except: req.authSessionId
+    });
+
+    res.json({ message: 'Password changed successfully', revokedSessions });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error changing password' });
+  }
+};
+
+// Mail a password reset link. The answer is the same whether or not the address
+// belongs to an account, so it cannot be used to find out who has one
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findByEmail(String(email).trim().toLowerCase());
+    if (user) {
+      const ttlMinutes = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || DEFAULT_RESET_TTL_MINUTES;
+      const token = await UserToken.issue(user._id, 'password-reset', ttlMinutes * 60 * 1000);
+      const resetUrl = `${process.env.APP_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hello ${user.username},\n\n` +
+          `Use this link to choose a new password. It works once and expires in ${ttlMinutes} minutes:\n\n` +
+          `${resetUrl}\n\n` +
+          'If you did not ask for this, you can ignore this email.'
+      });
+    }
+
+    res.json({ message: 'If an account exists for that email, a password reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error requesting password reset' });
+  }
+};
+
+// Set a new password with a mailed reset token; every session is signed out
+const resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({ message: 'Token and new password are required' });
+    }
+
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` });
+    }
+
+    const resetToken = await UserToken.consume(token, 'password-reset');
+    if (!resetToken) {
+      return res.status(400).json({ message: 'Reset token is invalid or has expired' });
+    }
+
+    const user = await User.updatePassword(resetToken.userId, newPassword);
+    if (!user) {
+      return res.status(400).json({ message: 'Reset token is invalid or has expired' });
+    }
+
+    await AuthSession.revokeAllForUser(user._id, 'password reset');
+    // Whoever reset the password owns the mailbox, so a lockout has done its job
+    await clearAccountFailures({ accountId: accountIdentifier(user) });
+
+    res.json({ message: 'Password has been reset; please log in with your new password' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error resetting password' });
+  }
+};
+
 module.exports = {
   login,
+  loginTwoFactor,
   register,
   getProfile,
-  verifyToken
+  verifyToken,
+  verifyEmail,
+  resendVerification,
+  refresh,
+  logout,
+  logoutEverywhere,
+  changePassword,
+  forgotPassword,
+  resetPassword
 };
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const { auditAction } = require('../services/audit');
+
+const formatLoginAttempt = (attempt) => {
+  const now = new Date();
+  return {
+    id: attempt._id,
+    scope: attempt.scope,
+    identifier: attempt.identifier,
+    user: attempt.userId ? {
+      id: attempt.userId._id,
+      username: attempt.userId.username,
+      email: attempt.userId.email
+    } : null,
+    failures: attempt.failures,
+    firstFailureAt: attempt.firstFailureAt,
+    lastFailureAt: attempt.lastFailureAt,
+    lastIp: attempt.lastIp,
+    nextAttemptAt: attempt.nextAttemptAt > now ? attempt.nextAttemptAt : null,
+    lockedUntil: attempt.lockedUntil > now ? attempt.lockedUntil : null,
+    locked: attempt.lockedUntil > now
+  };
+};
+
+// List accounts and IPs with recent failed logins (admin only).
+// ?scope=account|ip narrows the list, ?locked=true keeps only lockouts
+const getLoginLockouts = async (req, res) => {
+  try {
+    const { scope, locked } = req.query;
+
+    if (scope && !LoginAttempt.SCOPES.includes(scope)) {
+      return res.status(400).json({ message: `Scope must be one of: ${LoginAttempt.SCOPES.join(', ')}` });
+    }
+
+    const attempts = await LoginAttempt.findRecent({ scope, lockedOnly: locked === 'true' });
+    const lockouts = attempts.map(formatLoginAttempt);
+
+    res.json({
+      message: 'Login lockouts retrieved successfully',
+      lockouts,
+      total: lockouts.length,
+      lockedCount: lockouts.filter(lockout => lockout.locked).length
+    });
+  } catch (error) {
+    console.error('Get login lockouts error:', error);
+    res.status(500).json({ message: 'Server error retrieving login lockouts' });
+  }
+};
+
+// Forget the failed logins of one account or IP, lifting any lockout (admin only)
+const clearLoginLockout = async (req, res) => {
+  try {
+    const { lockoutId } = req.params;
+
+    const attempt = mongoose.Types.ObjectId.isValid(lockoutId) && await LoginAttempt.findById(lockoutId);
+    if (!attempt) {
+      return res.status(404).json({ message: 'Login lockout not found' });
+    }
+
+    await LoginAttempt.deleteById(lockoutId);
+
+    await auditAction(req, {
+      action: 'loginLockout.clear',
+      targetType: 'LoginAttempt',
+      targetId: lockoutId,
+      before: attempt
+    });
+
+    res.json({ message: 'Login lockout cleared' });
+  } catch (error) {
+    console.error('Clear login lockout error:', error);
+    res.status(500).json({ message: 'Server error clearing login lockout' });
+  }
+};
+
+// Same, for a user's account looked up by user id (admin only)
+const clearUserLoginLockout = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = mongoose.Types.ObjectId.isValid(id) && await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const attempt = await LoginAttempt.find('account', user._id.toString());
+    if (!attempt) {
+      return res.status(404).json({ message: 'This user has no failed logins to clear' });
+    }
+
+    await LoginAttempt.deleteById(attempt._id);
+
+    await auditAction(req, {
+      action: 'loginLockout.clear',
+      targetType: 'LoginAttempt',
+      targetId: attempt._id,
+      before: attempt
+    });
+
+    res.json({ message: `Login lockout cleared for ${user.username}` });
+  } catch (error) {
+    console.error('Clear user login lockout error:', error);
+    res.status(500).json({ message: 'Server error clearing login lockout' });
+  }
+};
+
+module.exports = {
+  getLoginLockouts,
+  clearLoginLockout,
+  clearUserLoginLockout
+};
@@ -0,0 +1,281 @@
+const mongoose = require('mongoose');
+const Nomination = require('../models/Nomination');
+const VotingSession = require('../models/VotingSession');
+const { auditAction } = require('../services/audit');
+
+// Load the session of a nomination request, answering 404 or 400 when it is
+// missing or not in its nomination phase. Returns null once a response is sent
+const findNominatingSession = async (req, res) => {
+  const votingSession = await VotingSession.findById(req.params.id);
+  if (!votingSession) {
+    res.status(404).json({ message: 'Voting session not found' });
+    return null;
+  }
+  if (votingSession.status !== 'nominating') {
+    res.status(400).json({ message: 'Voting session is not accepting nominations' });
+    return null;
+  }
+  return votingSession;
+};
+
+const isSameUser = (user, userId) => Boolean(user) && (user._id || user).toString() === userId.toString();
+
+// List a session's nominations (admins and assigned members)
+const getNominations = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.query;
+
+    const votingSession = await VotingSession.findById(id);
+    if (!votingSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    if (req.user.role !== 'admin' && !await VotingSession.isUserAssignedToSession(id, req.user._id)) {
+      return res.status(403).json({ message: 'You are not assigned to this voting session' });
+    }
+
+    const nominations = await Nomination.findBySessionId(id, { status });
+
+    res.json({
+      message: 'Nominations retrieved successfully',
+      nominations,
+      nominationSecondsRequired: votingSession.nominationSecondsRequired,
+      totalNominations: nominations.length
+    });
+  } catch (error) {
+    console.error('Get nominations error:', error);
+    res.status(500).json({ message: 'Server error retrieving nominations' });
+  }
+};
+
+// Propose an assigned member, possibly yourself, as a candidate
+const createNomination = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { nomineeId, statement = '' } = req.body;
+
+    if (!nomineeId) {
+      return res.status(400).json({ message: 'Nominee ID is required' });
+    }
+
+    const votingSession = await findNominatingSession(req, res);
+    if (!votingSession) return;
+
+    if (!await VotingSession.isUserAssignedToSession(id, req.user._id)) {
+      return res.status(403).json({ message: 'You are not assigned to this voting session' });
+    }
+
+    if (!await VotingSession.isUserAssignedToSession(id, nomineeId)) {
+      return res.status(400).json({ message: 'Nominees must be assigned to this voting session' });
+    }
+
+    let nomination;
+    try {
+      nomination = await Nomination.create(id, nomineeId, req.user._id, String(statement).trim());
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'This member has already been nominated; second the existing nomination instead' });
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      message: 'Nomination submitted successfully',
+      nomination
+    });
+  } catch (error) {
+    console.error('Create nomination error:', error);
+    res.status(500).json({ message: 'Server error submitting nomination' });
+  }
+};
+
+// Support another member's nomination
+const secondNomination = async (req, res) => {
+  try {
+    const { id, nominationId } = req.params;
+
+    const votingSession = await findNominatingSession(req, res);
+    if (!votingSession) return;
+
+    if (!await VotingSession.isUserAssignedToSession(id, req.user._id)) {
+      return res.status(403).json({ message: 'You are not assigned to this voting session' });
+    }
+
+    const nomination = await Nomination.findForSession(id, nominationId);
+    if (!nomination) {
+      return res.status(404).json({ message: 'Nomination not found' });
+    }
+
+    if (isSameUser(nomination.nominatedBy, req.user._id) || isSameUser(nomination.nomineeId, req.user._id)) {
+      return res.status(400).json({ message: 'The nominator and the nominee cannot second a nomination' });
+    }
+
+    const updatedNomination = await Nomination.second(nominationId, req.user._id);
+    if (!updatedNomination) {
+      return res.status(400).json({ message: 'This nomination has already been reviewed' });
+    }
+
+    res.json({
+      message: 'Nomination seconded successfully',
+      nomination: updatedNomination
+    });
+  } catch (error) {
+    console.error('Second nomination error:', error);
+    res.status(500).json({ message: 'Server error seconding nomination' });
+  }
+};
+
+// The nominee accepts or declines; they may change their answer until it is reviewed
+const respondToNomination = async (req, res, accept) => {
+  try {
+    const { id, nominationId } = req.params;
+
+    const votingSession = await findNominatingSession(req, res);
+    if (!votingSession) return;
+
+    const nomination = await Nomination.findForSession(id, nominationId);
+    if (!nomination) {
+      return res.status(404).json({ message: 'Nomination not found' });
+    }
+
+    if (!isSameUser(nomination.nomineeId, req.user._id)) {
+      return res.status(403).json({ message: 'Only the nominee can accept or decline a nomination' });
+    }
+
+    const updatedNomination = await Nomination.respond(nominationId, req.user._id, accept);
+    if (!updatedNomination) {
+      return res.status(400).json({ message: 'This nomination has already been reviewed' });
+    }
+
+    res.json({
+      message: accept ? 'Nomination accepted' : 'Nomination declined',
+      nomination: updatedNomination
+    });
+  } catch (error) {
+    console.error('Respond to nomination error:', error);
+    res.status(500).json({ message: 'Server error responding to nomination' });
+  }
+};
+
+const acceptNomination = (req, res) => respondToNomination(req, res, true);
+const declineNomination = (req, res) => respondToNomination(req, res, false);
+
+// Turn an accepted, sufficiently seconded nomination into a candidate (admin only)
+const approveNomination = async (req, res) => {
+  try {
+    const { id, nominationId } = req.params;
+
+    const votingSession = await findNominatingSession(req, res);
+    if (!votingSession) return;
+
+    const nomination = await Nomination.findForSession(id, nominationId);
+    if (!nomination) {
+      return res.status(404).json({ message: 'Nomination not found' });
+    }
+
+    if (nomination.status !== 'accepted') {
+      return res.status(400).json({
+        message: `Only accepted nominations can be approved; this one is ${nomination.status}`
+      });
+    }
+
+    if (nomination.seconds.length < votingSession.nominationSecondsRequired) {
+      return res.status(400).json({
+        message: `This nomination needs ${votingSession.nominationSecondsRequired} seconds before it can be approved`
+      });
+    }
+
+    if (!nomination.nomineeId) {
+      return res.status(400).json({ message: 'The nominee no longer has an account' });
+    }
+
+    const name = nomination.nomineeId.username;
+    if (votingSession.candidates.some(c => c.name.toLowerCase() === name.toLowerCase())) {
+      return res.status(409).json({ message: `A candidate named ${name} already exists` });
+    }
+
+    // Claim the nomination before adding the candidate so it is only added once
+    const candidateId = new mongoose.Types.ObjectId();
+    const approvedNomination = await Nomination.review(nominationId, ['accepted'], {
+      status: 'approved',
+      reviewedBy: req.user._id,
+      candidateId
+    });
+    if (!approvedNomination) {
+      return res.status(409).json({ message: 'This nomination changed in the meantime; reload and try again' });
+    }
+
+    const candidate = { _id: candidateId, name, description: nomination.statement };
+    const updatedSession = await VotingSession.addCandidate(id, candidate);
+
+    await auditAction(req, {
+      action: 'nomination.approve',
+      targetType: 'Nomination',
+      targetId: nominationId,
+      before: { status: nomination.status },
+      after: { status: approvedNomination.status, candidateId }
+    });
+
+    res.json({
+      message: 'Nomination approved and added to the candidates',
+      nomination: approvedNomination,
+      votingSession: updatedSession,
+      addedCandidate: candidate
+    });
+  } catch (error) {
+    console.error('Approve nomination error:', error);
+    res.status(500).json({ message: 'Server error approving nomination' });
+  }
+};
+
+// Turn a nomination down (admin only)
+const rejectNomination = async (req, res) => {
+  try {
+    const { id, nominationId } = req.params;
+    const { reason } = req.body;
+
+    const votingSession = await findNominatingSession(req, res);
+    if (!votingSession) return;
+
+    const nomination = await Nomination.findForSession(id, nominationId);
+    if (!nomination) {
+      return res.status(404).json({ message: 'Nomination not found' });
+    }
+
+    const rejectedNomination = await Nomination.review(nominationId, Nomination.OPEN_STATUSES, {
+      status: 'rejected',
+      reviewedBy: req.user._id,
+      rejectionReason: reason ? String(reason).trim() : undefined
+    });
+    if (!rejectedNomination) {
+      return res.status(400).json({ message: 'This nomination has already been reviewed' });
+    }
+
+    await auditAction(req, {
+      action: 'nomination.reject',
+      targetType: 'Nomination',
+      targetId: nominationId,
+      before: { status: nomination.status },
+      after: { status: rejectedNomination.status, rejectionReason: rejectedNomination.rejectionReason }
+    });
+
+    res.json({
+      message: 'Nomination rejected',
+      nomination: rejectedNomination
+    });
+  } catch (error) {
+    console.error('Reject nomination error:', error);
+    res.status(500).json({ message: 'Server error rejecting nomination' });
+  }
+};
+
+module.exports = {
+  getNominations,
+  createNomination,
+  secondNomination,
+  acceptNomination,
+  declineNomination,
+  approveNomination,
+  rejectNomination
+};
@@ -1,6 +1,7 @@
 const Poll = require('../models/Poll');
 const Vote = require('../models/Vote');
 const User = require('../models/User');
+const { auditAction } = require('../services/audit');
 
 // Create a new poll (Admin only)
 const createPoll = async (req, res) => {
@@ -14,7 +15,8 @@ const createPoll = async (req, res) => {
       endDate,
       allowNewCandidates = true,
       maxVotesPerUser = 1,
-      isAnonymous = false
+      isAnonymous = false,
+      secretBallot = false
     } = req.body;
 
     // Validate input
@@ -66,12 +68,20 @@ const createPoll = async (req, res) => {
       allowNewCandidates,
       maxVotesPerUser,
       isAnonymous,
+      secretBallot: Boolean(secretBallot),
       status: 'draft'
     };
 
     const poll = await Poll.createPoll(pollData);
     const populatedPoll = await Poll.findById(poll._id);
 
+    await auditAction(req, {
+      action: 'poll.create',
+      targetType: 'Poll',
+      targetId: poll._id,
+      after: populatedPoll
+    });
+
     res.status(201).json({
       message: 'Poll created successfully',
       poll: populatedPoll
@@ -262,7 +272,18 @@ const updatePoll = async (req, res) => {
       });
     }
 
-    const updatedPoll = await Poll.updatePoll(pollId, req.body);
+    // Switching ballot secrecy would expose or orphan ballots already cast
+    const updateData = { ...req.body };
+    delete updateData.secretBallot;
+    const updatedPoll = await Poll.updatePoll(pollId, updateData);
+
+    await auditAction(req, {
+      action: 'poll.update',
+      targetType: 'Poll',
+      targetId: pollId,
+      before: poll,
+      after: updatedPoll
+    });
 
     res.json({
       message: 'Poll updated successfully',
@@ -301,6 +322,13 @@ const deletePoll = async (req, res) => {
     // Delete the poll
     await Poll.deletePoll(pollId);
 
+    await auditAction(req, {
+      action: 'poll.delete',
+      targetType: 'Poll',
+      targetId: pollId,
+      before: poll
+    });
+
     res.json({
       message: 'Poll and associated votes deleted successfully'
     });
@@ -338,6 +366,14 @@ const assignUsers = async (req, res) => {
 
     const updatedPoll = await Poll.assignUsers(pollId, userIds);
 
+    await auditAction(req, {
+      action: 'poll.assignUsers',
+      targetType: 'Poll',
+      targetId: pollId,
+      before: { assignedUsers: poll.assignedUsers.map(user => user._id) },
+      after: { assignedUsers: updatedPoll.assignedUsers.map(user => user._id) }
+    });
+
     res.json({
       message: 'Users assigned successfully',
       poll: updatedPoll
@@ -376,6 +412,14 @@ const removeUsers = async (req, res) => {
 
     const updatedPoll = await Poll.removeUsers(pollId, userIds);
 
+    await auditAction(req, {
+      action: 'poll.removeUsers',
+      targetType: 'Poll',
+      targetId: pollId,
+      before: { assignedUsers: poll.assignedUsers.map(user => user._id) },
+      after: { assignedUsers: updatedPoll.assignedUsers.map(user => user._id) }
+    });
+
     res.json({
       message: 'Users removed successfully',
       poll: updatedPoll
@@ -413,6 +457,14 @@ const activatePoll = async (req, res) => {
 
     const updatedPoll = await Poll.activatePoll(pollId);
 
+    await auditAction(req, {
+      action: 'poll.activate',
+      targetType: 'Poll',
+      targetId: pollId,
+      before: { status: poll.status },
+      after: { status: updatedPoll.status }
+    });
+
     res.json({
       message: 'Poll activated successfully',
       poll: updatedPoll
@@ -450,6 +502,14 @@ const endPoll = async (req, res) => {
 
     const updatedPoll = await Poll.endPoll(pollId);
 
+    await auditAction(req, {
+      action: 'poll.end',
+      targetType: 'Poll',
+      targetId: pollId,
+      before: { status: poll.status },
+      after: { status: updatedPoll.status }
+    });
+
     res.json({
       message: 'Poll ended successfully',
       poll: updatedPoll
@@ -0,0 +1,165 @@
+const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const { generateBackupCodes, isTwoFactorMandatory, verifySecondFactor } = require('../services/twoFactor');
+
+const DEFAULT_ISSUER = 'Voting App';
+
+// Whether the current user has two-factor authentication on
+const getTwoFactorStatus = (req, res) => {
+  const { twoFactor } = req.user;
+
+  res.json({
+    enabled: User.isTwoFactorEnabled(req.user),
+    enabledAt: twoFactor && twoFactor.enabledAt,
+    backupCodesRemaining: twoFactor && twoFactor.backupCodeHashes ? twoFactor.backupCodeHashes.length : 0,
+    required: isTwoFactorMandatory(req.user)
+  });
+};
+
+// Start enrolling: hand out a new secret for the user's authenticator app. It only
+// takes effect once a code from it is confirmed
+const setupTwoFactor = async (req, res) => {
+  try {
+    if (User.isTwoFactorEnabled(req.user)) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    const user = await User.setPendingTwoFactorSecret(req.user._id, secret);
+    if (!user) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    res.json({
+      message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: req.user.email,
+        issuer: process.env.TWO_FACTOR_ISSUER || DEFAULT_ISSUER
+      })
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error setting up two-factor authentication' });
+  }
+};
+
+// Finish enrolling with a code from the new secret. The backup codes are only ever
+// shown in this response; every other session is signed out
+const confirmTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const { twoFactor } = req.user;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Code is required' });
+    }
+
+    if (User.isTwoFactorEnabled(req.user)) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!twoFactor || !twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyTotp(twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    const backupCodes = generateBackupCodes();
+    const user = await User.enableTwoFactor(req.user._id, twoFactor.pendingSecret, step, backupCodes.hashes);
+    if (!user) {
+      return res.status(409).json({ message: 'Two-factor setup changed in the meantime; start again' });
+    }
+
+    const revokedSessions = await AuthSession.revokeAllForUser(req.user._id, 'two-factor enabled', {
+      except: req.authSessionId
+    });
+
+    res.json({
+      message: 'Two-factor authentication enabled; store your backup codes somewhere safe',
+      backupCodes: backupCodes.codes,
+      revokedSessions
+    });
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+    res.status(500).json({ message: 'Server error enabling two-factor authentication' });
+  }
+};
+
+// Replace the backup codes, e.g. after using some of them; needs a current code
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!User.isTwoFactorEnabled(req.user)) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!code) {
+      return res.status(400).json({ message: 'Code is required' });
+    }
+
+    if (!await verifySecondFactor(req.user, { code })) {
+      return res.status(401).json({ message: 'Invalid two-factor code' });
+    }
+
+    const backupCodes = generateBackupCodes();
+    await User.replaceBackupCodes(req.user._id, backupCodes.hashes);
+
+    res.json({
+      message: 'Backup codes replaced; the old ones no longer work',
+      backupCodes: backupCodes.codes
+    });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({ message: 'Server error generating backup codes' });
+  }
+};
+
+// Switch two-factor authentication off; needs the password and a code or backup code
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+
+    if (!User.isTwoFactorEnabled(req.user)) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (isTwoFactorMandatory(req.user)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for admin accounts' });
+    }
+
+    if (!password || (!code && !backupCode)) {
+      return res.status(400).json({ message: 'Password and a code or backup code are required' });
+    }
+
+    const isValidPassword = await User.validatePassword(password, req.user.password);
+    if (!isValidPassword) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    if (!await verifySecondFactor(req.user, { code, backupCode })) {
+      return res.status(401).json({ message: 'Invalid two-factor code' });
+    }
+
+    await User.disableTwoFactor(req.user._id);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error disabling two-factor authentication' });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor
+};
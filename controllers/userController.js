@@ -1,5 +1,9 @@
 const User = require('../models/User');
 const Vote = require('../models/Vote');
+const AuthSession = require('../models/AuthSession');
+const UserToken = require('../models/UserToken');
+const LoginAttempt = require('../models/LoginAttempt');
+const { auditAction } = require('../services/audit');
 
 // Get all users (admin only)
 const getAllUsers = async (req, res) => {
@@ -99,7 +103,7 @@ const deleteUser = async (req, res) => {
     }
 
     // Prevent deleting other admin users
-    const userToDelete = User.findById(userId);
+    const userToDelete = await User.findById(id);
     if (!userToDelete) {
       return res.status(404).json({ message: 'User not found' });
     }
@@ -108,19 +112,31 @@ const deleteUser = async (req, res) => {
       return res.status(403).json({ message: 'Cannot delete admin users' });
     }
 
-    // Delete user's votes first
-    Vote.deleteVotesByUserId(userId);
+    // Release the user's votes first; chained session ballots stay in the count
+    await Vote.detachVotesFromUser(id);
 
     // Delete the user
-    const deletedUser = User.deleteById(userId);
+    const deletedUser = await User.deleteById(id);
     if (!deletedUser) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Tokens already handed out must stop working now, not when they expire
+    await AuthSession.revokeAllForUser(id, 'user deleted');
+    await UserToken.deleteByUserId(id);
+    await LoginAttempt.clear('account', id);
+
+    await auditAction(req, {
+      action: 'user.delete',
+      targetType: 'User',
+      targetId: id,
+      before: deletedUser
+    });
+
     res.json({
       message: 'User and associated votes deleted successfully',
       deletedUser: {
-        id: deletedUser.id,
+        id: deletedUser._id,
         username: deletedUser.username,
         email: deletedUser.email
       }
@@ -140,7 +156,10 @@ const getUserStats = async (req, res) => {
     
     const allVotes = await Vote.getAllVotes();
     const totalVotes = allVotes.length;
-    const votedUserIds = new Set(allVotes.map(vote => vote.userId._id?.toString() || vote.userId.toString()));
+    // Secret ballots carry no userId and cannot be attributed to anyone
+    const votedUserIds = new Set(allVotes
+      .filter(vote => vote.userId)
+      .map(vote => vote.userId._id?.toString() || vote.userId.toString()));
     const usersWhoVoted = regularUsers.filter(user => votedUserIds.has(user._id.toString()));
 
     res.json({
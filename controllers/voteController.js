@@ -1,5 +1,348 @@
 const Vote = require('../models/Vote');
 const VotingSession = require('../models/VotingSession');
+const Poll = require('../models/Poll');
+const { auditAction } = require('../services/audit');
+const { cleanName, normalizeName } = require('../utils/writeIns');
+const { verifyVector } = require('../utils/elgamal');
+
+// Validate the ballot in a vote request against the session's voting method.
+// Returns either { error } or { candidateData } ready for Vote.castVoteInSession
+const buildSessionBallot = (votingSession, requestData) => {
+  if (VotingSession.RANKED_METHODS.includes(votingSession.votingMethod)) {
+    const { rankings } = requestData;
+
+    if (!Array.isArray(rankings) || rankings.length === 0) {
+      return { error: 'Rankings must be a non-empty array of candidate IDs' };
+    }
+
+    const rankingIds = rankings.map(id => String(id));
+    if (new Set(rankingIds).size !== rankingIds.length) {
+      return { error: 'Each candidate can only be ranked once' };
+    }
+
+    const rankedCandidates = rankingIds.map(id => votingSession.candidates.find(c => c._id.toString() === id));
+    if (rankedCandidates.some(candidate => !candidate)) {
+      return { error: 'Candidate not found in this voting session' };
+    }
+
+    return {
+      candidateData: {
+        candidateId: rankedCandidates[0]._id,
+        candidateName: rankedCandidates[0].name,
+        rankings: rankedCandidates.map(c => c._id)
+      }
+    };
+  }
+
+  if (VotingSession.SCORE_METHODS.includes(votingSession.votingMethod)) {
+    const { scores } = requestData;
+    const { minScore, maxScore } = votingSession;
+
+    if (!Array.isArray(scores) || scores.length === 0) {
+      return { error: 'Scores must be a non-empty array of { candidateId, score }' };
+    }
+
+    const scoreByCandidate = new Map();
+    for (const entry of scores) {
+      const candidateId = entry && String(entry.candidateId);
+      if (!votingSession.candidates.some(c => c._id.toString() === candidateId)) {
+        return { error: 'Candidate not found in this voting session' };
+      }
+      if (scoreByCandidate.has(candidateId)) {
+        return { error: 'Each candidate can only be scored once' };
+      }
+      if (!Number.isInteger(entry.score) || entry.score < minScore || entry.score > maxScore) {
+        return { error: `Scores must be whole numbers between ${minScore} and ${maxScore}` };
+      }
+      scoreByCandidate.set(candidateId, entry.score);
+    }
+
+    // Candidates left blank get the minimum score so every ballot is complete
+    const completeScores = votingSession.candidates.map(c => ({
+      candidateId: c._id,
+      score: scoreByCandidate.has(c._id.toString()) ? scoreByCandidate.get(c._id.toString()) : minScore
+    }));
+    const favourite = votingSession.candidates[
+      completeScores.reduce((best, entry, index) => (entry.score > completeScores[best].score ? index : best), 0)
+    ];
+
+    return {
+      candidateData: {
+        candidateId: favourite._id,
+        candidateName: favourite.name,
+        scores: completeScores
+      }
+    };
+  }
+
+  if (votingSession.votingMethod === 'referendum') {
+    const { choice } = requestData;
+    const option = typeof choice === 'string'
+      ? VotingSession.REFERENDUM_OPTIONS.find(o => o.toLowerCase() === choice.trim().toLowerCase())
+      : undefined;
+
+    if (!option) {
+      return { error: `Choice must be one of: ${VotingSession.REFERENDUM_OPTIONS.join(', ')}` };
+    }
+
+    const candidate = votingSession.candidates.find(c => c.name === option);
+    return {
+      candidateData: {
+        candidateId: candidate && candidate._id,
+        candidateName: option
+      }
+    };
+  }
+
+  if (votingSession.votingMethod === 'cumulative') {
+    const validated = validateAllocations(votingSession, requestData.allocations);
+    if (validated.error) {
+      return validated;
+    }
+
+    const pointsSpent = validated.allocations.reduce((sum, entry) => sum + entry.amount, 0);
+    if (pointsSpent === 0) {
+      return { error: 'Allocate at least one point' };
+    }
+    if (pointsSpent > votingSession.pointBudget) {
+      return { error: `Allocated ${pointsSpent} points but the budget is ${votingSession.pointBudget}` };
+    }
+
+    return { candidateData: validated.candidateData };
+  }
+
+  if (votingSession.votingMethod === 'quadratic') {
+    const validated = validateAllocations(votingSession, requestData.allocations);
+    if (validated.error) {
+      return validated;
+    }
+
+    const creditsSpent = validated.allocations.reduce((sum, entry) => sum + entry.amount * entry.amount, 0);
+    if (creditsSpent === 0) {
+      return { error: 'Cast at least one vote' };
+    }
+    if (creditsSpent > votingSession.creditBudget) {
+      return {
+        error: `Ballot costs ${creditsSpent} credits but the budget is ${votingSession.creditBudget} (n votes cost n² credits)`
+      };
+    }
+
+    return { candidateData: validated.candidateData };
+  }
+
+  if (votingSession.multipleChoice) {
+    // A single selection may still be sent in the plain single-choice shape
+    const choices = requestData.choices !== undefined ? requestData.choices : [requestData];
+
+    if (!Array.isArray(choices) || choices.length === 0) {
+      return { error: 'Choices must be a non-empty array' };
+    }
+
+    if (choices.length > votingSession.maxChoices) {
+      return { error: `You can select at most ${votingSession.maxChoices} candidates` };
+    }
+
+    const validatedChoices = [];
+    for (const choice of choices) {
+      const validated = validateChoice(votingSession, choice || {});
+      if (validated.error) {
+        return validated;
+      }
+      validatedChoices.push(validated.choice);
+    }
+
+    const names = validatedChoices.map(choice => normalizeName(choice.candidateName));
+    if (new Set(names).size !== names.length) {
+      return { error: 'Each candidate can only be selected once' };
+    }
+
+    return {
+      candidateData: {
+        ...validatedChoices[0],
+        choices: validatedChoices
+      }
+    };
+  }
+
+  const validated = validateChoice(votingSession, requestData);
+  if (validated.error) {
+    return validated;
+  }
+
+  return { candidateData: validated.choice };
+};
+
+// Validate an allocation ballot ([{ candidateId, amount }]) against the session's candidates.
+// Budget rules differ per method and are checked by the caller
+const validateAllocations = (votingSession, allocations) => {
+  if (!Array.isArray(allocations) || allocations.length === 0) {
+    return { error: 'Allocations must be a non-empty array of { candidateId, amount }' };
+  }
+
+  const seen = new Set();
+  const normalized = [];
+  for (const entry of allocations) {
+    const candidateId = entry && String(entry.candidateId);
+    const candidate = votingSession.candidates.find(c => c._id.toString() === candidateId);
+    if (!candidate) {
+      return { error: 'Candidate not found in this voting session' };
+    }
+    if (seen.has(candidateId)) {
+      return { error: 'Each candidate can only appear once in allocations' };
+    }
+    if (!Number.isInteger(entry.amount) || entry.amount < 0) {
+      return { error: 'Allocation amounts must be whole numbers of zero or more' };
+    }
+    seen.add(candidateId);
+    normalized.push({ candidate, amount: entry.amount });
+  }
+
+  const favourite = normalized.reduce((best, entry) => (entry.amount > best.amount ? entry : best), normalized[0]);
+  const validAllocations = normalized.map(({ candidate, amount }) => ({ candidateId: candidate._id, amount }));
+
+  return {
+    allocations: validAllocations,
+    candidateData: {
+      candidateId: favourite.candidate._id,
+      candidateName: favourite.candidate.name,
+      allocations: validAllocations
+    }
+  };
+};
+
+// Validate a single candidate selection ({ candidateId, candidateName, isCustomCandidate })
+const validateChoice = (votingSession, { candidateId, candidateName, isCustomCandidate = false }) => {
+  if (!candidateName || typeof candidateName !== 'string' || candidateName.trim() === '') {
+    return { error: 'Candidate name is required' };
+  }
+
+  // Check if custom candidates are allowed
+  if (isCustomCandidate && !votingSession.allowNewCandidates) {
+    return { error: 'Adding new candidates is not allowed for this voting session' };
+  }
+
+  // Validate candidate exists in the session if not custom
+  if (!isCustomCandidate && candidateId) {
+    const candidateExists = votingSession.candidates.some(c => c._id.toString() === candidateId);
+    if (!candidateExists) {
+      return { error: 'Candidate not found in this voting session' };
+    }
+  }
+
+  if (isCustomCandidate) {
+    // A write-in that only differs from a listed candidate in case, spacing or
+    // punctuation is a vote for that candidate
+    const key = normalizeName(candidateName);
+    const listed = votingSession.candidates.find(c => normalizeName(c.name) === key);
+    if (listed) {
+      return { choice: { candidateId: listed._id, candidateName: listed.name, isCustomCandidate: false } };
+    }
+    return { choice: { candidateName: cleanName(candidateName), isCustomCandidate } };
+  }
+
+  return {
+    choice: {
+      candidateId,
+      candidateName: candidateName.trim(),
+      isCustomCandidate
+    }
+  };
+};
+
+// Group elements and proof values are hex strings no longer than the 2048-bit modulus
+const isHexValue = (value) => typeof value === 'string' && /^[0-9a-f]{1,512}$/i.test(value);
+
+const isProof = (proof) => Boolean(proof) &&
+  Array.isArray(proof.challenges) && Array.isArray(proof.responses) &&
+  [...proof.challenges, ...proof.responses].every(isHexValue);
+
+// Check the encryptedVector a voter's client built for a homomorphic session: one
+// ciphertext of 0 or 1 per listed candidate with its proof, and a proof that the
+// number of selections is allowed. The server never sees the selections themselves
+const buildHomomorphicBallot = (votingSession, encryptedVector) => {
+  const { candidates } = votingSession;
+  if (!encryptedVector || !Array.isArray(encryptedVector.entries) || encryptedVector.entries.length !== candidates.length) {
+    return { error: 'Homomorphic voting sessions take an encryptedVector with one entry per listed candidate' };
+  }
+
+  // Stored in the session's candidate order, whatever order the entries arrive in
+  const entries = candidates.map(candidate => encryptedVector.entries.find(entry =>
+    entry && entry.candidateId !== undefined && String(entry.candidateId) === candidate._id.toString()));
+  if (entries.some(entry => !entry)) {
+    return { error: 'Homomorphic voting sessions take an encryptedVector with one entry per listed candidate' };
+  }
+
+  const wellFormed = entries.every(entry => isHexValue(entry.a) && isHexValue(entry.b) && isProof(entry.proof)) &&
+    isProof(encryptedVector.sumProof);
+  if (!wellFormed) {
+    return { error: 'Encrypted ballot failed verification' };
+  }
+
+  const allowedTotals = VotingSession.homomorphicAllowedTotals(votingSession);
+  const vector = {
+    entries: entries.map((entry, index) => ({
+      candidateId: candidates[index]._id,
+      a: entry.a,
+      b: entry.b,
+      proof: { challenges: entry.proof.challenges, responses: entry.proof.responses }
+    })),
+    allowedTotals,
+    sumProof: { challenges: encryptedVector.sumProof.challenges, responses: encryptedVector.sumProof.responses }
+  };
+  if (!verifyVector(votingSession.homomorphicPublicKey, vector, allowedTotals)) {
+    return { error: 'Encrypted ballot failed verification' };
+  }
+
+  return { encryptedVector: vector };
+};
+
+// Validate a session ballot and work out how it must be stored
+const prepareSessionBallot = (votingSession, requestData) => {
+  if (votingSession.tallyMode === 'homomorphic') {
+    const vector = buildHomomorphicBallot(votingSession, requestData.encryptedVector);
+    if (vector.error) {
+      return vector;
+    }
+
+    return {
+      candidateData: null,
+      options: { secret: votingSession.secretBallot, homomorphic: vector.encryptedVector }
+    };
+  }
+
+  const ballot = buildSessionBallot(votingSession, requestData);
+  if (ballot.error) {
+    return ballot;
+  }
+
+  return {
+    candidateData: ballot.candidateData,
+    options: {
+      secret: votingSession.secretBallot,
+      encryptTo: votingSession.encryptBallots ? votingSession.ballotPublicKey : null
+    }
+  };
+};
+
+const formatCastVote = (vote) => ({
+  vote: {
+    id: vote._id,
+    candidateName: vote.candidateName,
+    rankings: vote.rankings,
+    choices: vote.choices,
+    scores: vote.scores,
+    allocations: vote.allocations,
+    votingSessionId: vote.votingSessionId,
+    timestamp: vote.timestamp,
+    isCustomCandidate: vote.isCustomCandidate
+  },
+  // Keep this code to check later that the ballot is in the published hash chain
+  receipt: {
+    code: vote.ballotHash,
+    sequence: vote.sequence,
+    previousHash: vote.previousHash
+  }
+});
 
 // Cast vote in a voting session
 const castVoteInSession = async (req, res) => {
@@ -10,7 +353,6 @@ const castVoteInSession = async (req, res) => {
     const requestData = req.body;
     votingSessionId = requestData.votingSessionId;
     candidateName = requestData.candidateName;
-    const { candidateId, isCustomCandidate = false } = requestData;
     userId = req.user._id;
 
     // Validate input
@@ -18,10 +360,6 @@ const castVoteInSession = async (req, res) => {
       return res.status(400).json({ message: 'Voting session ID is required' });
     }
 
-    if (!candidateName || candidateName.trim() === '') {
-      return res.status(400).json({ message: 'Candidate name is required' });
-    }
-
     // Check if voting session exists and user is assigned
     const votingSession = await VotingSession.findById(votingSessionId);
     if (!votingSession) {
@@ -35,6 +373,9 @@ const castVoteInSession = async (req, res) => {
     }
 
     // Check if voting session is active
+    if (votingSession.status === 'paused') {
+      return res.status(400).json({ message: 'Voting session is paused' });
+    }
     if (votingSession.status !== 'active') {
       return res.status(400).json({ message: 'Voting session is not active' });
     }
@@ -48,37 +389,22 @@ const castVoteInSession = async (req, res) => {
       return res.status(400).json({ message: 'Voting session has ended' });
     }
 
-    // Check if custom candidates are allowed
-    if (isCustomCandidate && !votingSession.allowNewCandidates) {
-      return res.status(400).json({ message: 'Adding new candidates is not allowed for this voting session' });
+    // Ballots sealed after the trustees opened the box would never be decrypted
+    if (votingSession.ballotsDecryptedAt) {
+      return res.status(400).json({ message: 'Ballots for this voting session have already been decrypted' });
     }
 
-    // Validate candidate exists in the session if not custom
-    if (!isCustomCandidate && candidateId) {
-      const candidateExists = votingSession.candidates.some(c => c._id.toString() === candidateId);
-      if (!candidateExists) {
-        return res.status(400).json({ message: 'Candidate not found in this voting session' });
-      }
+    const ballot = prepareSessionBallot(votingSession, requestData);
+    if (ballot.error) {
+      return res.status(400).json({ message: ballot.error });
     }
 
-    const candidateData = {
-      candidateId,
-      candidateName: candidateName.trim(),
-      isCustomCandidate
-    };
-
     // Cast the vote
-    const vote = await Vote.castVoteInSession(userId, votingSessionId, candidateData);
+    const vote = await Vote.castVoteInSession(userId, votingSessionId, ballot.candidateData, ballot.options);
 
     res.status(201).json({
       message: 'Vote cast successfully',
-      vote: {
-        id: vote._id,
-        candidateName: vote.candidateName,
-        votingSessionId: vote.votingSessionId,
-        timestamp: vote.timestamp,
-        isCustomCandidate: vote.isCustomCandidate
-      }
+      ...formatCastVote(vote)
     });
   } catch (error) {
     console.error('Vote casting error:', error);
@@ -99,6 +425,144 @@ const castVoteInSession = async (req, res) => {
   }
 };
 
+// Why the user may not change their ballot in this session right now, if anything
+const voteChangeBlocker = async (votingSession, userId) => {
+  if (!votingSession.allowVoteChanges) {
+    return { status: 403, message: 'This voting session does not allow changing votes' };
+  }
+
+  const isAssigned = await VotingSession.isUserAssignedToSession(votingSession._id, userId);
+  if (!isAssigned) {
+    return { status: 403, message: 'You are not assigned to this voting session' };
+  }
+
+  if (votingSession.status !== 'active') {
+    return { status: 400, message: 'Voting session is not active' };
+  }
+
+  if (votingSession.endDate && new Date() > votingSession.endDate) {
+    return { status: 400, message: 'Voting session has ended' };
+  }
+
+  if (votingSession.ballotsDecryptedAt) {
+    return { status: 400, message: 'Ballots for this voting session have already been decrypted' };
+  }
+
+  return null;
+};
+
+// Replace the current user's ballot in a voting session that allows vote changes
+const changeVoteInSession = async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+    const userId = req.user._id;
+
+    const votingSession = await VotingSession.findById(votingSessionId);
+    if (!votingSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const blocker = await voteChangeBlocker(votingSession, userId);
+    if (blocker) {
+      return res.status(blocker.status).json({ message: blocker.message });
+    }
+
+    const ballot = prepareSessionBallot(votingSession, req.body);
+    if (ballot.error) {
+      return res.status(400).json({ message: ballot.error });
+    }
+
+    const vote = await Vote.replaceVoteInSession(userId, votingSessionId, ballot.candidateData, ballot.options);
+
+    res.json({
+      message: 'Vote changed successfully',
+      ...formatCastVote(vote)
+    });
+  } catch (error) {
+    console.error('Change vote error:', error);
+    if (error.message === 'User has not voted in this voting session') {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message === 'User has already voted in this voting session') {
+      return res.status(409).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error changing vote' });
+  }
+};
+
+// Withdraw the current user's ballot; they may vote again while the session is open
+const retractVoteInSession = async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+    const userId = req.user._id;
+
+    const votingSession = await VotingSession.findById(votingSessionId);
+    if (!votingSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const blocker = await voteChangeBlocker(votingSession, userId);
+    if (blocker) {
+      return res.status(blocker.status).json({ message: blocker.message });
+    }
+
+    const retracted = await Vote.retractVoteInSession(userId, votingSessionId);
+
+    res.json({
+      message: 'Vote retracted successfully',
+      retractedVote: {
+        id: retracted._id,
+        sequence: retracted.sequence,
+        receipt: retracted.ballotHash
+      }
+    });
+  } catch (error) {
+    console.error('Retract vote error:', error);
+    if (error.message === 'User has not voted in this voting session') {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error retracting vote' });
+  }
+};
+
+// Every ballot cast in a session, replaced and retracted ones included (admin only)
+const getSessionVoteHistory = async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+    const { userId } = req.query;
+
+    const votingSession = await VotingSession.findById(votingSessionId);
+    if (!votingSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const votes = await Vote.getVoteHistory(votingSessionId, userId);
+
+    res.json({
+      message: 'Vote history retrieved successfully',
+      votes: votes.map(vote => ({
+        id: vote._id,
+        user: vote.userId || vote.supersededUserId || null, // Secret ballots have no voter
+        candidateName: vote.candidateName,
+        rankings: vote.rankings,
+        choices: vote.choices,
+        scores: vote.scores,
+        allocations: vote.allocations,
+        sequence: vote.sequence,
+        receipt: vote.ballotHash,
+        timestamp: vote.timestamp,
+        current: !vote.supersededAt,
+        supersededAt: vote.supersededAt || null,
+        supersededReason: vote.supersededReason || null,
+        supersededBy: vote.supersededBy || null
+      }))
+    });
+  } catch (error) {
+    console.error('Get vote history error:', error);
+    res.status(500).json({ message: 'Server error retrieving vote history' });
+  }
+};
+
 // Create a new vote (legacy method for backward compatibility)
 const castVote = async (req, res) => {
   try {
@@ -151,7 +615,16 @@ const getSessionResults = async (req, res) => {
       }
     }
 
-    const results = await Vote.getSessionResults(votingSessionId);
+    // Sealed ballots stay unreadable until enough trustees have submitted their shares
+    if (VotingSession.isAwaitingDecryption(votingSession)) {
+      return res.status(409).json({
+        message: votingSession.status === 'closed'
+          ? 'Results are not available until the trustees decrypt the ballots'
+          : 'Results of an encrypted voting session are not available while voting is open'
+      });
+    }
+
+    const results = await Vote.getSessionTally(votingSession);
     
     res.json({
       message: 'Voting session results retrieved successfully',
@@ -159,7 +632,8 @@ const getSessionResults = async (req, res) => {
         id: votingSession._id,
         title: votingSession.title,
         description: votingSession.description,
-        status: votingSession.status
+        status: votingSession.status,
+        votingMethod: votingSession.votingMethod
       },
       ...results
     });
@@ -169,6 +643,129 @@ const getSessionResults = async (req, res) => {
   }
 };
 
+// Get the round-by-round STV report of a multi-seat voting session
+const getSessionStvResults = async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+
+    // Check if voting session exists
+    const votingSession = await VotingSession.findById(votingSessionId);
+    if (!votingSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    // For non-admin users, check if they're assigned to the session
+    if (req.user.role !== 'admin') {
+      const isAssigned = await VotingSession.isUserAssignedToSession(votingSessionId, req.user._id);
+      if (!isAssigned) {
+        return res.status(403).json({ message: 'You are not assigned to this voting session' });
+      }
+    }
+
+    // Sealed ballots stay unreadable until enough trustees have submitted their shares
+    if (VotingSession.isAwaitingDecryption(votingSession)) {
+      return res.status(409).json({
+        message: votingSession.status === 'closed'
+          ? 'Results are not available until the trustees decrypt the ballots'
+          : 'Results of an encrypted voting session are not available while voting is open'
+      });
+    }
+
+    if (votingSession.votingMethod !== 'stv') {
+      return res.status(400).json({ message: 'STV results are only available for STV voting sessions' });
+    }
+
+    const stv = await Vote.getStvResults(votingSession);
+
+    res.json({
+      message: 'STV results retrieved successfully',
+      votingSession: {
+        id: votingSession._id,
+        title: votingSession.title,
+        description: votingSession.description,
+        status: votingSession.status,
+        votingMethod: votingSession.votingMethod,
+        seats: votingSession.seats
+      },
+      stv
+    });
+  } catch (error) {
+    console.error('Get STV results error:', error);
+    res.status(500).json({ message: 'Server error retrieving STV results' });
+  }
+};
+
+// Check a voter receipt against the session's published ballot list
+const verifySessionReceipt = async (req, res) => {
+  try {
+    const { votingSessionId, receipt } = req.params;
+
+    // Check if voting session exists
+    const votingSession = await VotingSession.findById(votingSessionId);
+    if (!votingSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    // For non-admin users, check if they're assigned to the session
+    if (req.user.role !== 'admin') {
+      const isAssigned = await VotingSession.isUserAssignedToSession(votingSessionId, req.user._id);
+      if (!isAssigned) {
+        return res.status(403).json({ message: 'You are not assigned to this voting session' });
+      }
+    }
+
+    if (!/^[0-9a-fA-F]{64}$/.test(receipt)) {
+      return res.status(400).json({ message: 'Receipt must be a 64-character hex code' });
+    }
+
+    const verification = await Vote.verifyReceipt(votingSessionId, receipt);
+
+    res.json({
+      message: verification.found ? 'Receipt found in the ballot hash chain' : 'Receipt not found in the ballot hash chain',
+      ...verification
+    });
+  } catch (error) {
+    console.error('Verify receipt error:', error);
+    res.status(500).json({ message: 'Server error verifying receipt' });
+  }
+};
+
+// Download the session's ballot hash chain for independent verification
+const getSessionHashChain = async (req, res) => {
+  try {
+    const { votingSessionId } = req.params;
+
+    // Check if voting session exists
+    const votingSession = await VotingSession.findById(votingSessionId);
+    if (!votingSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    // For non-admin users, check if they're assigned to the session
+    if (req.user.role !== 'admin') {
+      const isAssigned = await VotingSession.isUserAssignedToSession(votingSessionId, req.user._id);
+      if (!isAssigned) {
+        return res.status(403).json({ message: 'You are not assigned to this voting session' });
+      }
+    }
+
+    const chain = await Vote.getSessionChain(votingSessionId);
+
+    res.json({
+      message: 'Ballot hash chain retrieved successfully',
+      votingSession: {
+        id: votingSession._id,
+        title: votingSession.title,
+        status: votingSession.status
+      },
+      ...chain
+    });
+  } catch (error) {
+    console.error('Get hash chain error:', error);
+    res.status(500).json({ message: 'Server error retrieving ballot hash chain' });
+  }
+};
+
 // Get voting results (admin only - legacy method)
 const getResults = async (req, res) => {
   try {
@@ -238,9 +835,18 @@ const getAllVotes = (req, res) => {
 };
 
 // Delete all votes (admin only)
-const deleteAllVotes = (req, res) => {
+const deleteAllVotes = async (req, res) => {
   try {
-    Vote.deleteAllVotes();
+    const votes = await Vote.getAllVotes();
+    await Vote.deleteAllVotes();
+
+    await auditAction(req, {
+      action: 'votes.deleteAll',
+      targetType: 'Vote',
+      before: { voteCount: votes.length },
+      after: { voteCount: 0 }
+    });
+
     res.json({
       message: 'All votes deleted successfully'
     });
@@ -292,7 +898,7 @@ const castVoteInPoll = async (req, res) => {
 
     // Check if user is assigned to this poll
     const isAdmin = req.user.role === 'admin';
-    const isAssigned = poll.assignedUsers.some(id => id.toString() === userId.toString());
+    const isAssigned = poll.assignedUsers.some(user => user._id.toString() === userId.toString());
     
     if (!isAdmin && !isAssigned) {
       return res.status(403).json({ message: 'You are not assigned to this poll' });
@@ -323,7 +929,7 @@ const castVoteInPoll = async (req, res) => {
       isCustomCandidate
     };
 
-    const vote = await Vote.castVoteInPoll(userId, pollId, candidateData);
+    const vote = await Vote.castVoteInPoll(userId, pollId, candidateData, { secret: poll.secretBallot });
 
     res.status(201).json({
       message: 'Vote cast successfully',
@@ -333,8 +939,8 @@ const castVoteInPoll = async (req, res) => {
         timestamp: vote.timestamp,
         isCustomCandidate: vote.isCustomCandidate,
         poll: {
-          _id: vote.pollId._id,
-          title: vote.pollId.title
+          _id: poll._id,
+          title: poll.title
         }
       }
     });
@@ -360,7 +966,7 @@ const getPollVoteStatus = async (req, res) => {
     }
 
     const isAdmin = req.user.role === 'admin';
-    const isAssigned = poll.assignedUsers.some(id => id.toString() === userId.toString());
+    const isAssigned = poll.assignedUsers.some(user => user._id.toString() === userId.toString());
     
     if (!isAdmin && !isAssigned) {
       return res.status(403).json({ message: 'Access denied to this poll' });
@@ -417,7 +1023,7 @@ const getPollVotes = async (req, res) => {
         candidateName: vote.candidateName,
         timestamp: vote.timestamp,
         isCustomCandidate: vote.isCustomCandidate,
-        user: poll.isAnonymous ? null : {
+        user: poll.isAnonymous || !vote.userId ? null : {
           _id: vote.userId._id,
           username: vote.userId.username
         }
@@ -458,6 +1064,12 @@ module.exports = {
   // New voting session methods
   castVoteInSession,
   getSessionResults,
+  getSessionStvResults,
+  verifySessionReceipt,
+  getSessionHashChain,
+  changeVoteInSession,
+  retractVoteInSession,
+  getSessionVoteHistory,
   getUserVotes,
   // Legacy poll-specific methods
   castVoteInPoll,
@@ -1,11 +1,171 @@
 const VotingSession = require('../models/VotingSession');
 const Vote = require('../models/Vote');
 const User = require('../models/User');
+const { transitionSession } = require('../services/sessionLifecycle');
+const { auditAction } = require('../services/audit');
+const { submitTrusteeShare } = require('../services/ballotEncryption');
+const { createSessionKey, createTallyKey } = require('../services/trusteeKeys');
+const { GROUP: TALLY_GROUP } = require('../utils/elgamal');
+const TrusteeShare = require('../models/TrusteeShare');
+const Nomination = require('../models/Nomination');
+const WriteIn = require('../models/WriteIn');
+
+// Check a session's settings for consistency; returns what is wrong, or null.
+// Runs on creation and again on every update, against the merged result
+const validateSessionSettings = ({
+  votingMethod,
+  seats,
+  minScore,
+  maxScore,
+  pointBudget,
+  creditBudget,
+  quorumPercent,
+  passingThreshold,
+  eligibleSharePercent,
+  runoffPolicy,
+  runoffStartAfterHours,
+  runoffDurationHours,
+  nominationSecondsRequired,
+  secretBallot,
+  allowVoteChanges,
+  tallyMode,
+  encryptBallots
+}) => {
+  if (!VotingSession.VOTING_METHODS.includes(votingMethod)) {
+    return `Voting method must be one of: ${VotingSession.VOTING_METHODS.join(', ')}`;
+  }
+
+  if (!Number.isInteger(Number(seats)) || Number(seats) < 1) {
+    return 'Seats must be a positive integer';
+  }
+
+  if (!Number.isInteger(minScore) || !Number.isInteger(maxScore) || minScore >= maxScore) {
+    return 'Score range must be whole numbers with minScore below maxScore';
+  }
+
+  if (!Number.isInteger(pointBudget) || pointBudget < 1) {
+    return 'Point budget must be a positive integer';
+  }
+
+  if (!Number.isInteger(creditBudget) || creditBudget < 1) {
+    return 'Credit budget must be a positive integer';
+  }
+
+  if (typeof quorumPercent !== 'number' || quorumPercent < 0 || quorumPercent > 100 ||
+      typeof eligibleSharePercent !== 'number' || eligibleSharePercent < 0 || eligibleSharePercent > 100) {
+    return 'Quorum and eligible share must be percentages between 0 and 100';
+  }
+
+  if (!VotingSession.PASSING_THRESHOLDS.includes(passingThreshold)) {
+    return `Passing threshold must be one of: ${VotingSession.PASSING_THRESHOLDS.join(', ')}`;
+  }
+
+  if (!VotingSession.RUNOFF_POLICIES.includes(runoffPolicy)) {
+    return `Runoff policy must be one of: ${VotingSession.RUNOFF_POLICIES.join(', ')}`;
+  }
+
+  if (runoffPolicy !== 'none' && votingMethod !== 'plurality') {
+    return 'Runoffs are only available for plurality voting sessions';
+  }
+
+  if (typeof runoffStartAfterHours !== 'number' || runoffStartAfterHours < 0 ||
+      typeof runoffDurationHours !== 'number' || runoffDurationHours < 1) {
+    return 'Runoff schedule must start after 0 or more hours and last at least 1 hour';
+  }
+
+  if (!Number.isInteger(nominationSecondsRequired) || nominationSecondsRequired < 0) {
+    return 'Nomination seconds required must be a whole number of 0 or more';
+  }
+
+  // Secret ballots cannot be traced back to the voter who would change them
+  if (secretBallot && allowVoteChanges) {
+    return 'Secret-ballot voting sessions cannot allow vote changes';
+  }
+
+  if (!VotingSession.TALLY_MODES.includes(tallyMode)) {
+    return `Tally mode must be one of: ${VotingSession.TALLY_MODES.join(', ')}`;
+  }
+
+  // Homomorphic ballots are fixed-length 0/1 vectors over the listed candidates
+  if (tallyMode === 'homomorphic') {
+    if (votingMethod !== 'plurality') {
+      return 'Homomorphic tallying is only available for plurality and approval voting sessions';
+    }
+    if (encryptBallots) {
+      return 'Homomorphic sessions already encrypt every ballot; do not also enable encryptBallots';
+    }
+  }
+
+  return null;
+};
+
+// Settings that follow from the voting method: several marks only on plurality
+// ballots, several seats only in STV, no write-ins where the options are fixed
+const ballotShape = ({ votingMethod, multipleChoice, maxChoices, seats, allowNewCandidates, tallyMode }) => {
+  const isMultipleChoice = votingMethod === 'plurality' && Boolean(multipleChoice);
+  return {
+    allowNewCandidates: votingMethod === 'referendum' || tallyMode === 'homomorphic' ? false : Boolean(allowNewCandidates),
+    multipleChoice: isMultipleChoice,
+    maxChoices: isMultipleChoice ? Math.max(1, parseInt(maxChoices) || 1) : 1,
+    seats: votingMethod === 'stv' ? Number(seats) : 1
+  };
+};
+
+// Encrypted ballots carry one entry per candidate and their aggregate is published
+// per candidate, so the list is fixed from the moment voting opens
+const homomorphicCandidatesFixed = (votingSession) => votingSession.tallyMode === 'homomorphic' &&
+  !['draft', 'nominating'].includes(votingSession.status);
+
+// What a ballot looks like and how it is counted; none of it may change once the
+// session has opened or received a ballot, or earlier ballots would be misread
+const BALLOT_SHAPE_FIELDS = [
+  'votingMethod',
+  'multipleChoice',
+  'maxChoices',
+  'seats',
+  'minScore',
+  'maxScore',
+  'pointBudget',
+  'creditBudget',
+  'quorumPercent',
+  'passingThreshold',
+  'eligibleSharePercent',
+  'runoffPolicy'
+];
 
 // Create a new voting session (admin only)
 const createVotingSession = async (req, res) => {
   try {
-    const { title, description, candidates = [], assignedUsers = [], allowNewCandidates = false, multipleChoice = false, maxChoices = 1, startDate, endDate } = req.body;
+    const {
+      title,
+      description,
+      candidates = [],
+      assignedUsers = [],
+      allowNewCandidates = false,
+      multipleChoice = false,
+      maxChoices = 1,
+      votingMethod = 'plurality',
+      seats = 1,
+      minScore = 0,
+      maxScore = 5,
+      pointBudget = 10,
+      creditBudget = 100,
+      quorumPercent = 50,
+      passingThreshold = 'simple-majority',
+      eligibleSharePercent = 50,
+      secretBallot = false,
+      allowVoteChanges = false,
+      nominationSecondsRequired = 0,
+      encryptBallots = false,
+      trustees = [],
+      trusteeThreshold,
+      tallyMode = 'standard',
+      runoffPolicy = 'none',
+      runoffStartAfterHours = 0,
+      runoffDurationHours = 48,
+      startDate,
+      endDate
+    } = req.body;
     const createdBy = req.user._id;
 
     // Validate input
@@ -13,6 +173,53 @@ const createVotingSession = async (req, res) => {
       return res.status(400).json({ message: 'Title is required' });
     }
 
+    const settingsError = validateSessionSettings({
+      votingMethod,
+      seats,
+      minScore,
+      maxScore,
+      pointBudget,
+      creditBudget,
+      quorumPercent,
+      passingThreshold,
+      eligibleSharePercent,
+      runoffPolicy,
+      runoffStartAfterHours,
+      runoffDurationHours,
+      nominationSecondsRequired,
+      secretBallot,
+      allowVoteChanges,
+      tallyMode,
+      encryptBallots
+    });
+    if (settingsError) {
+      return res.status(400).json({ message: settingsError });
+    }
+
+    // Encrypted and homomorphic sessions need distinct, existing trustees and a
+    // reachable threshold; the trustees share the private half of the session key
+    const homomorphic = tallyMode === 'homomorphic';
+    let sessionKey = null;
+    if (encryptBallots || homomorphic) {
+      const trusteeIds = Array.isArray(trustees) ? [...new Set(trustees.map(String))] : [];
+      if (trusteeIds.length === 0 || trusteeIds.length > 255) {
+        return res.status(400).json({ message: 'Encrypted sessions need between 1 and 255 distinct trustees' });
+      }
+
+      const threshold = trusteeThreshold === undefined ? Math.floor(trusteeIds.length / 2) + 1 : trusteeThreshold;
+      if (!Number.isInteger(threshold) || threshold < 1 || threshold > trusteeIds.length) {
+        return res.status(400).json({ message: 'Trustee threshold must be a whole number between 1 and the number of trustees' });
+      }
+
+      const trusteeUsers = await Promise.all(trusteeIds.map(trusteeId => User.findById(trusteeId).catch(() => null)));
+      if (trusteeUsers.some(user => !user)) {
+        return res.status(400).json({ message: 'Some trustees do not exist' });
+      }
+
+      const key = homomorphic ? createTallyKey(trusteeIds, threshold) : createSessionKey(trusteeIds, threshold);
+      sessionKey = { trusteeIds, threshold, ...key };
+    }
+
     // Validate assigned users exist
     if (assignedUsers.length > 0) {
       const existingUsers = await User.findAll();
@@ -30,20 +237,53 @@ const createVotingSession = async (req, res) => {
     const sessionData = {
       title: title.trim(),
       description: description?.trim(),
-      candidates: candidates.map(c => ({
-        name: c.name?.trim(),
-        description: c.description?.trim() || ''
-      })),
+      // Referendums always offer the fixed Yes/No/Abstain options
+      candidates: votingMethod === 'referendum'
+        ? VotingSession.REFERENDUM_OPTIONS.map(name => ({ name, description: '' }))
+        : candidates.map(c => ({
+          name: c.name?.trim(),
+          description: c.description?.trim() || ''
+        })),
       assignedUsers,
-      allowNewCandidates,
-      multipleChoice,
-      maxChoices: multipleChoice ? Math.max(1, maxChoices) : 1,
+      ...ballotShape({ votingMethod, multipleChoice, maxChoices, seats, allowNewCandidates, tallyMode }),
+      votingMethod,
+      minScore,
+      maxScore,
+      pointBudget,
+      creditBudget,
+      quorumPercent,
+      passingThreshold,
+      eligibleSharePercent,
+      secretBallot: Boolean(secretBallot),
+      allowVoteChanges: Boolean(allowVoteChanges),
+      nominationSecondsRequired,
+      encryptBallots: Boolean(sessionKey) && !homomorphic,
+      trustees: sessionKey ? sessionKey.trusteeIds : [],
+      trusteeThreshold: sessionKey ? sessionKey.threshold : undefined,
+      ballotPublicKey: sessionKey && !homomorphic ? sessionKey.publicKey : undefined,
+      tallyMode,
+      homomorphicPublicKey: sessionKey && homomorphic ? sessionKey.publicKey : undefined,
+      runoffPolicy,
+      runoffStartAfterHours,
+      runoffDurationHours,
       startDate: startDate ? new Date(startDate) : undefined,
       endDate: endDate ? new Date(endDate) : undefined
     };
 
     const votingSession = await VotingSession.create(sessionData, createdBy);
 
+    // Each trustee collects their own share; the admin never sees them
+    if (sessionKey) {
+      await TrusteeShare.createForSession(votingSession._id, sessionKey.shares);
+    }
+
+    await auditAction(req, {
+      action: 'votingSession.create',
+      targetType: 'VotingSession',
+      targetId: votingSession._id,
+      after: votingSession
+    });
+
     res.status(201).json({
       message: 'Voting session created successfully',
       votingSession
@@ -90,18 +330,27 @@ const getVotingSessionById = async (req, res) => {
       return res.status(404).json({ message: 'Voting session not found' });
     }
 
-    // Get vote results for this session
-    const results = await Vote.getSessionResults(id);
+    // Get vote results for this session; sealed ballots cannot be counted yet
+    const results = VotingSession.isAwaitingDecryption(votingSession)
+      ? null
+      : await Vote.getSessionTally(votingSession);
     const votes = await Vote.getSessionVotes(id);
 
     res.json({
       message: 'Voting session retrieved successfully',
       votingSession,
+      // What a voter's client needs to encrypt a homomorphic ballot itself
+      homomorphicBallot: votingSession.tallyMode === 'homomorphic' ? {
+        group: TALLY_GROUP,
+        publicKey: votingSession.homomorphicPublicKey,
+        candidateIds: votingSession.candidates.map(candidate => candidate._id),
+        allowedTotals: VotingSession.homomorphicAllowedTotals(votingSession)
+      } : undefined,
       results,
       votes: votes.map(vote => ({
         id: vote._id,
         candidateName: vote.candidateName,
-        user: vote.userId,
+        user: vote.userId || null, // Secret ballots have no voter
         timestamp: vote.timestamp,
         isCustomCandidate: vote.isCustomCandidate
       }))
@@ -128,6 +377,7 @@ const getUserVotingSessions = async (req, res) => {
         hasVoted,
         userVote: userVote ? {
           candidateName: userVote.candidateName,
+          choices: userVote.choices,
           timestamp: userVote.timestamp,
           isCustomCandidate: userVote.isCustomCandidate
         } : null
@@ -155,6 +405,66 @@ const updateVotingSession = async (req, res) => {
     delete updateData.createdBy;
     delete updateData.createdAt;
     delete updateData.updatedAt;
+    delete updateData.runoffSessionId;
+    delete updateData.runoffOf;
+    // Switching ballot secrecy would expose or orphan ballots already cast
+    delete updateData.secretBallot;
+    // Ballot encryption and its key are fixed when the session is created
+    delete updateData.encryptBallots;
+    delete updateData.trustees;
+    delete updateData.trusteeThreshold;
+    delete updateData.ballotPublicKey;
+    delete updateData.ballotsDecryptedAt;
+    delete updateData.tallyMode;
+    delete updateData.homomorphicPublicKey;
+    delete updateData.homomorphicTally;
+    // Status only changes through the lifecycle endpoints
+    delete updateData.status;
+    delete updateData.statusHistory;
+    delete updateData.scheduleError;
+
+    const previousSession = await VotingSession.findById(id);
+    if (!previousSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    if (previousSession.status === 'archived') {
+      return res.status(400).json({ message: 'Archived voting sessions cannot be changed' });
+    }
+
+    // Replacing the whole list could silently drop candidates that already have votes
+    if (updateData.candidates !== undefined && previousSession.status !== 'draft') {
+      return res.status(400).json({
+        message: 'Candidates can only be replaced while the voting session is a draft; change them one at a time through the candidate endpoints'
+      });
+    }
+
+    // Clients may send the whole session back, so only actual changes count
+    const current = previousSession.toObject();
+    const changedShapeFields = BALLOT_SHAPE_FIELDS.filter(field =>
+      updateData[field] !== undefined && JSON.stringify(updateData[field]) !== JSON.stringify(current[field]));
+
+    if (changedShapeFields.length > 0) {
+      const isOpen = !['draft', 'nominating'].includes(previousSession.status);
+      if (isOpen || await Vote.sessionHasBallots(id)) {
+        return res.status(400).json({
+          message: `${changedShapeFields.join(', ')} cannot be changed once the voting session has opened or received ballots`
+        });
+      }
+    }
+
+    // Referendum options are fixed at creation
+    if (updateData.votingMethod !== undefined &&
+        (updateData.votingMethod === 'referendum') !== (current.votingMethod === 'referendum')) {
+      return res.status(400).json({ message: 'A voting session cannot be switched to or from a referendum' });
+    }
+
+    const merged = { ...current, ...updateData };
+    const settingsError = validateSessionSettings(merged);
+    if (settingsError) {
+      return res.status(400).json({ message: settingsError });
+    }
+    Object.assign(updateData, ballotShape(merged));
 
     const votingSession = await VotingSession.updateById(id, updateData);
 
@@ -162,6 +472,14 @@ const updateVotingSession = async (req, res) => {
       return res.status(404).json({ message: 'Voting session not found' });
     }
 
+    await auditAction(req, {
+      action: 'votingSession.update',
+      targetType: 'VotingSession',
+      targetId: id,
+      before: previousSession,
+      after: votingSession
+    });
+
     res.json({
       message: 'Voting session updated successfully',
       votingSession
@@ -183,8 +501,18 @@ const deleteVotingSession = async (req, res) => {
       return res.status(404).json({ message: 'Voting session not found' });
     }
 
-    // Also delete all votes for this session
+    // Also delete all votes, nominations, write-ins and outstanding trustee shares for this session
     await Vote.deleteVotesBySessionId(id);
+    await Nomination.deleteBySessionId(id);
+    await WriteIn.deleteBySessionId(id);
+    await TrusteeShare.deleteBySessionId(id);
+
+    await auditAction(req, {
+      action: 'votingSession.delete',
+      targetType: 'VotingSession',
+      targetId: id,
+      before: votingSession
+    });
 
     res.json({
       message: 'Voting session and associated votes deleted successfully',
@@ -214,12 +542,25 @@ const assignUsersToSession = async (req, res) => {
       return res.status(400).json({ message: 'Some user IDs are invalid' });
     }
 
+    const previousSession = await VotingSession.findById(id);
+    if (!previousSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
     const votingSession = await VotingSession.assignUsersToSession(id, userIds);
 
     if (!votingSession) {
       return res.status(404).json({ message: 'Voting session not found' });
     }
 
+    await auditAction(req, {
+      action: 'votingSession.assignUsers',
+      targetType: 'VotingSession',
+      targetId: id,
+      before: { assignedUsers: previousSession.assignedUsers.map(user => user._id) },
+      after: { assignedUsers: votingSession.assignedUsers.map(user => user._id) }
+    });
+
     res.json({
       message: 'Users assigned to voting session successfully',
       votingSession
@@ -240,12 +581,25 @@ const removeUsersFromSession = async (req, res) => {
       return res.status(400).json({ message: 'User IDs array is required' });
     }
 
+    const previousSession = await VotingSession.findById(id);
+    if (!previousSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
     const votingSession = await VotingSession.removeUsersFromSession(id, userIds);
 
     if (!votingSession) {
       return res.status(404).json({ message: 'Voting session not found' });
     }
 
+    await auditAction(req, {
+      action: 'votingSession.removeUsers',
+      targetType: 'VotingSession',
+      targetId: id,
+      before: { assignedUsers: previousSession.assignedUsers.map(user => user._id) },
+      after: { assignedUsers: votingSession.assignedUsers.map(user => user._id) }
+    });
+
     res.json({
       message: 'Users removed from voting session successfully',
       votingSession
@@ -266,6 +620,23 @@ const addCandidateToSession = async (req, res) => {
       return res.status(400).json({ message: 'Candidate name is required' });
     }
 
+    const existingSession = await VotingSession.findById(id);
+    if (!existingSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    if (existingSession.votingMethod === 'referendum') {
+      return res.status(400).json({ message: 'Referendum options cannot be changed' });
+    }
+
+    if (existingSession.status === 'archived') {
+      return res.status(400).json({ message: 'Archived voting sessions cannot be changed' });
+    }
+
+    if (homomorphicCandidatesFixed(existingSession)) {
+      return res.status(400).json({ message: 'Candidates of a homomorphic voting session cannot be changed once it has opened' });
+    }
+
     const candidate = {
       name: name.trim(),
       description: description.trim()
@@ -273,9 +644,13 @@ const addCandidateToSession = async (req, res) => {
 
     const votingSession = await VotingSession.addCandidate(id, candidate);
 
-    if (!votingSession) {
-      return res.status(404).json({ message: 'Voting session not found' });
-    }
+    await auditAction(req, {
+      action: 'votingSession.addCandidate',
+      targetType: 'VotingSession',
+      targetId: id,
+      before: { candidates: existingSession.candidates },
+      after: { candidates: votingSession.candidates }
+    });
 
     res.json({
       message: 'Candidate added to voting session successfully',
@@ -293,12 +668,43 @@ const removeCandidateFromSession = async (req, res) => {
   try {
     const { id, candidateId } = req.params;
 
-    const votingSession = await VotingSession.removeCandidate(id, candidateId);
-
-    if (!votingSession) {
+    const existingSession = await VotingSession.findById(id);
+    if (!existingSession) {
       return res.status(404).json({ message: 'Voting session not found' });
     }
 
+    if (existingSession.votingMethod === 'referendum') {
+      return res.status(400).json({ message: 'Referendum options cannot be changed' });
+    }
+
+    if (existingSession.status === 'archived') {
+      return res.status(400).json({ message: 'Archived voting sessions cannot be changed' });
+    }
+
+    if (homomorphicCandidatesFixed(existingSession)) {
+      return res.status(400).json({ message: 'Candidates of a homomorphic voting session cannot be changed once it has opened' });
+    }
+
+    const candidate = existingSession.candidates.find(c => c._id.toString() === candidateId);
+    if (!candidate) {
+      return res.status(404).json({ message: 'Candidate not found in this voting session' });
+    }
+
+    // Once voting has started, dropping a candidate would silently discard their votes
+    if (existingSession.status !== 'draft' && await Vote.candidateHasVotes(id, candidate)) {
+      return res.status(400).json({ message: 'Cannot remove a candidate who already has votes' });
+    }
+
+    const votingSession = await VotingSession.removeCandidate(id, candidateId);
+
+    await auditAction(req, {
+      action: 'votingSession.removeCandidate',
+      targetType: 'VotingSession',
+      targetId: id,
+      before: { candidates: existingSession.candidates },
+      after: { candidates: votingSession.candidates }
+    });
+
     res.json({
       message: 'Candidate removed from voting session successfully',
       votingSession
@@ -309,6 +715,143 @@ const removeCandidateFromSession = async (req, res) => {
   }
 };
 
+// Hand a trustee their key share of an encrypted session; each share can be collected once
+const getTrusteeShare = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const votingSession = await VotingSession.findById(id);
+    if (!votingSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    if (!VotingSession.usesTrustees(votingSession)) {
+      return res.status(400).json({ message: 'This voting session does not encrypt its ballots' });
+    }
+
+    if (!votingSession.trustees.some(trusteeId => trusteeId.toString() === req.user._id.toString())) {
+      return res.status(403).json({ message: 'You are not a trustee of this voting session' });
+    }
+
+    const share = await TrusteeShare.issue(id, req.user._id);
+    if (!share) {
+      return res.status(410).json({ message: 'Your share has already been collected' });
+    }
+    // The scheduler may have been waiting on this share to open the session
+    await VotingSession.clearScheduleError(id);
+
+    res.json({
+      message: 'Keep this share safe; it cannot be retrieved again',
+      share,
+      trusteeThreshold: votingSession.trusteeThreshold,
+      totalTrustees: votingSession.trustees.length
+    });
+  } catch (error) {
+    console.error('Get trustee share error:', error);
+    res.status(500).json({ message: 'Server error retrieving trustee share' });
+  }
+};
+
+// Hand a share back once the session has closed; the ballots are decrypted as soon
+// as enough trustees have done so
+const submitTrusteeShareForSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { share } = req.body;
+
+    if (!share || typeof share !== 'string') {
+      return res.status(400).json({ message: 'Share is required' });
+    }
+
+    const votingSession = await VotingSession.findById(id);
+    if (!votingSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    if (!VotingSession.usesTrustees(votingSession)) {
+      return res.status(400).json({ message: 'This voting session does not encrypt its ballots' });
+    }
+
+    if (!votingSession.trustees.some(trusteeId => trusteeId.toString() === req.user._id.toString())) {
+      return res.status(403).json({ message: 'You are not a trustee of this voting session' });
+    }
+
+    if (votingSession.status !== 'closed') {
+      return res.status(400).json({ message: 'Shares can only be submitted once the voting session is closed' });
+    }
+
+    if (votingSession.ballotsDecryptedAt) {
+      return res.status(409).json({ message: 'Ballots have already been decrypted' });
+    }
+
+    const result = await submitTrusteeShare(votingSession, req.user._id, share);
+    if (result.error) {
+      const { error, ...progress } = result;
+      return res.status(400).json({ message: error, ...progress });
+    }
+
+    if (result.decrypted) {
+      await auditAction(req, {
+        action: 'votingSession.decryptBallots',
+        targetType: 'VotingSession',
+        targetId: id,
+        before: { ballotsDecryptedAt: null },
+        after: { ballotsDecryptedAt: new Date(), ballots: result.ballots, homomorphicTally: result.homomorphicTally }
+      });
+    }
+
+    res.json({
+      message: result.decrypted ? 'Ballots decrypted; results are now available' : 'Share accepted',
+      ...result
+    });
+  } catch (error) {
+    console.error('Submit trustee share error:', error);
+    res.status(500).json({ message: 'Server error submitting trustee share' });
+  }
+};
+
+// Apply a lifecycle action to a voting session on behalf of the requesting admin
+const transitionVotingSession = async (req, res, action) => {
+  try {
+    const { id } = req.params;
+
+    const previousSession = await VotingSession.findById(id);
+    if (!previousSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const result = await transitionSession(previousSession, action, req.user._id);
+    if (result.error) {
+      return res.status(400).json({ message: result.error, status: previousSession.status });
+    }
+
+    await auditAction(req, {
+      action: `votingSession.${action}`,
+      targetType: 'VotingSession',
+      targetId: id,
+      before: { status: previousSession.status },
+      after: { status: result.votingSession.status }
+    });
+
+    res.json({
+      message: `Voting session ${result.votingSession.status}`,
+      votingSession: result.votingSession,
+      runoffSession: result.runoffSession
+    });
+  } catch (error) {
+    console.error(`Voting session ${action} error:`, error);
+    res.status(500).json({ message: `Server error trying to ${action} voting session` });
+  }
+};
+
+const startNominationsForSession = (req, res) => transitionVotingSession(req, res, 'startNominations');
+const openVotingSession = (req, res) => transitionVotingSession(req, res, 'open');
+const pauseVotingSession = (req, res) => transitionVotingSession(req, res, 'pause');
+const resumeVotingSession = (req, res) => transitionVotingSession(req, res, 'resume');
+const closeVotingSession = (req, res) => transitionVotingSession(req, res, 'close');
+const reopenVotingSession = (req, res) => transitionVotingSession(req, res, 'reopen');
+const archiveVotingSession = (req, res) => transitionVotingSession(req, res, 'archive');
+
 module.exports = {
   createVotingSession,
   getAllVotingSessions,
@@ -319,5 +862,14 @@ module.exports = {
   assignUsersToSession,
   removeUsersFromSession,
   addCandidateToSession,
-  removeCandidateFromSession
+  removeCandidateFromSession,
+  getTrusteeShare,
+  submitTrusteeShareForSession,
+  startNominationsForSession,
+  openVotingSession,
+  pauseVotingSession,
+  resumeVotingSession,
+  closeVotingSession,
+  reopenVotingSession,
+  archiveVotingSession
 };
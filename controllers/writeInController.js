@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const VotingSession = require('../models/VotingSession');
+const WriteIn = require('../models/WriteIn');
+const { auditAction } = require('../services/audit');
+const { syncWriteIns } = require('../services/writeIns');
+const { normalizeName } = require('../utils/writeIns');
+
+// Merges can chain; this bounds following them when checking for cycles
+const MAX_MERGE_DEPTH = 20;
+
+// Load the session and write-in of a moderation request, answering 404 or 400 when
+// either is missing or the session can no longer change. Null once a response is sent
+const findModeratedWriteIn = async (req, res) => {
+  const { id, writeInId } = req.params;
+
+  const votingSession = await VotingSession.findById(id);
+  if (!votingSession) {
+    res.status(404).json({ message: 'Voting session not found' });
+    return null;
+  }
+  if (votingSession.status === 'archived') {
+    res.status(400).json({ message: 'Archived voting sessions cannot be changed' });
+    return null;
+  }
+
+  const writeIn = await WriteIn.findForSession(id, writeInId);
+  if (!writeIn) {
+    res.status(404).json({ message: 'Write-in not found' });
+    return null;
+  }
+  if (writeIn.status !== 'pending') {
+    res.status(400).json({ message: `This write-in has already been ${writeIn.status}` });
+    return null;
+  }
+
+  return { votingSession, writeIn };
+};
+
+// List a session's write-ins with their votes and what they currently count for (admin only)
+const getWriteIns = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.query;
+
+    const votingSession = await VotingSession.findById(id);
+    if (!votingSession) {
+      return res.status(404).json({ message: 'Voting session not found' });
+    }
+
+    const votesByKey = await syncWriteIns(votingSession);
+    const [entries, resolutions] = await Promise.all([
+      WriteIn.findBySessionId(id, { status }),
+      WriteIn.getResolutions(id)
+    ]);
+
+    const writeIns = entries.map(entry => ({
+      ...entry.toObject(),
+      voteCount: votesByKey.get(entry.key) || 0,
+      countsFor: resolutions.get(entry.key)
+    }));
+
+    res.json({
+      message: 'Write-ins retrieved successfully',
+      writeIns,
+      totalWriteIns: writeIns.length,
+      pendingCount: writeIns.filter(writeIn => writeIn.status === 'pending').length
+    });
+  } catch (error) {
+    console.error('Get write-ins error:', error);
+    res.status(500).json({ message: 'Server error retrieving write-ins' });
+  }
+};
+
+// Count a write-in for a listed candidate ({ candidateId }) or for another write-in
+// ({ writeInId }) from now on (admin only)
+const mergeWriteIn = async (req, res) => {
+  try {
+    const { id, writeInId } = req.params;
+    const { candidateId, writeInId: targetId } = req.body;
+
+    if (!candidateId === !targetId) {
+      return res.status(400).json({ message: 'Provide either candidateId or writeInId to merge into' });
+    }
+
+    const found = await findModeratedWriteIn(req, res);
+    if (!found) return;
+    const { votingSession, writeIn } = found;
+
+    let update;
+    if (candidateId) {
+      const candidate = votingSession.candidates.find(c => c._id.toString() === String(candidateId));
+      if (!candidate) {
+        return res.status(404).json({ message: 'Candidate not found in this voting session' });
+      }
+      update = { status: 'merged', candidateId: candidate._id, candidateName: candidate.name };
+    } else {
+      if (String(targetId) === writeInId) {
+        return res.status(400).json({ message: 'A write-in cannot be merged into itself' });
+      }
+
+      const target = await WriteIn.findForSession(id, targetId);
+      if (!target) {
+        return res.status(404).json({ message: 'Write-in to merge into not found' });
+      }
+      if (target.status === 'rejected') {
+        return res.status(400).json({ message: 'Cannot merge into a rejected write-in' });
+      }
+
+      // Refuse merges that would make write-ins count for each other in a loop
+      let current = target;
+      for (let depth = 0; current && current.mergedIntoWriteIn && depth < MAX_MERGE_DEPTH; depth++) {
+        if (current.mergedIntoWriteIn.toString() === writeInId) {
+          return res.status(400).json({ message: 'That write-in has already been merged into this one' });
+        }
+        current = await WriteIn.findForSession(id, current.mergedIntoWriteIn);
+      }
+
+      update = target.candidateId
+        ? { status: 'merged', candidateId: target.candidateId, candidateName: target.candidateName }
+        : { status: 'merged', mergedIntoWriteIn: target._id };
+    }
+
+    const mergedWriteIn = await WriteIn.review(writeInId, req.user._id, update);
+    if (!mergedWriteIn) {
+      return res.status(409).json({ message: 'This write-in changed in the meantime; reload and try again' });
+    }
+
+    await auditAction(req, {
+      action: 'writeIn.merge',
+      targetType: 'WriteIn',
+      targetId: writeInId,
+      before: writeIn,
+      after: mergedWriteIn
+    });
+
+    res.json({
+      message: 'Write-in merged successfully',
+      writeIn: mergedWriteIn
+    });
+  } catch (error) {
+    console.error('Merge write-in error:', error);
+    res.status(500).json({ message: 'Server error merging write-in' });
+  }
+};
+
+// Make a write-in an official candidate that voters can pick from now on (admin only)
+const promoteWriteIn = async (req, res) => {
+  try {
+    const { id, writeInId } = req.params;
+
+    const found = await findModeratedWriteIn(req, res);
+    if (!found) return;
+    const { votingSession, writeIn } = found;
+
+    if (votingSession.votingMethod === 'referendum' || votingSession.tallyMode === 'homomorphic') {
+      return res.status(400).json({ message: 'Candidates of this voting session cannot be changed' });
+    }
+
+    const listed = votingSession.candidates.find(c => normalizeName(c.name) === writeIn.key);
+    if (listed) {
+      return res.status(409).json({
+        message: `${listed.name} is already a candidate; merge the write-in into it instead`,
+        candidateId: listed._id
+      });
+    }
+
+    // Claim the write-in before adding the candidate so it is only added once
+    const candidateId = new mongoose.Types.ObjectId();
+    const promotedWriteIn = await WriteIn.review(writeInId, req.user._id, {
+      status: 'promoted',
+      candidateId,
+      candidateName: writeIn.name
+    });
+    if (!promotedWriteIn) {
+      return res.status(409).json({ message: 'This write-in changed in the meantime; reload and try again' });
+    }
+
+    const candidate = { _id: candidateId, name: writeIn.name, description: '' };
+    const updatedSession = await VotingSession.addCandidate(id, candidate);
+
+    await auditAction(req, {
+      action: 'writeIn.promote',
+      targetType: 'WriteIn',
+      targetId: writeInId,
+      before: writeIn,
+      after: promotedWriteIn
+    });
+
+    res.json({
+      message: 'Write-in promoted to an official candidate',
+      writeIn: promotedWriteIn,
+      votingSession: updatedSession,
+      addedCandidate: candidate
+    });
+  } catch (error) {
+    console.error('Promote write-in error:', error);
+    res.status(500).json({ message: 'Server error promoting write-in' });
+  }
+};
+
+// Stop a write-in, e.g. an abusive one, from counting for anyone (admin only)
+const rejectWriteIn = async (req, res) => {
+  try {
+    const { writeInId } = req.params;
+    const { reason } = req.body;
+
+    const found = await findModeratedWriteIn(req, res);
+    if (!found) return;
+    const { writeIn } = found;
+
+    const rejectedWriteIn = await WriteIn.review(writeInId, req.user._id, {
+      status: 'rejected',
+      rejectionReason: reason ? String(reason).trim() : undefined
+    });
+    if (!rejectedWriteIn) {
+      return res.status(409).json({ message: 'This write-in changed in the meantime; reload and try again' });
+    }
+
+    await auditAction(req, {
+      action: 'writeIn.reject',
+      targetType: 'WriteIn',
+      targetId: writeInId,
+      before: writeIn,
+      after: rejectedWriteIn
+    });
+
+    res.json({
+      message: 'Write-in rejected',
+      writeIn: rejectedWriteIn
+    });
+  } catch (error) {
+    console.error('Reject write-in error:', error);
+    res.status(500).json({ message: 'Server error rejecting write-in' });
+  }
+};
+
+module.exports = {
+  getWriteIns,
+  mergeWriteIn,
+  promoteWriteIn,
+  rejectWriteIn
+};
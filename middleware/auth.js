@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+const { isTwoFactorMandatory } = require('../services/twoFactor');
 
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -10,27 +12,51 @@ const authenticateToken = async (req, res, next) => {
     return res.status(401).json({ message: 'Access token required' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(403).json({ message: 'Invalid or expired token' });
+  }
+
+  try {
+    // Tokens only stay good while the session they were issued for is open;
+    // tokens from before sessions existed carry none and are refused
+    const session = decoded.sid && await AuthSession.findActive(decoded.sid, decoded.id);
+    if (!session) {
+      return res.status(401).json({ message: 'Token has been revoked' });
+    }
+
     // Find the user to get complete user info
     const fullUser = await User.findById(decoded.id);
     if (!fullUser) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (User.passwordChangedSince(fullUser, AuthSession.authenticatedAt(session))) {
+      return res.status(401).json({ message: 'Password has changed since this session started; please log in again' });
+    }
+
     req.user = fullUser;
+    req.authSessionId = decoded.sid;
     next();
   } catch (err) {
-    return res.status(403).json({ message: 'Invalid or expired token' });
+    next(err);
   }
 };
 
-// Middleware to verify admin role
+// Middleware to verify admin role. When two-factor authentication is mandatory for
+// admins, those who have not enrolled yet are sent to do so first
 const requireAdmin = (req, res, next) => {
   if (!req.user || req.user.role !== 'admin') {
     return res.status(403).json({ message: 'Admin access required' });
   }
+  if (isTwoFactorMandatory(req.user) && !User.isTwoFactorEnabled(req.user)) {
+    return res.status(403).json({
+      message: 'Set up two-factor authentication before using admin features',
+      twoFactorSetupRequired: true
+    });
+  }
   next();
 };
 
@@ -42,8 +68,18 @@ const requireUser = (req, res, next) => {
   next();
 };
 
+// Middleware for casting and changing votes: accounts that have not confirmed their
+// email address yet are turned away. Everything else stays open to them
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user || !User.isEmailVerified(req.user)) {
+    return res.status(403).json({ message: 'Please verify your email address first', emailVerified: false });
+  }
+  next();
+};
+
 module.exports = {
   authenticateToken,
   requireAdmin,
-  requireUser
+  requireUser,
+  requireVerifiedEmail
 };
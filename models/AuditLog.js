@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const { GENESIS_HASH, hashEntry, verifyChain } = require('../utils/hashChain');
+
+// Append-only record of administrative actions. Entries are hash-chained in
+// sequence order, so editing, deleting or reordering any of them is detectable
+const auditLogSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  previousHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  actor: {
+    id: { type: String },
+    username: { type: String },
+    role: { type: String }
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  target: {
+    type: { type: String, required: true },
+    id: { type: String }
+  },
+  // Only the fields that changed, as they were before and after the action
+  changes: {
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed }
+  },
+  ip: {
+    type: String
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  }
+}, {
+  minimize: false
+});
+
+// The newest entry's sequence and hash, kept apart from the entries themselves.
+// The chain alone cannot show that entries were cut off its end; the head can
+const HEAD_ID = 'audit-log';
+const auditHeadSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+auditLogSchema.index({ action: 1, timestamp: -1 });
+auditLogSchema.index({ 'actor.id': 1, timestamp: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, timestamp: -1 });
+
+// Entries are never changed or removed through the application
+const refuseChange = function() {
+  throw new Error('Audit log entries cannot be modified or deleted');
+};
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], refuseChange);
+auditLogSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], refuseChange);
+auditLogSchema.pre('save', function() {
+  if (!this.isNew) {
+    refuseChange();
+  }
+});
+
+// Everything the hash covers
+const entryPayload = (entry) => ({
+  sequence: entry.sequence,
+  timestamp: entry.timestamp,
+  actor: {
+    id: entry.actor.id,
+    username: entry.actor.username,
+    role: entry.actor.role
+  },
+  action: entry.action,
+  target: {
+    type: entry.target.type,
+    id: entry.target.id
+  },
+  changes: {
+    before: entry.changes.before,
+    after: entry.changes.after
+  },
+  ip: entry.ip
+});
+
+// Plain JSON, so the stored value hashes the same once read back
+const toPlain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+const APPEND_ATTEMPTS = 5;
+
+class AuditLog {
+  // Append an entry at the head of the chain; concurrent appends collide on the
+  // unique sequence and retry against the new head
+  static async record({ actor, action, target, before, after, ip }) {
+    for (let attempt = 0; attempt < APPEND_ATTEMPTS; attempt++) {
+      const head = await AuditLogModel.findOne().sort({ sequence: -1 }).select('sequence hash');
+
+      const entry = new AuditLogModel({
+        sequence: head ? head.sequence + 1 : 1,
+        previousHash: head ? head.hash : GENESIS_HASH,
+        actor: {
+          id: actor && actor._id ? actor._id.toString() : null,
+          username: actor ? actor.username : null,
+          role: actor ? actor.role : null
+        },
+        action,
+        target: {
+          type: target.type,
+          id: target.id ? target.id.toString() : null
+        },
+        changes: {
+          before: toPlain(before),
+          after: toPlain(after)
+        },
+        ip: ip || null,
+        timestamp: new Date()
+      });
+      entry.hash = hashEntry(entry.previousHash, entryPayload(entry));
+
+      try {
+        await entry.save();
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        continue;
+      }
+
+      await advanceHead(entry);
+      return entry;
+    }
+
+    throw new Error('Could not append to the audit log');
+  }
+
+  // Filter by actor, action, target and time range; newest first
+  static async search({ actorId, action, targetType, targetId, from, to, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (actorId) query['actor.id'] = actorId;
+    if (action) query.action = action;
+    if (targetType) query['target.type'] = targetType;
+    if (targetId) query['target.id'] = targetId;
+    if (from || to) {
+      query.timestamp = {};
+      if (from) query.timestamp.$gte = from;
+      if (to) query.timestamp.$lte = to;
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLogModel.find(query)
+        .sort({ sequence: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLogModel.countDocuments(query)
+    ]);
+
+    return { entries, total, page, limit };
+  }
+
+  // Recompute the whole chain from the genesis hash, then check it still reaches the
+  // recorded head, so entries removed from the end are noticed too
+  static async verify() {
+    const entries = await AuditLogModel.find().sort({ sequence: 1 });
+    const verification = verifyChain(entries.map(entry => ({
+      sequence: entry.sequence,
+      previousHash: entry.previousHash,
+      hash: entry.hash,
+      payload: entryPayload(entry)
+    })));
+    if (!verification.valid) {
+      return verification;
+    }
+
+    const head = await AuditHeadModel.findById(HEAD_ID);
+    const failure = (reason) => ({ valid: false, length: entries.length, brokenAt: entries.length, reason });
+    if (!head) {
+      return entries.length > 0 ? failure('The recorded head of the audit log is missing') : verification;
+    }
+    if (entries.length < head.sequence) {
+      return failure(`Expected at least ${head.sequence} entries but found ${entries.length}`);
+    }
+    if (entries[head.sequence - 1].hash !== head.hash) {
+      return failure(`Entry ${head.sequence} does not match the recorded head of the audit log`);
+    }
+
+    return verification;
+  }
+}
+
+// Move the head forward to a newly saved entry. Appends can finish out of order, so
+// the head only ever moves to a later sequence
+const advanceHead = async (entry) => {
+  try {
+    await AuditHeadModel.updateOne(
+      { _id: HEAD_ID, sequence: { $lt: entry.sequence } },
+      { $set: { sequence: entry.sequence, hash: entry.hash } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // The head is already at a later entry, so the upsert found nothing to update
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+};
+
+const AuditLogModel = mongoose.model('AuditLog', auditLogSchema);
+const AuditHeadModel = mongoose.model('AuditHead', auditHeadSchema);
+
+module.exports = AuditLog;
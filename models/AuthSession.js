@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Access tokens name the session they belong to, so revoking
+// it cuts them off before they expire. The session also holds the hash of its one
+// valid refresh token, which is replaced every time it is used
+const authSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  // When the user last entered their password for this session. Sessions from
+  // before a password change are refused even if they were never revoked
+  authenticatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+authSessionSchema.index({ userId: 1, revokedAt: 1 });
+// MongoDB removes sessions once they have expired
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const activeQuery = (now = new Date()) => ({ revokedAt: { $exists: false }, expiresAt: { $gt: now } });
+
+class AuthSession {
+  static async create({ _id, userId, refreshTokenHash, expiresAt, ip, userAgent }) {
+    const session = new AuthSessionModel({ _id, userId, refreshTokenHash, expiresAt, ip, userAgent });
+    await session.save();
+    return session;
+  }
+
+  static async findById(id) {
+    return await AuthSessionModel.findById(id);
+  }
+
+  static async findActive(id, userId) {
+    return await AuthSessionModel.findOne({ _id: id, userId, ...activeQuery() })
+      .select('authenticatedAt createdAt');
+  }
+
+  // Sessions from before authenticatedAt existed count from when they started
+  static authenticatedAt(session) {
+    return session.authenticatedAt || session.createdAt;
+  }
+
+  // The user entered their password again on this session, e.g. to change it
+  static async reauthenticate(id) {
+    await AuthSessionModel.updateOne({ _id: id }, { authenticatedAt: new Date() });
+  }
+
+  // Swap the refresh token, but only if the one presented is still the current one.
+  // Null otherwise, which is how a replayed refresh token shows up
+  static async rotate(id, presentedHash, nextHash) {
+    return await AuthSessionModel.findOneAndUpdate(
+      { _id: id, refreshTokenHash: presentedHash, ...activeQuery() },
+      { refreshTokenHash: nextHash, lastUsedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  static async revoke(id, reason) {
+    return await AuthSessionModel.findOneAndUpdate(
+      { _id: id, revokedAt: { $exists: false } },
+      { revokedAt: new Date(), revokedReason: reason },
+      { new: true }
+    );
+  }
+
+  // Sign a user out everywhere, optionally except the session in use; returns how
+  // many sessions were still open
+  static async revokeAllForUser(userId, reason, { except } = {}) {
+    const query = { userId, revokedAt: { $exists: false } };
+    if (except) query._id = { $ne: except };
+    const result = await AuthSessionModel.updateMany(
+      query,
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount;
+  }
+}
+
+const AuthSessionModel = mongoose.model('AuthSession', authSessionSchema);
+
+module.exports = AuthSession;
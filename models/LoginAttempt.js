@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const SCOPES = ['account', 'ip'];
+const RECORD_ATTEMPTS = 3;
+
+// Recent failed logins for one account or one client IP. Kept in the database so
+// the counts survive restarts and are shared by every instance. A record lives
+// until its window and any lockout have passed, then MongoDB removes it
+const loginAttemptSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: SCOPES,
+    required: true
+  },
+  // User id for known accounts, "unknown:<name>" for names that match no account,
+  // or the IP address
+  identifier: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  firstFailureAt: {
+    type: Date
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  lastIp: {
+    type: String
+  },
+  // Random token of the request that made the latest counted attempt
+  lastAttemptId: {
+    type: String
+  },
+  // No further attempt is considered before this time
+  nextAttemptAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginAttemptSchema.index({ scope: 1, identifier: 1 }, { unique: true });
+// MongoDB removes records once they have expired
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// A single try of LoginAttempt.recordAttempt
+const countAttempt = async (scope, identifier, { windowMs, maxFailures, userId, ip }) => {
+  const now = new Date();
+  const attemptId = crypto.randomBytes(12).toString('hex');
+  const live = { $gt: ['$expiresAt', now] };
+  const refused = {
+    $and: [live, {
+      $or: [
+        { $gt: ['$lockedUntil', now] },
+        { $gt: ['$nextAttemptAt', now] },
+        { $gte: ['$failures', maxFailures] }
+      ]
+    }]
+  };
+  const unlessRefused = (field, value) => ({ $cond: [refused, `$${field}`, value] });
+  const windowEnd = new Date(now.getTime() + windowMs);
+
+  const record = await LoginAttemptModel.findOneAndUpdate(
+    { scope, identifier },
+    [{
+      $set: {
+        // Strings are wrapped in $literal so none can be read as a field path
+        scope: { $literal: scope },
+        identifier: { $literal: identifier },
+        failures: unlessRefused('failures', { $cond: [live, { $add: ['$failures', 1] }, 1] }),
+        firstFailureAt: { $cond: [live, '$firstFailureAt', now] },
+        nextAttemptAt: { $cond: [live, '$nextAttemptAt', null] },
+        lockedUntil: { $cond: [live, '$lockedUntil', null] },
+        expiresAt: unlessRefused('expiresAt', { $cond: [live, { $max: ['$expiresAt', windowEnd] }, windowEnd] }),
+        lastFailureAt: unlessRefused('lastFailureAt', now),
+        lastAttemptId: unlessRefused('lastAttemptId', { $literal: attemptId }),
+        ...(userId ? { userId: unlessRefused('userId', userId) } : {}),
+        ...(ip ? { lastIp: unlessRefused('lastIp', { $literal: ip }) } : {})
+      }
+    }],
+    { new: true, upsert: true }
+  );
+
+  return { record, counted: record.lastAttemptId === attemptId };
+};
+
+class LoginAttempt {
+  // The live record for scope/identifier. The TTL monitor only runs once a minute,
+  // so expired records are ignored here rather than trusted to be gone
+  static async find(scope, identifier) {
+    return await LoginAttemptModel.findOne({ scope, identifier, expiresAt: { $gt: new Date() } });
+  }
+
+  // Count an attempt as a failure before its password or code is checked, starting
+  // over when the previous record has expired. Nothing is counted while the record
+  // is locked, waiting out a delay or already at maxFailures. The check and the
+  // count are one update, so concurrent attempts each see the count left by the
+  // ones before them. Returns { record, counted }
+  static async recordAttempt(scope, identifier, { windowMs, maxFailures, userId, ip }) {
+    for (let attempt = 0; attempt < RECORD_ATTEMPTS; attempt++) {
+      try {
+        return await countAttempt(scope, identifier, { windowMs, maxFailures, userId, ip });
+      } catch (error) {
+        // Two first attempts raced to create the record; the next try counts
+        // against the one that was created
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+
+    throw new Error('Could not record login attempt, please try again');
+  }
+
+  // Take back an attempt counted by recordAttempt once it turned out to succeed
+  static async refundAttempt(id) {
+    await LoginAttemptModel.updateOne({ _id: id, failures: { $gt: 0 } }, { $inc: { failures: -1 } });
+  }
+
+  // Push back the next allowed attempt and the lockout; never brings them forward,
+  // so concurrent failures cannot shorten each other's penalty
+  static async extendPenalty(id, { nextAttemptAt, lockedUntil }) {
+    const later = {};
+    if (nextAttemptAt) later.nextAttemptAt = nextAttemptAt;
+    if (lockedUntil) {
+      later.lockedUntil = lockedUntil;
+      later.expiresAt = lockedUntil;
+    }
+    return await LoginAttemptModel.findByIdAndUpdate(id, { $max: later }, { new: true });
+  }
+
+  static async clear(scope, identifier) {
+    const result = await LoginAttemptModel.deleteOne({ scope, identifier });
+    return result.deletedCount > 0;
+  }
+
+  static async findById(id) {
+    return await LoginAttemptModel.findOne({ _id: id, expiresAt: { $gt: new Date() } });
+  }
+
+  static async deleteById(id) {
+    return await LoginAttemptModel.findByIdAndDelete(id);
+  }
+
+  // Live records, most recent failure first; { lockedOnly } keeps the locked ones
+  static async findRecent({ scope, lockedOnly = false } = {}) {
+    const now = new Date();
+    const query = { expiresAt: { $gt: now } };
+    if (scope) query.scope = scope;
+    if (lockedOnly) query.lockedUntil = { $gt: now };
+    return await LoginAttemptModel.find(query)
+      .populate('userId', 'username email role')
+      .sort({ lastFailureAt: -1 });
+  }
+}
+
+LoginAttempt.SCOPES = SCOPES;
+
+const LoginAttemptModel = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+// pending: waiting for the nominee to accept or decline
+// accepted/declined: the nominee's answer, which they may change until it is reviewed
+// approved/rejected: an admin's decision; approved nominations become candidates
+const NOMINATION_STATUSES = ['pending', 'accepted', 'declined', 'approved', 'rejected'];
+// Statuses in which a nomination has not been reviewed yet
+const OPEN_STATUSES = ['pending', 'accepted', 'declined'];
+
+// A member proposed as a candidate of a session during its nomination phase
+const nominationSchema = new mongoose.Schema({
+  votingSessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VotingSession',
+    required: true
+  },
+  nomineeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  nominatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  statement: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  seconds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  status: {
+    type: String,
+    enum: NOMINATION_STATUSES,
+    default: 'pending'
+  },
+  respondedAt: {
+    type: Date
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // The candidate an approved nomination became
+  candidateId: {
+    type: mongoose.Schema.Types.ObjectId
+  }
+}, {
+  timestamps: true
+});
+
+// A member can only be nominated once per session; others second the nomination instead
+nominationSchema.index({ votingSessionId: 1, nomineeId: 1 }, { unique: true });
+
+const populateUsers = (query) => query
+  .populate('nomineeId', 'username email')
+  .populate('nominatedBy', 'username email')
+  .populate('seconds', 'username email');
+
+class Nomination {
+  // Nominating yourself counts as accepting
+  static async create(votingSessionId, nomineeId, nominatedBy, statement = '') {
+    const selfNomination = nomineeId.toString() === nominatedBy.toString();
+    const nomination = new NominationModel({
+      votingSessionId,
+      nomineeId,
+      nominatedBy,
+      statement,
+      status: selfNomination ? 'accepted' : 'pending',
+      respondedAt: selfNomination ? new Date() : undefined
+    });
+    await nomination.save();
+    return await Nomination.findById(nomination._id);
+  }
+
+  static async findById(id) {
+    return await populateUsers(NominationModel.findById(id));
+  }
+
+  static async findBySessionId(votingSessionId, { status } = {}) {
+    const query = { votingSessionId };
+    if (status) query.status = status;
+    return await populateUsers(NominationModel.find(query).sort({ createdAt: 1 }));
+  }
+
+  static async findForSession(votingSessionId, nominationId) {
+    return await populateUsers(NominationModel.findOne({ _id: nominationId, votingSessionId }));
+  }
+
+  // Adding the same seconder twice has no effect
+  static async second(nominationId, userId) {
+    return await populateUsers(NominationModel.findOneAndUpdate(
+      { _id: nominationId, status: { $in: OPEN_STATUSES } },
+      { $addToSet: { seconds: userId } },
+      { new: true }
+    ));
+  }
+
+  // The nominee's answer; null once the nomination has been reviewed
+  static async respond(nominationId, nomineeId, accept) {
+    return await populateUsers(NominationModel.findOneAndUpdate(
+      { _id: nominationId, nomineeId, status: { $in: OPEN_STATUSES } },
+      { status: accept ? 'accepted' : 'declined', respondedAt: new Date() },
+      { new: true }
+    ));
+  }
+
+  // Record an admin's decision; null when the nomination is no longer in fromStatuses,
+  // so two admins reviewing at once cannot both apply theirs
+  static async review(nominationId, fromStatuses, { status, reviewedBy, rejectionReason, candidateId }) {
+    return await populateUsers(NominationModel.findOneAndUpdate(
+      { _id: nominationId, status: { $in: fromStatuses } },
+      { status, reviewedBy, reviewedAt: new Date(), rejectionReason, candidateId },
+      { new: true }
+    ));
+  }
+
+  static async deleteBySessionId(votingSessionId) {
+    await NominationModel.deleteMany({ votingSessionId });
+  }
+}
+
+Nomination.NOMINATION_STATUSES = NOMINATION_STATUSES;
+Nomination.OPEN_STATUSES = OPEN_STATUSES;
+
+const NominationModel = mongoose.model('Nomination', nominationSchema);
+
+module.exports = Nomination;
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const RECORD_ATTEMPTS = 3;
+
+// Who has voted in a secret-ballot session or poll: one document per session or
+// poll listing its voters, kept sorted by user id. Ballot content lives in Vote
+// without any reference back to the voter. Nothing here follows the order people
+// voted in (no per-voter rows, no timestamps, a random id), so participation cannot
+// be lined up against the order of the session's ballot hash chain
+const participationSchema = new mongoose.Schema({
+  _id: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: () => new mongoose.Types.ObjectId(crypto.randomBytes(12).toString('hex'))
+  },
+  votingSessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VotingSession'
+  },
+  pollId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poll'
+  },
+  voters: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  versionKey: false
+});
+
+// One list per voting session / poll
+participationSchema.index(
+  { votingSessionId: 1 },
+  { unique: true, partialFilterExpression: { votingSessionId: { $exists: true } } }
+);
+participationSchema.index(
+  { pollId: 1 },
+  { unique: true, partialFilterExpression: { pollId: { $exists: true } } }
+);
+participationSchema.index({ voters: 1 });
+
+class Participation {
+  // Add the user to the target's voters in sorted position. Returns false instead
+  // of throwing when the user has already taken part, which prevents double voting
+  static async record(userId, target) {
+    for (let attempt = 0; attempt < RECORD_ATTEMPTS; attempt++) {
+      try {
+        await ParticipationModel.updateOne(
+          { ...target, voters: { $ne: userId } },
+          { $push: { voters: { $each: [userId], $sort: 1 } } },
+          { upsert: true }
+        );
+        return true;
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        // The list exists and either already holds the user, or another request
+        // created it in the meantime and this one can now add to it
+        if (await Participation.hasParticipated(userId, target)) {
+          return false;
+        }
+      }
+    }
+
+    throw new Error('Could not record participation, please try again');
+  }
+
+  static async remove(userId, target) {
+    await ParticipationModel.updateOne(target, { $pull: { voters: userId } });
+  }
+
+  static async hasParticipated(userId, target) {
+    const participation = await ParticipationModel.exists({ ...target, voters: userId });
+    return !!participation;
+  }
+
+  static async countForSession(votingSessionId) {
+    const participation = await ParticipationModel.findOne({ votingSessionId }).select('voters');
+    return participation ? participation.voters.length : 0;
+  }
+
+  static async deleteBySessionId(votingSessionId) {
+    await ParticipationModel.deleteMany({ votingSessionId });
+  }
+
+  static async deleteByPollId(pollId) {
+    await ParticipationModel.deleteMany({ pollId });
+  }
+
+  static async deleteAll() {
+    await ParticipationModel.deleteMany({});
+  }
+}
+
+const ParticipationModel = mongoose.model('Participation', participationSchema);
+
+module.exports = Participation;
@@ -59,6 +59,11 @@ const pollSchema = new mongoose.Schema({
   isAnonymous: {
     type: Boolean,
     default: false
+  },
+  // Unlike isAnonymous, ballots are stored without any link to the voter
+  secretBallot: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true
@@ -221,6 +226,30 @@ class Poll {
     );
   }
 
+  // Move a poll to another status only if it is still in the expected one, so
+  // concurrent callers cannot both apply the same change. Null when it was not
+  static async transitionStatus(pollId, fromStatus, toStatus) {
+    return await PollModel.findOneAndUpdate(
+      { _id: pollId, status: fromStatus },
+      { status: toStatus },
+      { new: true }
+    );
+  }
+
+  // Drafts whose start date has arrived and whose end date has not
+  static async findDueForActivation(now = new Date()) {
+    return await PollModel.find({
+      status: 'draft',
+      startDate: { $lte: now },
+      endDate: { $gt: now }
+    });
+  }
+
+  // Active polls whose end date has passed
+  static async findDueForEnding(now = new Date()) {
+    return await PollModel.find({ status: 'active', endDate: { $lte: now } });
+  }
+
   // Get poll statistics
   static async getPollStats() {
     const stats = await PollModel.aggregate([
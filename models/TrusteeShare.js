@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// One trustee's share of an encrypted session's private key. The share is held
+// here only until its trustee collects it, and again once they hand it back
+// for decryption after the session closes
+const trusteeShareSchema = new mongoose.Schema({
+  votingSessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VotingSession',
+    required: true
+  },
+  trusteeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  share: {
+    type: String
+  },
+  // The x coordinate of the share this trustee was issued; a share handed back
+  // must carry the same one
+  shareIndex: {
+    type: Number,
+    required: true
+  },
+  issuedAt: {
+    type: Date
+  },
+  submittedAt: {
+    type: Date
+  }
+});
+
+trusteeShareSchema.index({ votingSessionId: 1, trusteeId: 1 }, { unique: true });
+
+class TrusteeShare {
+  static async createForSession(votingSessionId, shares) {
+    return await TrusteeShareModel.insertMany(shares.map(({ trusteeId, share, shareIndex }) => ({
+      votingSessionId,
+      trusteeId,
+      share,
+      shareIndex
+    })));
+  }
+
+  // Hand a trustee their share exactly once, removing it from the server in the same
+  // update; returns null if already collected
+  static async issue(votingSessionId, trusteeId) {
+    const record = await TrusteeShareModel.findOneAndUpdate(
+      { votingSessionId, trusteeId, issuedAt: { $exists: false } },
+      { $set: { issuedAt: new Date() }, $unset: { share: 1 } },
+      { new: false }
+    );
+    return record ? record.share : null;
+  }
+
+  // Shares that have not been collected yet, or whose copy is still on the server
+  static async countUncollected(votingSessionId) {
+    return await TrusteeShareModel.countDocuments({
+      votingSessionId,
+      submittedAt: { $exists: false },
+      $or: [{ issuedAt: { $exists: false } }, { share: { $exists: true } }]
+    });
+  }
+
+  static async findForTrustee(votingSessionId, trusteeId) {
+    return await TrusteeShareModel.findOne({ votingSessionId, trusteeId });
+  }
+
+  // Store a share handed back for decryption; resubmitting replaces it
+  static async submit(votingSessionId, trusteeId, share) {
+    return await TrusteeShareModel.findOneAndUpdate(
+      { votingSessionId, trusteeId, issuedAt: { $exists: true } },
+      { $set: { share, submittedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  static async getSubmitted(votingSessionId) {
+    return await TrusteeShareModel.find({ votingSessionId, submittedAt: { $exists: true } });
+  }
+
+  static async countSubmitted(votingSessionId) {
+    return await TrusteeShareModel.countDocuments({ votingSessionId, submittedAt: { $exists: true } });
+  }
+
+  static async deleteBySessionId(votingSessionId) {
+    await TrusteeShareModel.deleteMany({ votingSessionId });
+  }
+}
+
+const TrusteeShareModel = mongoose.model('TrusteeShare', trusteeShareSchema);
+
+module.exports = TrusteeShare;
@@ -26,6 +26,45 @@ const userSchema = new mongoose.Schema({
     type: String,
     enum: ['user', 'admin'],
     default: 'user'
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Self-registered accounts start false until their address is confirmed. Accounts
+  // the server or an admin created have no value and count as verified
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Last time a verification email went out, for rate-limiting resends
+  verificationEmailSentAt: {
+    type: Date
+  },
+  // TOTP two-factor authentication. pendingSecret is held between setup and the
+  // first confirmed code; lastUsedStep stops a code from being used twice
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String
+    },
+    pendingSecret: {
+      type: String
+    },
+    backupCodeHashes: {
+      type: [String],
+      default: undefined
+    },
+    lastUsedStep: {
+      type: Number
+    },
+    enabledAt: {
+      type: Date
+    }
   }
 }, {
   timestamps: true
@@ -40,15 +79,18 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
-// Remove password from JSON output
+// Remove password and two-factor secrets from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = { enabled: !!userObject.twoFactor.enabled, enabledAt: userObject.twoFactor.enabledAt };
+  }
   return userObject;
 };
 
 class User {
-  static async create({ username, email, password, role = 'user' }) {
+  static async create({ username, email, password, role = 'user', emailVerified }) {
     // Check if user already exists
     const existingUser = await UserModel.findOne({
       $or: [{ username }, { email }]
@@ -62,13 +104,116 @@ class User {
       username,
       email,
       password,
-      role
+      role,
+      emailVerified
     });
 
     await user.save();
     return user;
   }
 
+  static isEmailVerified(user) {
+    return user.emailVerified !== false;
+  }
+
+  static async markEmailVerified(id) {
+    return await UserModel.findByIdAndUpdate(
+      id,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  // Record that a verification email is going out, unless the address is already
+  // verified or the last one went out less than intervalMs ago. Null when refused
+  static async claimVerificationEmail(id, intervalMs) {
+    return await UserModel.findOneAndUpdate(
+      {
+        _id: id,
+        emailVerified: false,
+        $or: [
+          { verificationEmailSentAt: { $exists: false } },
+          { verificationEmailSentAt: { $lte: new Date(Date.now() - intervalMs) } }
+        ]
+      },
+      { verificationEmailSentAt: new Date() },
+      { new: true }
+    );
+  }
+
+  static isTwoFactorEnabled(user) {
+    return !!(user.twoFactor && user.twoFactor.enabled);
+  }
+
+  static async setPendingTwoFactorSecret(id, secret) {
+    return await UserModel.findOneAndUpdate(
+      { _id: id, 'twoFactor.enabled': { $ne: true } },
+      { 'twoFactor.pendingSecret': secret },
+      { new: true }
+    );
+  }
+
+  // Switch two-factor authentication on with the secret the user has just proved
+  // they hold. Null when setup was restarted or finished in the meantime
+  static async enableTwoFactor(id, secret, step, backupCodeHashes) {
+    return await UserModel.findOneAndUpdate(
+      { _id: id, 'twoFactor.enabled': { $ne: true }, 'twoFactor.pendingSecret': secret },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.secret': secret,
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.backupCodeHashes': backupCodeHashes,
+          'twoFactor.enabledAt': new Date()
+        },
+        $unset: { 'twoFactor.pendingSecret': '' }
+      },
+      { new: true }
+    );
+  }
+
+  static async disableTwoFactor(id) {
+    return await UserModel.findByIdAndUpdate(
+      id,
+      { $set: { twoFactor: { enabled: false } } },
+      { new: true }
+    );
+  }
+
+  // Record a time step whose code was just accepted. Null when that step or a
+  // later one was already used, i.e. the code is being replayed
+  static async recordTotpStep(id, step) {
+    return await UserModel.findOneAndUpdate(
+      {
+        _id: id,
+        'twoFactor.enabled': true,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $exists: false } },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { 'twoFactor.lastUsedStep': step },
+      { new: true }
+    );
+  }
+
+  // Use up a backup code; null when it is not one of the user's remaining codes
+  static async useBackupCode(id, codeHash) {
+    return await UserModel.findOneAndUpdate(
+      { _id: id, 'twoFactor.enabled': true, 'twoFactor.backupCodeHashes': codeHash },
+      { $pull: { 'twoFactor.backupCodeHashes': codeHash } },
+      { new: true }
+    );
+  }
+
+  static async replaceBackupCodes(id, backupCodeHashes) {
+    return await UserModel.findOneAndUpdate(
+      { _id: id, 'twoFactor.enabled': true },
+      { 'twoFactor.backupCodeHashes': backupCodeHashes },
+      { new: true }
+    );
+  }
+
   static async findById(id) {
     return await UserModel.findById(id);
   }
@@ -93,6 +238,23 @@ class User {
     return await bcrypt.compare(plainPassword, hashedPassword);
   }
 
+  // Set a new password (hashed by the pre-save middleware)
+  static async updatePassword(id, newPassword) {
+    const user = await UserModel.findById(id);
+    if (!user) return null;
+
+    user.password = newPassword;
+    user.passwordChangedAt = new Date();
+    await user.save();
+    return user;
+  }
+
+  // Whether the password was changed after date, which makes anything
+  // authenticated before then stale
+  static passwordChangedSince(user, date) {
+    return Boolean(user.passwordChangedAt && date && user.passwordChangedAt > date);
+  }
+
   static async deleteById(id) {
     return await UserModel.findByIdAndDelete(id);
   }
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// What a token lets its holder do
+const PURPOSES = ['password-reset', 'email-verification'];
+
+// A single-use secret mailed to a user. Only its hash is stored, so reading the
+// database does not give anyone a usable token
+const userTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: PURPOSES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+userTokenSchema.index({ userId: 1, purpose: 1 });
+// MongoDB removes tokens once they have expired
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+class UserToken {
+  // Create a token for purpose, replacing any the user still had for it. Returns the
+  // token itself, which is never stored and cannot be recovered later
+  static async issue(userId, purpose, ttlMs) {
+    await UserTokenModel.deleteMany({ userId, purpose, usedAt: { $exists: false } });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await new UserTokenModel({
+      userId,
+      purpose,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + ttlMs)
+    }).save();
+    return token;
+  }
+
+  // Use up a token; null when it is unknown, expired, already used or for another purpose
+  static async consume(token, purpose) {
+    return await UserTokenModel.findOneAndUpdate(
+      { tokenHash: hashToken(token), purpose, usedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+      { usedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  static async deleteByUserId(userId) {
+    await UserTokenModel.deleteMany({ userId });
+  }
+}
+
+UserToken.PURPOSES = PURPOSES;
+
+const UserTokenModel = mongoose.model('UserToken', userTokenSchema);
+
+module.exports = UserToken;
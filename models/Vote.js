@@ -1,15 +1,43 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const VotingSession = require('./VotingSession');
+const Participation = require('./Participation');
+const WriteIn = require('./WriteIn');
+const {
+  instantRunoff,
+  singleTransferableVote,
+  condorcet,
+  scoreVoting,
+  bordaCount,
+  cumulativeVoting,
+  quadraticVoting,
+  approvalVoting,
+  referendum
+} = require('../utils/tally');
+const { GENESIS_HASH, hashEntry, verifyChain } = require('../utils/hashChain');
+const { encryptBallot, decryptBallot } = require('../utils/ballotCrypto');
+const { resolveWriteInTally } = require('../utils/writeIns');
+const {
+  GROUP: ELGAMAL_GROUP,
+  combine: combineCiphertexts,
+  decrypt: decryptAggregate
+} = require('../utils/elgamal');
 
 const voteSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() { return !this.isSecret && !this.supersededAt && !this.voterDeletedAt; } // Secret ballots are never linked to a voter
   },
   votingSessionId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'VotingSession',
-    required: true
+    required: function() { return !this.pollId; } // Poll ballots carry pollId instead
+  },
+  pollId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poll',
+    required: false
   },
   candidateId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -17,9 +45,56 @@ const voteSchema = new mongoose.Schema({
   },
   candidateName: {
     type: String,
-    required: true,
+    required: function() { return !this.encryptedBallot && !this.encryptedVector; }, // Sealed ballots have no readable choice
     trim: true
   },
+  // Ordered candidate IDs for ranked ballots; the first preference is also
+  // stored in candidateId/candidateName so single-choice views keep working
+  rankings: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  // Every selection of a multiple-choice (approval) ballot, the first one mirrored as above
+  choices: [{
+    _id: false,
+    candidateId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    candidateName: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    isCustomCandidate: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // One entry per session candidate for score/STAR ballots; the top score is mirrored as above
+  scores: [{
+    _id: false,
+    candidateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    score: {
+      type: Number,
+      required: true
+    }
+  }],
+  // Points spread across candidates on cumulative ballots, or votes bought on quadratic
+  // ballots; the largest share is mirrored as above
+  allocations: [{
+    _id: false,
+    candidateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
   timestamp: {
     type: Date,
     default: Date.now
@@ -27,18 +102,134 @@ const voteSchema = new mongoose.Schema({
   isCustomCandidate: {
     type: Boolean,
     default: false // True if user added a new candidate
+  },
+  isSecret: {
+    type: Boolean,
+    default: false
+  },
+  // Set when the voter replaced or retracted this ballot. The voter moves to
+  // supersededUserId so the one-ballot-per-voter index only covers current ballots
+  supersededAt: {
+    type: Date
+  },
+  supersededReason: {
+    type: String,
+    enum: ['replaced', 'retracted']
+  },
+  supersededBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vote'
+  },
+  supersededUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when the voter's account was deleted; the ballot stays chained and counted
+  // but no longer points at them
+  voterDeletedAt: {
+    type: Date
+  },
+  // Ballot content sealed to the session's public key until trustees decrypt it
+  encryptedBallot: {
+    type: new mongoose.Schema({
+      ephemeralPublicKey: { type: String, required: true },
+      iv: { type: String, required: true },
+      ciphertext: { type: String, required: true },
+      tag: { type: String, required: true }
+    }, { _id: false }),
+    default: undefined
+  },
+  // Homomorphic sessions: one ElGamal ciphertext of 0 or 1 per candidate with its
+  // validity proof, plus a proof that the number of selections is allowed
+  encryptedVector: {
+    type: new mongoose.Schema({
+      entries: [{
+        _id: false,
+        candidateId: { type: mongoose.Schema.Types.ObjectId, required: true },
+        a: { type: String, required: true },
+        b: { type: String, required: true },
+        proof: {
+          challenges: [String],
+          responses: [String]
+        }
+      }],
+      allowedTotals: [Number],
+      sumProof: {
+        challenges: [String],
+        responses: [String]
+      }
+    }, { _id: false }),
+    default: undefined
+  },
+  // Position in the session's ballot hash chain and the hashes linking it in
+  sequence: {
+    type: Number
+  },
+  previousHash: {
+    type: String
+  },
+  ballotHash: {
+    type: String
   }
 }, {
   timestamps: true
 });
 
-// Create compound index to ensure one vote per user per voting session
-voteSchema.index({ userId: 1, votingSessionId: 1 }, { unique: true });
+// Create compound indexes to ensure one vote per user per voting session / poll.
+// Secret ballots have no userId; Participation enforces one vote per user for them
+// Named apart from the original full index on the same keys, which
+// Vote.dropLegacyIndexes removes from existing databases
+voteSchema.index(
+  { userId: 1, votingSessionId: 1 },
+  {
+    name: 'userId_votingSessionId_unique_partial',
+    unique: true,
+    partialFilterExpression: { userId: { $exists: true }, votingSessionId: { $exists: true } }
+  }
+);
+voteSchema.index(
+  { userId: 1, pollId: 1 },
+  { unique: true, partialFilterExpression: { userId: { $exists: true }, pollId: { $exists: true } } }
+);
 // Index for efficient voting session-based queries
 voteSchema.index({ votingSessionId: 1, candidateName: 1 });
 voteSchema.index({ votingSessionId: 1, timestamp: 1 });
+voteSchema.index({ pollId: 1, candidateName: 1 });
+voteSchema.index({ votingSessionId: 1, supersededUserId: 1 });
+// One ballot per chain position; concurrent appends collide here and retry
+voteSchema.index(
+  { votingSessionId: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+voteSchema.index({ votingSessionId: 1, ballotHash: 1 });
+
+// Ballots that still count; replaced and retracted ones are kept for audit only
+const CURRENT_BALLOT = { supersededAt: { $exists: false } };
+
+// Indexes from earlier versions of the schema that conflict with the current ones
+const LEGACY_INDEX_NAMES = ['userId_1_votingSessionId_1'];
 
 class Vote {
+  // Drop indexes left over from earlier schema versions, then build the current ones.
+  // The old one-vote-per-user index also covered poll votes and secret ballots, which
+  // carry no session or user, so it has to go before they can be stored
+  static async dropLegacyIndexes() {
+    const existing = await VoteModel.collection.indexes().catch(error => {
+      // A database without votes has no collection yet
+      if (error.codeName === 'NamespaceNotFound') return [];
+      throw error;
+    });
+
+    const legacy = existing.filter(index => LEGACY_INDEX_NAMES.includes(index.name));
+    for (const index of legacy) {
+      await VoteModel.collection.dropIndex(index.name);
+      console.log(`Dropped legacy vote index ${index.name}`);
+    }
+
+    await VoteModel.createIndexes();
+    return legacy.map(index => index.name);
+  }
+
   // Legacy method for backward compatibility (single global poll system)
   static async createVote(userId, candidateName) {
     // Check if user has already voted in the global poll (legacy behavior)
@@ -61,8 +252,32 @@ class Vote {
   }
 
   // New voting session-specific voting method
-  static async castVoteInSession(userId, votingSessionId, candidateData) {
-    const { candidateId, candidateName, isCustomCandidate = false } = candidateData;
+  // Homomorphic sessions pass the voter's own verified encryptedVector as `homomorphic`
+  // and no candidateData; the server never sees their selections
+  static async castVoteInSession(userId, votingSessionId, candidateData, { secret = false, encryptTo = null, homomorphic = null } = {}) {
+    // Encrypted and homomorphic sessions store nothing but the sealed content
+    let ballot;
+    if (homomorphic) {
+      ballot = { votingSessionId, encryptedVector: homomorphic };
+    } else {
+      const { candidateId, candidateName, isCustomCandidate = false, rankings = [], choices = [], scores = [], allocations = [] } = candidateData;
+      const content = {
+        candidateId,
+        candidateName: candidateName.trim(),
+        isCustomCandidate,
+        rankings,
+        choices,
+        scores,
+        allocations
+      };
+      ballot = encryptTo
+        ? { votingSessionId, encryptedBallot: encryptBallot(encryptTo, content) }
+        : { votingSessionId, ...content };
+    }
+
+    if (secret) {
+      return await saveSecretBallot(userId, { votingSessionId }, ballot, 'User has already voted in this voting session');
+    }
     
     // Check if user has already voted in this voting session
     const existingVote = await VoteModel.findOne({ userId, votingSessionId });
@@ -72,20 +287,26 @@ class Vote {
 
     const vote = new VoteModel({
       userId,
-      votingSessionId,
-      candidateId,
-      candidateName: candidateName.trim(),
-      isCustomCandidate
+      ...ballot
     });
 
-    await vote.save();
+    try {
+      await appendToChain(vote);
+    } catch (error) {
+      // A concurrent submission can slip past the check above; the unique index catches it
+      if (error.code === 11000) {
+        throw new Error('User has already voted in this voting session');
+      }
+      throw error;
+    }
+
     return await VoteModel.findById(vote._id)
       .populate('userId', 'username email')
       .populate('votingSessionId', 'title');
   }
 
   static async getAllVotes() {
-    return await VoteModel.find().populate('userId', 'username email');
+    return await VoteModel.find(CURRENT_BALLOT).populate('userId', 'username email');
   }
 
   static async getVoteResults() {
@@ -140,52 +361,317 @@ class Vote {
 
   static async deleteAllVotes() {
     await VoteModel.deleteMany({});
+    await Participation.deleteAll();
     return true;
   }
 
-  static async deleteVotesByUserId(userId) {
-    const result = await VoteModel.deleteMany({ userId });
-    return result.deletedCount > 0;
+  // Release a deleted user's ballots. Chained session ballots are kept, since removing
+  // them would break the hash chain and change closed tallies, and are only unlinked
+  // from the voter; their unchained votes are deleted. Secret-ballot participation
+  // stays so turnout keeps matching the ballots
+  static async detachVotesFromUser(userId) {
+    const chained = { votingSessionId: { $exists: true }, sequence: { $exists: true } };
+    const voterDeletedAt = new Date();
+
+    // Replaced and retracted ballots keep the voter under supersededUserId
+    const current = await VoteModel.updateMany(
+      { ...chained, userId },
+      { $unset: { userId: 1 }, $set: { voterDeletedAt } }
+    );
+    const superseded = await VoteModel.updateMany(
+      { ...chained, supersededUserId: userId },
+      { $unset: { supersededUserId: 1 }, $set: { voterDeletedAt } }
+    );
+    const deleted = await VoteModel.deleteMany({ $or: [{ userId }, { supersededUserId: userId }] });
+
+    return current.modifiedCount + superseded.modifiedCount + deleted.deletedCount > 0;
   }
 
   // Voting session-specific methods
   static async getSessionResults(votingSessionId) {
-    // Use MongoDB aggregation for efficient vote counting by voting session
-    const results = await VoteModel.aggregate([
-      { $match: { votingSessionId: new mongoose.Types.ObjectId(votingSessionId) } },
+    // Use MongoDB aggregation for efficient vote counting by voting session.
+    // Multiple-choice ballots count once for every candidate they select
+    const spellings = await VoteModel.aggregate([
+      { $match: { votingSessionId: new mongoose.Types.ObjectId(votingSessionId), ...CURRENT_BALLOT } },
       {
-        $group: {
-          _id: '$candidateName',
-          voteCount: { $sum: 1 },
-          customCandidateCount: {
-            $sum: { $cond: ['$isCustomCandidate', 1, 0] }
+        $project: {
+          picks: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$choices', []] } }, 0] },
+              '$choices',
+              [{ candidateName: '$candidateName', isCustomCandidate: '$isCustomCandidate' }]
+            ]
           }
         }
       },
+      { $unwind: '$picks' },
       {
-        $sort: { voteCount: -1 }
+        $group: {
+          _id: { candidateName: '$picks.candidateName', isCustomCandidate: { $eq: ['$picks.isCustomCandidate', true] } },
+          voteCount: { $sum: 1 }
+        }
       },
       {
         $project: {
-          candidateName: '$_id',
+          candidateName: '$_id.candidateName',
+          isCustomCandidate: '$_id.isCustomCandidate',
           voteCount: 1,
-          customCandidateCount: 1,
           _id: 0
         }
       }
     ]);
 
-    const totalVotes = await VoteModel.countDocuments({ votingSessionId });
-    const candidates = await VoteModel.distinct('candidateName', { votingSessionId });
+    // Write-in spellings count for whatever moderation merged them into
+    const { results, rejectedWriteInCount } = resolveWriteInTally(
+      spellings,
+      await WriteIn.getResolutions(votingSessionId)
+    );
+
+    const totalVotes = await VoteModel.countDocuments({ votingSessionId, ...CURRENT_BALLOT });
+    const candidates = results.map(result => result.candidateName);
 
     return {
       results,
       totalVotes,
       totalCandidates: candidates.length,
-      candidates: candidates.sort()
+      candidates: candidates.sort(),
+      rejectedWriteInCount
+    };
+  }
+
+  // Every write-in spelling on the session's current ballots, with how many picked it
+  static async getWriteInSpellings(votingSessionId) {
+    return await VoteModel.aggregate([
+      { $match: { votingSessionId: new mongoose.Types.ObjectId(votingSessionId), ...CURRENT_BALLOT } },
+      {
+        $project: {
+          picks: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$choices', []] } }, 0] },
+              '$choices',
+              [{ candidateName: '$candidateName', isCustomCandidate: '$isCustomCandidate' }]
+            ]
+          }
+        }
+      },
+      { $unwind: '$picks' },
+      { $match: { 'picks.isCustomCandidate': true } },
+      { $group: { _id: '$picks.candidateName', voteCount: { $sum: 1 } } },
+      { $project: { candidateName: '$_id', voteCount: 1, _id: 0 } }
+    ]);
+  }
+
+  // Multiply every current ballot's ciphertext for a candidate and decrypt only that
+  // product with the key the trustees rebuilt, proving each decryption. The result is
+  // published on the session once; individual ballots are never decrypted
+  static async decryptHomomorphicTally(votingSession, privateKey) {
+    const votes = await VoteModel.find({ votingSessionId: votingSession._id, encryptedVector: { $exists: true }, ...CURRENT_BALLOT })
+      .select('encryptedVector');
+
+    const tallies = votingSession.candidates.map(candidate => {
+      const ciphertexts = votes
+        .map(vote => vote.encryptedVector.entries.find(entry => entry.candidateId.toString() === candidate._id.toString()))
+        .filter(Boolean)
+        .map(entry => ({ a: entry.a, b: entry.b }));
+      const { a, b } = combineCiphertexts(ciphertexts);
+      const decryption = decryptAggregate(privateKey, votingSession.homomorphicPublicKey, { a, b }, votes.length);
+
+      return {
+        candidateId: candidate._id,
+        candidateName: candidate.name,
+        aggregate: { a, b },
+        voteCount: decryption.message,
+        decryptionShare: decryption.decryptionShare,
+        proof: decryption.proof
+      };
+    });
+
+    return { ballotsCounted: votes.length, tallies };
+  }
+
+  // Homomorphic counterpart of getSessionResults, built from the tally the trustees
+  // published. Anyone can check each count with verifyDecryption against its aggregate
+  static getHomomorphicResults(votingSession) {
+    const { ballotsCounted, tallies: publishedTallies } = votingSession.homomorphicTally;
+    const tallies = publishedTallies.map(tally => ({
+      candidateId: tally.candidateId,
+      candidateName: tally.candidateName,
+      aggregate: { a: tally.aggregate.a, b: tally.aggregate.b },
+      voteCount: tally.voteCount,
+      decryptionShare: tally.decryptionShare,
+      proof: { challenge: tally.proof.challenge, response: tally.proof.response }
+    }));
+
+    const results = tallies
+      .filter(tally => tally.voteCount > 0)
+      .sort((x, y) => y.voteCount - x.voteCount)
+      .map(tally => ({ candidateName: tally.candidateName, voteCount: tally.voteCount, customCandidateCount: 0 }));
+    const candidates = results.map(result => result.candidateName);
+
+    return {
+      results,
+      totalVotes: ballotsCounted,
+      totalCandidates: candidates.length,
+      candidates: candidates.sort(),
+      homomorphic: {
+        group: ELGAMAL_GROUP,
+        publicKey: votingSession.homomorphicPublicKey,
+        ballotsCounted,
+        tallies
+      }
     };
   }
 
+  // Results for a voting session including the section for its voting method.
+  // The plurality fields are always present; ranked sessions count first preferences there
+  static async getSessionTally(votingSession) {
+    const results = votingSession.tallyMode === 'homomorphic'
+      ? Vote.getHomomorphicResults(votingSession)
+      : await Vote.getSessionResults(votingSession._id);
+    const candidates = votingSession.candidates.map(c => ({ id: c._id.toString(), name: c.name }));
+
+    if (votingSession.votingMethod === 'ranked') {
+      const ballots = await Vote.getRankedBallots(votingSession._id);
+      results.irv = instantRunoff(ballots, candidates);
+    } else if (votingSession.votingMethod === 'condorcet') {
+      const ballots = await Vote.getRankedBallots(votingSession._id);
+      results.condorcet = condorcet(ballots, candidates);
+    } else if (votingSession.votingMethod === 'borda') {
+      const ballots = await Vote.getRankedBallots(votingSession._id);
+      results.points = { method: 'borda', ...bordaCount(ballots, candidates) };
+    } else if (votingSession.votingMethod === 'cumulative') {
+      const ballots = await Vote.getAllocationBallots(votingSession._id);
+      results.points = {
+        method: 'cumulative',
+        pointBudget: votingSession.pointBudget,
+        ...cumulativeVoting(ballots, candidates)
+      };
+    } else if (votingSession.votingMethod === 'quadratic') {
+      const ballots = await Vote.getAllocationBallots(votingSession._id);
+      results.quadratic = {
+        creditBudget: votingSession.creditBudget,
+        ...quadraticVoting(ballots, candidates)
+      };
+    } else if (votingSession.votingMethod === 'referendum') {
+      const countFor = (option) => {
+        const result = results.results.find(r => r.candidateName === option);
+        return result ? result.voteCount : 0;
+      };
+      results.referendum = referendum(
+        { yes: countFor('Yes'), no: countFor('No'), abstain: countFor('Abstain') },
+        votingSession.assignedUsers.length,
+        votingSession
+      );
+    } else if (VotingSession.SCORE_METHODS.includes(votingSession.votingMethod)) {
+      const ballots = await Vote.getScoreBallots(votingSession._id);
+      results.score = {
+        minScore: votingSession.minScore,
+        maxScore: votingSession.maxScore,
+        ...scoreVoting(ballots, candidates, {
+          minScore: votingSession.minScore,
+          runoff: votingSession.votingMethod === 'star'
+        })
+      };
+    } else if (votingSession.multipleChoice) {
+      results.approval = approvalVoting(results.results, results.totalVotes, votingSession.maxChoices);
+    }
+
+    return results;
+  }
+
+  static async getStvResults(votingSession) {
+    const ballots = await Vote.getRankedBallots(votingSession._id);
+    const candidates = votingSession.candidates.map(c => ({ id: c._id.toString(), name: c.name }));
+    return singleTransferableVote(ballots, candidates, votingSession.seats);
+  }
+
+  static async getScoreBallots(votingSessionId) {
+    const votes = await VoteModel.find({ votingSessionId, ...CURRENT_BALLOT }, 'scores').lean();
+    return votes.map(vote => vote.scores.map(entry => ({
+      candidateId: entry.candidateId.toString(),
+      score: entry.score
+    })));
+  }
+
+  static async getAllocationBallots(votingSessionId) {
+    const votes = await VoteModel.find({ votingSessionId, ...CURRENT_BALLOT }, 'allocations').lean();
+    return votes.map(vote => vote.allocations.map(entry => ({
+      candidateId: entry.candidateId.toString(),
+      amount: entry.amount
+    })));
+  }
+
+  static async getRankedBallots(votingSessionId) {
+    const votes = await VoteModel.find({ votingSessionId, ...CURRENT_BALLOT }, 'rankings').lean();
+    return votes.map(vote => vote.rankings.map(id => id.toString()));
+  }
+
+  // Swap the voter's current ballot for a new one. The old ballot is kept (and stays
+  // in the hash chain) but no longer counts; it is restored if the new one cannot be stored
+  static async replaceVoteInSession(userId, votingSessionId, candidateData, options = {}) {
+    const previous = await supersedeCurrentBallot(userId, votingSessionId, 'replaced');
+    if (!previous) {
+      throw new Error('User has not voted in this voting session');
+    }
+
+    try {
+      const vote = await Vote.castVoteInSession(userId, votingSessionId, candidateData, options);
+      await VoteModel.updateOne({ _id: previous._id }, { $set: { supersededBy: vote._id } });
+      return vote;
+    } catch (error) {
+      await VoteModel.updateOne(
+        { _id: previous._id },
+        { $set: { userId }, $unset: { supersededAt: 1, supersededReason: 1, supersededUserId: 1 } }
+      );
+      throw error;
+    }
+  }
+
+  static async retractVoteInSession(userId, votingSessionId) {
+    const previous = await supersedeCurrentBallot(userId, votingSessionId, 'retracted');
+    if (!previous) {
+      throw new Error('User has not voted in this voting session');
+    }
+    return previous;
+  }
+
+  // Every ballot a voter has cast in a session, current one included, oldest first
+  static async getVoteHistory(votingSessionId, userId) {
+    const query = { votingSessionId };
+    if (userId) {
+      query.$or = [{ userId }, { supersededUserId: userId }];
+    }
+    return await VoteModel.find(query)
+      .populate('userId', 'username email')
+      .populate('supersededUserId', 'username email')
+      .sort({ sequence: 1 });
+  }
+
+  // Whether the session has received any ballot at all, replaced ones included
+  static async sessionHasBallots(votingSessionId) {
+    return !!await VoteModel.exists({ votingSessionId });
+  }
+
+  // Whether any current ballot in the session may count for this candidate. Sealed
+  // ballots cannot be inspected, so any of them counts as a possible vote
+  static async candidateHasVotes(votingSessionId, candidate) {
+    const vote = await VoteModel.findOne({
+      votingSessionId,
+      ...CURRENT_BALLOT,
+      $or: [
+        { candidateId: candidate._id },
+        { candidateName: candidate.name, isCustomCandidate: { $ne: true } },
+        { 'choices.candidateId': candidate._id },
+        { rankings: candidate._id },
+        { 'scores.candidateId': candidate._id },
+        { 'allocations.candidateId': candidate._id, 'allocations.amount': { $gt: 0 } },
+        { encryptedBallot: { $exists: true } },
+        { encryptedVector: { $exists: true } }
+      ]
+    }).select('_id');
+    return !!vote;
+  }
+
   static async getUserVoteInSession(userId, votingSessionId) {
     return await VoteModel.findOne({ userId, votingSessionId })
       .populate('userId', 'username email')
@@ -194,16 +680,166 @@ class Vote {
 
   static async hasUserVotedInSession(userId, votingSessionId) {
     const vote = await VoteModel.findOne({ userId, votingSessionId });
-    return !!vote;
+    return !!vote || await Participation.hasParticipated(userId, { votingSessionId });
   }
 
   static async getSessionVotes(votingSessionId) {
-    return await VoteModel.find({ votingSessionId })
+    return await VoteModel.find({ votingSessionId, ...CURRENT_BALLOT })
       .populate('userId', 'username email')
       .populate('votingSessionId', 'title')
       .sort({ timestamp: -1 });
   }
 
+  // The session's published ballot list in chain order, with everything needed to
+  // recompute each hash independently
+  static async getSessionChain(votingSessionId) {
+    const votes = await VoteModel.find({ votingSessionId, sequence: { $exists: true } })
+      .sort({ sequence: 1 });
+
+    const entries = votes.map(vote => ({
+      sequence: vote.sequence,
+      previousHash: vote.previousHash,
+      hash: vote.ballotHash,
+      payload: chainPayload(vote),
+      // Not hashed: a ballot can be replaced or retracted after it was chained
+      superseded: vote.supersededReason || null
+    }));
+
+    return {
+      algorithm: 'sha256(previousHash + "\\n" + canonical JSON of payload, keys sorted)',
+      genesisHash: GENESIS_HASH,
+      verification: verifyChain(entries),
+      entries
+    };
+  }
+
+  // Look a receipt up in the published ballot list and check the chain still holds
+  static async verifyReceipt(votingSessionId, receipt) {
+    const chain = await Vote.getSessionChain(votingSessionId);
+    const entry = chain.entries.find(candidate => candidate.hash === receipt.toLowerCase());
+
+    return {
+      found: !!entry,
+      entry: entry || null,
+      chainValid: chain.verification.valid,
+      headHash: chain.verification.valid ? chain.verification.headHash : null
+    };
+  }
+
+  // Open every sealed ballot of a session with the reconstructed private key and store
+  // the plain content alongside the ciphertext, so the regular tally engines can run
+  static async decryptSessionBallots(votingSessionId, privateKey, publicKey) {
+    const cursor = VoteModel.find({ votingSessionId, encryptedBallot: { $exists: true } }).cursor();
+    let decrypted = 0;
+
+    for (let vote = await cursor.next(); vote; vote = await cursor.next()) {
+      const content = decryptBallot(privateKey, publicKey, vote.encryptedBallot);
+      await VoteModel.updateOne({ _id: vote._id }, { $set: content }, { timestamps: false });
+      decrypted++;
+    }
+
+    return decrypted;
+  }
+
+  // Poll-specific methods
+  static async castVoteInPoll(userId, pollId, candidateData, { secret = false } = {}) {
+    const { candidateId, candidateName, isCustomCandidate = false } = candidateData;
+    const ballot = {
+      pollId,
+      candidateId: candidateId || undefined,
+      candidateName: candidateName.trim(),
+      isCustomCandidate
+    };
+
+    if (secret) {
+      return await saveSecretBallot(userId, { pollId }, ballot, 'User has already voted in this poll');
+    }
+
+    // Check if user has already voted in this poll
+    const existingVote = await VoteModel.findOne({ userId, pollId });
+    if (existingVote) {
+      throw new Error('User has already voted in this poll');
+    }
+
+    const vote = new VoteModel({
+      userId,
+      ...ballot
+    });
+
+    try {
+      await vote.save();
+    } catch (error) {
+      // A concurrent submission can slip past the check above; the unique index catches it
+      if (error.code === 11000) {
+        throw new Error('User has already voted in this poll');
+      }
+      throw error;
+    }
+
+    return await VoteModel.findById(vote._id)
+      .populate('userId', 'username email')
+      .populate('pollId', 'title');
+  }
+
+  static async hasUserVotedInPoll(userId, pollId) {
+    const vote = await VoteModel.findOne({ userId, pollId });
+    return !!vote || await Participation.hasParticipated(userId, { pollId });
+  }
+
+  static async getUserVoteInPoll(userId, pollId) {
+    return await VoteModel.findOne({ userId, pollId })
+      .populate('userId', 'username email')
+      .populate('pollId', 'title');
+  }
+
+  static async getPollVotes(pollId) {
+    return await VoteModel.find({ pollId })
+      .populate('userId', 'username email')
+      .sort({ timestamp: -1 });
+  }
+
+  static async getPollResults(pollId) {
+    const results = await VoteModel.aggregate([
+      { $match: { pollId: new mongoose.Types.ObjectId(pollId) } },
+      {
+        $group: {
+          _id: '$candidateName',
+          voteCount: { $sum: 1 },
+          customCandidateCount: {
+            $sum: { $cond: ['$isCustomCandidate', 1, 0] }
+          }
+        }
+      },
+      {
+        $sort: { voteCount: -1 }
+      },
+      {
+        $project: {
+          candidateName: '$_id',
+          voteCount: 1,
+          customCandidateCount: 1,
+          _id: 0
+        }
+      }
+    ]);
+
+    const totalVotes = await VoteModel.countDocuments({ pollId });
+    const candidates = await VoteModel.distinct('candidateName', { pollId });
+
+    return {
+      results,
+      totalVotes,
+      totalCandidates: candidates.length,
+      candidates: candidates.sort()
+    };
+  }
+
+  static async deletePollVotes(pollId) {
+    const result = await VoteModel.deleteMany({ pollId });
+    await Participation.deleteByPollId(pollId);
+    return result.deletedCount > 0;
+  }
+
   static async getVotesInPollByCandidate(pollId, candidateName) {
     return await VoteModel.find({ pollId, candidateName })
       .populate('userId', 'username email')
@@ -217,19 +853,19 @@ class Vote {
   }
 
   static async deleteSessionVotes(votingSessionId) {
-    const result = await VoteModel.deleteMany({ votingSessionId });
-    return result.deletedCount > 0;
+    return await Vote.deleteVotesBySessionId(votingSessionId);
   }
 
   static async deleteVotesBySessionId(votingSessionId) {
     const result = await VoteModel.deleteMany({ votingSessionId });
+    await Participation.deleteBySessionId(votingSessionId);
     return result.deletedCount > 0;
   }
 
   // Get all votes for a specific user
   static async getUserVotes(userId) {
     try {
-      const votes = await VoteModel.find({ userId })
+      const votes = await VoteModel.find({ userId, votingSessionId: { $exists: true } })
         .populate('votingSessionId', 'title status')
         .sort({ timestamp: -1 });
       
@@ -248,6 +884,131 @@ class Vote {
   }
 }
 
+// Secret ballots: participation is recorded separately and the ballot itself is
+// stored without userId, without timestamps and under a random (not time-ordered) id,
+// so neither queries nor a database dump can tie it back to the voter
+const saveSecretBallot = async (userId, target, ballot, alreadyVotedMessage) => {
+  const recorded = await Participation.record(userId, target);
+  if (!recorded) {
+    throw new Error(alreadyVotedMessage);
+  }
+
+  const vote = new VoteModel({
+    _id: new mongoose.Types.ObjectId(crypto.randomBytes(12).toString('hex')),
+    ...ballot,
+    isSecret: true
+  });
+  vote.timestamp = undefined;
+
+  try {
+    if (vote.votingSessionId) {
+      await appendToChain(vote, { timestamps: false });
+    } else {
+      await vote.save({ timestamps: false });
+    }
+  } catch (error) {
+    // Give the voter their turn back if the ballot could not be stored
+    await Participation.remove(userId, target);
+    throw error;
+  }
+
+  return vote;
+};
+
+// Take the voter's current session ballot out of the count, returning it as it was
+const supersedeCurrentBallot = async (userId, votingSessionId, reason) => {
+  return await VoteModel.findOneAndUpdate(
+    { userId, votingSessionId, ...CURRENT_BALLOT },
+    {
+      $set: { supersededAt: new Date(), supersededReason: reason, supersededUserId: userId },
+      $unset: { userId: 1 }
+    }
+  );
+};
+
+// The published part of a session ballot: its content, never the voter
+const chainPayload = (vote) => {
+  const position = {
+    votingSessionId: vote.votingSessionId.toString(),
+    sequence: vote.sequence
+  };
+
+  if (vote.encryptedVector) {
+    return {
+      ...position,
+      encryptedVector: {
+        entries: vote.encryptedVector.entries.map(entry => ({
+          candidateId: entry.candidateId.toString(),
+          a: entry.a,
+          b: entry.b,
+          proof: { challenges: [...entry.proof.challenges], responses: [...entry.proof.responses] }
+        })),
+        allowedTotals: [...vote.encryptedVector.allowedTotals],
+        sumProof: {
+          challenges: [...vote.encryptedVector.sumProof.challenges],
+          responses: [...vote.encryptedVector.sumProof.responses]
+        }
+      }
+    };
+  }
+
+  // Encrypted ballots are chained by their ciphertext, so decrypting them later leaves the chain intact
+  if (vote.encryptedBallot) {
+    return {
+      ...position,
+      encryptedBallot: {
+        ephemeralPublicKey: vote.encryptedBallot.ephemeralPublicKey,
+        iv: vote.encryptedBallot.iv,
+        ciphertext: vote.encryptedBallot.ciphertext,
+        tag: vote.encryptedBallot.tag
+      }
+    };
+  }
+
+  return {
+    ...position,
+    candidateId: vote.candidateId ? vote.candidateId.toString() : null,
+    candidateName: vote.candidateName,
+    isCustomCandidate: vote.isCustomCandidate,
+    rankings: (vote.rankings || []).map(id => id.toString()),
+    choices: (vote.choices || []).map(choice => ({
+      candidateId: choice.candidateId ? choice.candidateId.toString() : null,
+      candidateName: choice.candidateName,
+      isCustomCandidate: !!choice.isCustomCandidate
+    })),
+    scores: (vote.scores || []).map(entry => ({ candidateId: entry.candidateId.toString(), score: entry.score })),
+    allocations: (vote.allocations || []).map(entry => ({ candidateId: entry.candidateId.toString(), amount: entry.amount }))
+  };
+};
+
+const CHAIN_APPEND_ATTEMPTS = 5;
+
+// Link a session ballot to the current head of its session's hash chain and save it.
+// Two ballots racing for the same position hit the unique sequence index; the loser
+// re-reads the head and tries again
+const appendToChain = async (vote, saveOptions) => {
+  for (let attempt = 0; attempt < CHAIN_APPEND_ATTEMPTS; attempt++) {
+    const head = await VoteModel.findOne({ votingSessionId: vote.votingSessionId, sequence: { $exists: true } })
+      .sort({ sequence: -1 })
+      .select('sequence ballotHash');
+
+    vote.sequence = head ? head.sequence + 1 : 1;
+    vote.previousHash = head ? head.ballotHash : GENESIS_HASH;
+    vote.ballotHash = hashEntry(vote.previousHash, chainPayload(vote));
+
+    try {
+      await vote.save(saveOptions);
+      return vote;
+    } catch (error) {
+      if (error.code !== 11000 || !error.keyPattern || !error.keyPattern.sequence) {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error('Could not record ballot, please try again');
+};
+
 const VoteModel = mongoose.model('Vote', voteSchema);
 
 module.exports = Vote;
@@ -1,5 +1,29 @@
 const mongoose = require('mongoose');
 
+const VOTING_METHODS = ['plurality', 'ranked', 'stv', 'condorcet', 'score', 'star', 'borda', 'cumulative', 'quadratic', 'referendum'];
+// Methods whose ballots are an ordered list of candidate IDs
+const RANKED_METHODS = ['ranked', 'stv', 'condorcet', 'borda'];
+// Fixed options of a referendum session, stored as its candidates
+const REFERENDUM_OPTIONS = ['Yes', 'No', 'Abstain'];
+const PASSING_THRESHOLDS = ['simple-majority', 'two-thirds', 'eligible-share'];
+const RUNOFF_POLICIES = ['none', 'top-two'];
+// Methods whose ballots give every candidate a score between minScore and maxScore
+const SCORE_METHODS = ['score', 'star'];
+// 'homomorphic' counts encrypted ballot vectors without ever decrypting a single ballot
+const TALLY_MODES = ['standard', 'homomorphic'];
+// 'nominating' is an optional phase before opening in which members propose candidates
+const STATUSES = ['draft', 'nominating', 'active', 'paused', 'closed', 'archived'];
+// Lifecycle actions and the statuses each one moves a session between
+const TRANSITIONS = {
+  startNominations: { from: ['draft'], to: 'nominating' },
+  open: { from: ['draft', 'nominating'], to: 'active' },
+  pause: { from: ['active'], to: 'paused' },
+  resume: { from: ['paused'], to: 'active' },
+  close: { from: ['active', 'paused'], to: 'closed' },
+  reopen: { from: ['closed'], to: 'active' },
+  archive: { from: ['closed'], to: 'archived' }
+};
+
 const votingSessionSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -30,9 +54,25 @@ const votingSessionSchema = new mongoose.Schema({
   }],
   status: {
     type: String,
-    enum: ['draft', 'active', 'closed'],
+    enum: STATUSES,
     default: 'draft'
   },
+  // Every lifecycle transition, with who made it (none when the system did) and when
+  statusHistory: [{
+    _id: false,
+    action: { type: String, required: true },
+    from: { type: String },
+    to: { type: String, required: true },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now }
+  }],
+  // Why the scheduler last failed to apply an action to the session. It does not
+  // try that action again until the session is changed or a trustee collects a share
+  scheduleError: {
+    action: { type: String },
+    message: { type: String },
+    at: { type: Date }
+  },
   startDate: {
     type: Date
   },
@@ -51,6 +91,148 @@ const votingSessionSchema = new mongoose.Schema({
     type: Number,
     default: 1
   },
+  votingMethod: {
+    type: String,
+    enum: VOTING_METHODS,
+    default: 'plurality'
+  },
+  seats: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  minScore: {
+    type: Number,
+    default: 0
+  },
+  maxScore: {
+    type: Number,
+    default: 5
+  },
+  pointBudget: {
+    type: Number,
+    default: 10,
+    min: 1
+  },
+  // Credits every assigned user may spend on a quadratic ballot (n votes cost n² credits)
+  creditBudget: {
+    type: Number,
+    default: 100,
+    min: 1
+  },
+  // Share of assignedUsers (in percent) that must take part for a referendum to count
+  quorumPercent: {
+    type: Number,
+    default: 50,
+    min: 0,
+    max: 100
+  },
+  passingThreshold: {
+    type: String,
+    enum: PASSING_THRESHOLDS,
+    default: 'simple-majority'
+  },
+  // Share of all eligible voters (in percent) that must vote Yes under 'eligible-share'
+  eligibleSharePercent: {
+    type: Number,
+    default: 50,
+    min: 0,
+    max: 100
+  },
+  // Seconds a nomination needs from other members before it can be approved
+  nominationSecondsRequired: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Store ballots without any link to the voter; participation is tracked separately
+  secretBallot: {
+    type: Boolean,
+    default: false
+  },
+  // Let voters replace or retract their ballot until the session ends
+  allowVoteChanges: {
+    type: Boolean,
+    default: false
+  },
+  // Seal ballot contents to a session key whose private half is split among trustees
+  encryptBallots: {
+    type: Boolean,
+    default: false
+  },
+  trustees: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // How many trustee shares rebuild the key
+  trusteeThreshold: {
+    type: Number,
+    min: 1
+  },
+  ballotPublicKey: {
+    type: String
+  },
+  ballotsDecryptedAt: {
+    type: Date
+  },
+  tallyMode: {
+    type: String,
+    enum: TALLY_MODES,
+    default: 'standard'
+  },
+  // ElGamal key of a homomorphic session; voters encrypt to it and its private half
+  // is split among the trustees, who only ever decrypt the sums after closing
+  homomorphicPublicKey: {
+    type: String
+  },
+  // The decrypted sums with their proofs, published once the trustees have decrypted them
+  homomorphicTally: {
+    type: new mongoose.Schema({
+      ballotsCounted: { type: Number },
+      tallies: [{
+        _id: false,
+        candidateId: { type: mongoose.Schema.Types.ObjectId },
+        candidateName: { type: String },
+        aggregate: {
+          a: { type: String },
+          b: { type: String }
+        },
+        voteCount: { type: Number },
+        decryptionShare: { type: String },
+        proof: {
+          challenge: { type: String },
+          response: { type: String }
+        }
+      }]
+    }, { _id: false }),
+    default: undefined
+  },
+  // Plurality sessions closing without an absolute majority can spawn a runoff
+  runoffPolicy: {
+    type: String,
+    enum: RUNOFF_POLICIES,
+    default: 'none'
+  },
+  // Runoff opens this many hours after the first round closes...
+  runoffStartAfterHours: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // ...and stays open for this many hours
+  runoffDurationHours: {
+    type: Number,
+    default: 48,
+    min: 1
+  },
+  runoffSessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VotingSession'
+  },
+  runoffOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VotingSession'
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -96,8 +278,8 @@ class VotingSession {
 
   static async updateById(id, updateData) {
     return await VotingSessionModel.findByIdAndUpdate(
-      id, 
-      updateData, 
+      id,
+      { $set: updateData, $unset: { scheduleError: 1 } },
       { new: true, runValidators: true }
     ).populate('assignedUsers', 'username email')
      .populate('createdBy', 'username email');
@@ -110,7 +292,7 @@ class VotingSession {
   static async assignUsersToSession(sessionId, userIds) {
     return await VotingSessionModel.findByIdAndUpdate(
       sessionId,
-      { $addToSet: { assignedUsers: { $each: userIds } } },
+      { $addToSet: { assignedUsers: { $each: userIds } }, $unset: { scheduleError: 1 } },
       { new: true }
     ).populate('assignedUsers', 'username email');
   }
@@ -118,7 +300,7 @@ class VotingSession {
   static async removeUsersFromSession(sessionId, userIds) {
     return await VotingSessionModel.findByIdAndUpdate(
       sessionId,
-      { $pull: { assignedUsers: { $in: userIds } } },
+      { $pull: { assignedUsers: { $in: userIds } }, $unset: { scheduleError: 1 } },
       { new: true }
     ).populate('assignedUsers', 'username email');
   }
@@ -126,7 +308,7 @@ class VotingSession {
   static async addCandidate(sessionId, candidate) {
     return await VotingSessionModel.findByIdAndUpdate(
       sessionId,
-      { $push: { candidates: candidate } },
+      { $push: { candidates: candidate }, $unset: { scheduleError: 1 } },
       { new: true }
     );
   }
@@ -134,7 +316,7 @@ class VotingSession {
   static async removeCandidate(sessionId, candidateId) {
     return await VotingSessionModel.findByIdAndUpdate(
       sessionId,
-      { $pull: { candidates: { _id: candidateId } } },
+      { $pull: { candidates: { _id: candidateId } }, $unset: { scheduleError: 1 } },
       { new: true }
     );
   }
@@ -144,17 +326,150 @@ class VotingSession {
     return await VotingSessionModel.find({
       assignedUsers: userId,
       status: 'active',
-      $or: [
-        { startDate: { $lte: now } },
-        { startDate: { $exists: false } }
-      ],
-      $or: [
-        { endDate: { $gte: now } },
-        { endDate: { $exists: false } }
+      $and: [
+        { $or: [{ startDate: { $lte: now } }, { startDate: { $exists: false } }] },
+        { $or: [{ endDate: { $gte: now } }, { endDate: { $exists: false } }] }
       ]
     }).populate('createdBy', 'username email');
   }
 
+  // Sessions not yet open whose start date has arrived and whose end date, if any,
+  // has not passed, leaving out those the scheduler already failed to open
+  static async findDueForOpening(now = new Date()) {
+    return await VotingSessionModel.find({
+      status: { $in: TRANSITIONS.open.from },
+      startDate: { $lte: now },
+      $or: [{ endDate: null }, { endDate: { $gt: now } }],
+      'scheduleError.action': { $ne: 'open' }
+    });
+  }
+
+  // Open or paused sessions whose end date has passed, leaving out those the
+  // scheduler already failed to close
+  static async findDueForClosing(now = new Date()) {
+    return await VotingSessionModel.find({
+      status: { $in: TRANSITIONS.close.from },
+      endDate: { $lte: now },
+      'scheduleError.action': { $ne: 'close' }
+    });
+  }
+
+  // Note why the scheduler could not apply action, unless the session has moved on
+  // meanwhile. Returns false when nothing new was recorded, so each failure is
+  // only reported once
+  static async recordScheduleError(votingSession, action, message) {
+    const result = await VotingSessionModel.updateOne(
+      {
+        _id: votingSession._id,
+        status: votingSession.status,
+        $or: [{ 'scheduleError.action': { $ne: action } }, { 'scheduleError.message': { $ne: message } }]
+      },
+      { scheduleError: { action, message, at: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // Let the scheduler try the session again
+  static async clearScheduleError(id) {
+    await VotingSessionModel.updateOne({ _id: id }, { $unset: { scheduleError: 1 } });
+  }
+
+  // Record that an encrypted session's ballots have been opened, along with anything
+  // published by the decryption such as the homomorphic tally; only the first caller wins
+  static async markBallotsDecrypted(id, published = {}) {
+    return await VotingSessionModel.findOneAndUpdate(
+      { _id: id, ballotsDecryptedAt: { $exists: false } },
+      { ...published, ballotsDecryptedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  // Apply a lifecycle action if the session is still in a status it may start from.
+  // Returns null when it is not, e.g. because a concurrent request moved it first
+  static async transition(id, action, actorId = null) {
+    const { from, to } = TRANSITIONS[action];
+    const current = await VotingSessionModel.findOne({ _id: id, status: { $in: from } }).select('status');
+    if (!current) return null;
+
+    return await VotingSessionModel.findOneAndUpdate(
+      { _id: id, status: current.status },
+      {
+        $set: { status: to },
+        $unset: { scheduleError: 1 },
+        $push: { statusHistory: { action, from: current.status, to, actor: actorId, at: new Date() } }
+      },
+      { new: true }
+    ).populate('assignedUsers', 'username email')
+     .populate('createdBy', 'username email');
+  }
+
+  // Encrypted and homomorphic sessions hold a key split among trustees
+  static usesTrustees(votingSession) {
+    return Boolean(votingSession.encryptBallots || votingSession.tallyMode === 'homomorphic');
+  }
+
+  // Such sessions cannot be tallied until their trustees have decrypted the ballots
+  static isAwaitingDecryption(votingSession) {
+    return VotingSession.usesTrustees(votingSession) && !votingSession.ballotsDecryptedAt;
+  }
+
+  // How many candidates a homomorphic ballot may select: exactly one on a plurality
+  // ballot, up to maxChoices on an approval ballot
+  static homomorphicAllowedTotals(votingSession) {
+    return votingSession.multipleChoice
+      ? Array.from({ length: votingSession.maxChoices }, (_, index) => index + 1)
+      : [1];
+  }
+
+  // Create the runoff of a closed session and link both sessions to each other.
+  // The parent is claimed first so concurrent closes cannot create two runoffs, and
+  // released again if the runoff cannot be saved.
+  // The runoff keeps the parent's ballot privacy, with publicKey as its own fresh
+  // session key when the parent has trustees, and waits as a draft until it opens
+  static async createRunoff(parentSession, candidates, startDate, publicKey = null) {
+    const runoffId = new mongoose.Types.ObjectId();
+    const claimed = await VotingSessionModel.findOneAndUpdate(
+      { _id: parentSession._id, runoffSessionId: { $exists: false } },
+      { runoffSessionId: runoffId },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    const endDate = new Date(startDate.getTime() + parentSession.runoffDurationHours * 60 * 60 * 1000);
+    const runoff = new VotingSessionModel({
+      _id: runoffId,
+      title: `${parentSession.title} (Runoff)`.slice(0, 200),
+      description: parentSession.description,
+      candidates,
+      assignedUsers: parentSession.assignedUsers.map(user => user._id || user),
+      status: 'draft',
+      startDate,
+      endDate,
+      votingMethod: 'plurality',
+      secretBallot: parentSession.secretBallot,
+      allowVoteChanges: parentSession.allowVoteChanges,
+      encryptBallots: parentSession.encryptBallots,
+      tallyMode: parentSession.tallyMode,
+      trustees: parentSession.trustees.map(trustee => trustee._id || trustee),
+      trusteeThreshold: parentSession.trusteeThreshold,
+      ballotPublicKey: parentSession.encryptBallots ? publicKey : undefined,
+      homomorphicPublicKey: parentSession.tallyMode === 'homomorphic' ? publicKey : undefined,
+      runoffOf: parentSession._id,
+      createdBy: parentSession.createdBy._id || parentSession.createdBy
+    });
+    try {
+      await runoff.save();
+    } catch (error) {
+      // Release the claim so the parent does not point at a runoff that was never created
+      await VotingSessionModel.updateOne(
+        { _id: parentSession._id, runoffSessionId: runoffId },
+        { $unset: { runoffSessionId: 1 } }
+      );
+      throw error;
+    }
+    return runoff;
+  }
+
   static async isUserAssignedToSession(sessionId, userId) {
     const session = await VotingSessionModel.findById(sessionId);
     if (!session) return false;
@@ -167,6 +482,16 @@ class VotingSession {
   }
 }
 
+VotingSession.VOTING_METHODS = VOTING_METHODS;
+VotingSession.RANKED_METHODS = RANKED_METHODS;
+VotingSession.SCORE_METHODS = SCORE_METHODS;
+VotingSession.REFERENDUM_OPTIONS = REFERENDUM_OPTIONS;
+VotingSession.PASSING_THRESHOLDS = PASSING_THRESHOLDS;
+VotingSession.RUNOFF_POLICIES = RUNOFF_POLICIES;
+VotingSession.TALLY_MODES = TALLY_MODES;
+VotingSession.STATUSES = STATUSES;
+VotingSession.TRANSITIONS = TRANSITIONS;
+
 const VotingSessionModel = mongoose.model('VotingSession', votingSessionSchema);
 
 module.exports = VotingSession;
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+
+// pending: counted under its own name until a moderator decides
+// merged: counted for the candidate or write-in it was merged into
+// promoted: became an official candidate and is counted as one
+// rejected: not counted for anyone
+const WRITE_IN_STATUSES = ['pending', 'merged', 'promoted', 'rejected'];
+
+// A write-in name of a session, moderated once for every ballot spelling it the same
+// way. Ballots themselves are never rewritten (they are hash-chained); tallies map
+// each write-in through its entry here instead
+const writeInSchema = new mongoose.Schema({
+  votingSessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VotingSession',
+    required: true
+  },
+  // normalizeName of every spelling below
+  key: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  variants: [{
+    type: String
+  }],
+  status: {
+    type: String,
+    enum: WRITE_IN_STATUSES,
+    default: 'pending'
+  },
+  // The official candidate a merged or promoted write-in counts for, with its name
+  // at the time so tallies need not look the session up
+  candidateId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  candidateName: {
+    type: String
+  },
+  mergedIntoWriteIn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WriteIn'
+  },
+  // Closest official candidate or other write-in, for the moderator to consider
+  suggestion: {
+    type: new mongoose.Schema({
+      candidateId: { type: mongoose.Schema.Types.ObjectId },
+      writeInId: { type: mongoose.Schema.Types.ObjectId },
+      name: { type: String },
+      similarity: { type: Number }
+    }, { _id: false }),
+    default: undefined
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+writeInSchema.index({ votingSessionId: 1, key: 1 }, { unique: true });
+writeInSchema.index({ votingSessionId: 1, status: 1 });
+
+// Merges can chain (a into b, b into a candidate); this bounds following them
+const MAX_MERGE_DEPTH = 20;
+
+class WriteIn {
+  // Make sure every spelling has an entry; returns the entries created just now
+  static async register(votingSessionId, spellings) {
+    const created = [];
+    for (const { key, name } of spellings) {
+      try {
+        const result = await WriteInModel.findOneAndUpdate(
+          { votingSessionId, key },
+          { $setOnInsert: { name }, $addToSet: { variants: name } },
+          { upsert: true, new: true, includeResultMetadata: true }
+        );
+        if (!result.lastErrorObject.updatedExisting) {
+          created.push(result.value);
+        }
+      } catch (error) {
+        // A concurrent registration inserted the same key first
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+    return created;
+  }
+
+  static async setSuggestion(id, suggestion) {
+    return await WriteInModel.findByIdAndUpdate(id, { suggestion }, { new: true });
+  }
+
+  static async findBySessionId(votingSessionId, { status } = {}) {
+    const query = { votingSessionId };
+    if (status) query.status = status;
+    return await WriteInModel.find(query).sort({ createdAt: 1 });
+  }
+
+  static async findForSession(votingSessionId, id) {
+    return await WriteInModel.findOne({ _id: id, votingSessionId });
+  }
+
+  // Record a moderator's decision; null when the entry is no longer pending, so two
+  // moderators acting at once cannot both apply theirs
+  static async review(id, reviewedBy, update) {
+    return await WriteInModel.findOneAndUpdate(
+      { _id: id, status: 'pending' },
+      { ...update, reviewedBy, reviewedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  // Map each write-in key of a session to the name its votes count for, or to
+  // null when they count for no one
+  static async getResolutions(votingSessionId) {
+    const entries = await WriteInModel.find({ votingSessionId });
+    const byId = new Map(entries.map(entry => [entry._id.toString(), entry]));
+
+    const resolve = (entry) => {
+      let current = entry;
+      for (let depth = 0; depth < MAX_MERGE_DEPTH; depth++) {
+        if (current.status === 'rejected') return null;
+        if (current.candidateName) return current.candidateName;
+        const next = current.mergedIntoWriteIn && byId.get(current.mergedIntoWriteIn.toString());
+        if (current.status !== 'merged' || !next) return current.name;
+        current = next;
+      }
+      return current.name;
+    };
+
+    return new Map(entries.map(entry => [entry.key, resolve(entry)]));
+  }
+
+  static async deleteBySessionId(votingSessionId) {
+    await WriteInModel.deleteMany({ votingSessionId });
+  }
+}
+
+WriteIn.WRITE_IN_STATUSES = WRITE_IN_STATUSES;
+
+const WriteInModel = mongoose.model('WriteIn', writeInSchema);
+
+module.exports = WriteIn;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const {
+  getAuditLogs,
+  verifyAuditLog
+} = require('../controllers/auditController');
+
+// GET /api/audit-logs - Query the audit log by actor, action, target and time range (admin only)
+router.get('/', authenticateToken, requireAdmin, getAuditLogs);
+
+// GET /api/audit-logs/verify - Check the audit log hash chain for gaps or edits (admin only)
+router.get('/verify', authenticateToken, requireAdmin, verifyAuditLog);
+
+module.exports = router;
@@ -1,14 +1,77 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
-const { login, register, getProfile, verifyToken } = require('../controllers/authController');
+const {
+  login,
+  loginTwoFactor,
+  register,
+  getProfile,
+  verifyToken,
+  verifyEmail,
+  resendVerification,
+  refresh,
+  logout,
+  logoutEverywhere,
+  changePassword,
+  forgotPassword,
+  resetPassword
+} = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor
+} = require('../controllers/twoFactorController');
 
 // POST /api/auth/login - User login
 router.post('/login', login);
 
+// POST /api/auth/login/2fa - Second login step with a two-factor code or backup code
+router.post('/login/2fa', loginTwoFactor);
+
 // POST /api/auth/register - User registration
 router.post('/register', register);
 
+// POST /api/auth/refresh - Exchange a refresh token for a new access and refresh token
+router.post('/refresh', refresh);
+
+// POST /api/auth/logout - End the current session (protected)
+router.post('/logout', authenticateToken, logout);
+
+// POST /api/auth/logout-all - End every session of the current user (protected)
+router.post('/logout-all', authenticateToken, logoutEverywhere);
+
+// POST /api/auth/change-password - Change the current user's password (protected)
+router.post('/change-password', authenticateToken, changePassword);
+
+// POST /api/auth/forgot-password - Mail a password reset link
+router.post('/forgot-password', forgotPassword);
+
+// POST /api/auth/reset-password - Set a new password with a reset token
+router.post('/reset-password', resetPassword);
+
+// GET /api/auth/verify-email - Confirm an email address with the token from the mailed link
+router.get('/verify-email', verifyEmail);
+
+// POST /api/auth/resend-verification - Mail another verification link (protected, rate-limited)
+router.post('/resend-verification', authenticateToken, resendVerification);
+
+// GET /api/auth/2fa - Two-factor authentication status (protected)
+router.get('/2fa', authenticateToken, getTwoFactorStatus);
+
+// POST /api/auth/2fa/setup - Get a new TOTP secret and otpauth URI (protected)
+router.post('/2fa/setup', authenticateToken, setupTwoFactor);
+
+// POST /api/auth/2fa/confirm - Enable two-factor authentication with a first code (protected)
+router.post('/2fa/confirm', authenticateToken, confirmTwoFactor);
+
+// POST /api/auth/2fa/backup-codes - Replace the backup codes (protected)
+router.post('/2fa/backup-codes', authenticateToken, regenerateBackupCodes);
+
+// POST /api/auth/2fa/disable - Disable two-factor authentication (protected)
+router.post('/2fa/disable', authenticateToken, disableTwoFactor);
+
 // GET /api/auth/profile - Get current user profile (protected)
 router.get('/profile', authenticateToken, getProfile);
 
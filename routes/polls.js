@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requireAdmin, requireUser } = require('../middleware/auth');
+const { authenticateToken, requireAdmin, requireUser, requireVerifiedEmail } = require('../middleware/auth');
 const {
   createPoll,
   getAllPolls,
@@ -66,7 +66,7 @@ router.post('/:pollId/end', authenticateToken, requireUser, endPoll);
 
 // Voting Routes
 // POST /api/polls/:pollId/vote - Cast vote in poll
-router.post('/:pollId/vote', authenticateToken, requireUser, castVoteInPoll);
+router.post('/:pollId/vote', authenticateToken, requireUser, requireVerifiedEmail, castVoteInPoll);
 
 // GET /api/polls/:pollId/vote-status - Get user's vote status in poll
 router.get('/:pollId/vote-status', authenticateToken, requireUser, getPollVoteStatus);
@@ -8,6 +8,11 @@ const {
   deleteUser,
   getUserStats
 } = require('../controllers/userController');
+const {
+  getLoginLockouts,
+  clearLoginLockout,
+  clearUserLoginLockout
+} = require('../controllers/loginLockoutController');
 
 // GET /api/users - Get all users (admin only)
 router.get('/', authenticateToken, requireAdmin, getAllUsers);
@@ -18,10 +23,19 @@ router.get('/stats', authenticateToken, requireAdmin, getUserStats);
 // GET /api/users/with-votes - Get users with their voting status (admin only)
 router.get('/with-votes', authenticateToken, requireAdmin, getUsersWithVoteStatus);
 
+// GET /api/users/lockouts - Accounts and IPs with recent failed logins (admin only)
+router.get('/lockouts', authenticateToken, requireAdmin, getLoginLockouts);
+
+// DELETE /api/users/lockouts/:lockoutId - Clear failed logins and any lockout (admin only)
+router.delete('/lockouts/:lockoutId', authenticateToken, requireAdmin, clearLoginLockout);
+
 // GET /api/users/:id - Get user by ID (admin only)
 router.get('/:id', authenticateToken, requireAdmin, getUserById);
 
 // DELETE /api/users/:id - Delete user by ID (admin only)
 router.delete('/:id', authenticateToken, requireAdmin, deleteUser);
 
+// DELETE /api/users/:id/lockout - Clear a user's failed logins and any lockout (admin only)
+router.delete('/:id/lockout', authenticateToken, requireAdmin, clearUserLoginLockout);
+
 module.exports = router;
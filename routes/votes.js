@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requireAdmin, requireUser } = require('../middleware/auth');
+const { authenticateToken, requireAdmin, requireUser, requireVerifiedEmail } = require('../middleware/auth');
 const {
   castVote,
   getResults,
@@ -13,7 +13,7 @@ const {
 } = require('../controllers/voteController');
 
 // POST /api/votes - Cast a vote (authenticated users only)
-router.post('/', authenticateToken, requireUser, castVote);
+router.post('/', authenticateToken, requireUser, requireVerifiedEmail, castVote);
 
 // GET /api/votes/status - Check if current user has voted (authenticated users)
 router.get('/status', authenticateToken, requireUser, getVoteStatus);
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requireAdmin, requireVerifiedEmail } = require('../middleware/auth');
 const {
   createVotingSession,
   getAllVotingSessions,
@@ -11,14 +11,46 @@ const {
   assignUsersToSession,
   removeUsersFromSession,
   addCandidateToSession,
-  removeCandidateFromSession
+  removeCandidateFromSession,
+  getTrusteeShare,
+  submitTrusteeShareForSession,
+  startNominationsForSession,
+  openVotingSession,
+  pauseVotingSession,
+  resumeVotingSession,
+  closeVotingSession,
+  reopenVotingSession,
+  archiveVotingSession
 } = require('../controllers/votingSessionController');
 
 const {
   castVoteInSession,
-  getSessionResults
+  getSessionResults,
+  getSessionStvResults,
+  verifySessionReceipt,
+  getSessionHashChain,
+  changeVoteInSession,
+  retractVoteInSession,
+  getSessionVoteHistory
 } = require('../controllers/voteController');
 
+const {
+  getNominations,
+  createNomination,
+  secondNomination,
+  acceptNomination,
+  declineNomination,
+  approveNomination,
+  rejectNomination
+} = require('../controllers/nominationController');
+
+const {
+  getWriteIns,
+  mergeWriteIn,
+  promoteWriteIn,
+  rejectWriteIn
+} = require('../controllers/writeInController');
+
 // Admin routes
 router.post('/', authenticateToken, requireAdmin, createVotingSession);
 router.get('/admin/all', authenticateToken, requireAdmin, getAllVotingSessions);
@@ -29,13 +61,47 @@ router.post('/:id/remove-users', authenticateToken, requireAdmin, removeUsersFro
 router.post('/:id/candidates', authenticateToken, requireAdmin, addCandidateToSession);
 router.delete('/:id/candidates/:candidateId', authenticateToken, requireAdmin, removeCandidateFromSession);
 
+// Lifecycle routes (admin only)
+router.post('/:id/start-nominations', authenticateToken, requireAdmin, startNominationsForSession);
+router.post('/:id/open', authenticateToken, requireAdmin, openVotingSession);
+router.post('/:id/pause', authenticateToken, requireAdmin, pauseVotingSession);
+router.post('/:id/resume', authenticateToken, requireAdmin, resumeVotingSession);
+router.post('/:id/close', authenticateToken, requireAdmin, closeVotingSession);
+router.post('/:id/reopen', authenticateToken, requireAdmin, reopenVotingSession);
+router.post('/:id/archive', authenticateToken, requireAdmin, archiveVotingSession);
+
 // User routes
 router.get('/my-sessions', authenticateToken, getUserVotingSessions);
 router.get('/user/assigned', authenticateToken, getUserVotingSessions);
 router.get('/:id', authenticateToken, getVotingSessionById);
 router.get('/:votingSessionId/results', authenticateToken, getSessionResults);
+router.get('/:votingSessionId/results/stv', authenticateToken, getSessionStvResults);
+router.get('/:votingSessionId/hash-chain', authenticateToken, getSessionHashChain);
+router.get('/:votingSessionId/receipts/:receipt', authenticateToken, verifySessionReceipt);
+
+// Nomination routes; members nominate and second, nominees answer, admins decide
+router.get('/:id/nominations', authenticateToken, getNominations);
+router.post('/:id/nominations', authenticateToken, createNomination);
+router.post('/:id/nominations/:nominationId/second', authenticateToken, secondNomination);
+router.post('/:id/nominations/:nominationId/accept', authenticateToken, acceptNomination);
+router.post('/:id/nominations/:nominationId/decline', authenticateToken, declineNomination);
+router.post('/:id/nominations/:nominationId/approve', authenticateToken, requireAdmin, approveNomination);
+router.post('/:id/nominations/:nominationId/reject', authenticateToken, requireAdmin, rejectNomination);
+
+// Write-in moderation queue (admin only)
+router.get('/:id/write-ins', authenticateToken, requireAdmin, getWriteIns);
+router.post('/:id/write-ins/:writeInId/merge', authenticateToken, requireAdmin, mergeWriteIn);
+router.post('/:id/write-ins/:writeInId/promote', authenticateToken, requireAdmin, promoteWriteIn);
+router.post('/:id/write-ins/:writeInId/reject', authenticateToken, requireAdmin, rejectWriteIn);
+
+// Trustee routes for encrypted sessions
+router.get('/:id/trustee-share', authenticateToken, getTrusteeShare);
+router.post('/:id/trustee-shares', authenticateToken, submitTrusteeShareForSession);
 
 // Voting routes
-router.post('/vote', authenticateToken, castVoteInSession);
+router.post('/vote', authenticateToken, requireVerifiedEmail, castVoteInSession);
+router.put('/:votingSessionId/vote', authenticateToken, requireVerifiedEmail, changeVoteInSession);
+router.delete('/:votingSessionId/vote', authenticateToken, requireVerifiedEmail, retractVoteInSession);
+router.get('/:votingSessionId/vote-history', authenticateToken, requireAdmin, getSessionVoteHistory);
 
 module.exports = router;
@@ -3,6 +3,8 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const connectDB = require('./config/database');
 const User = require('./models/User');
+const Vote = require('./models/Vote');
+const { startScheduler } = require('./services/scheduler');
 
 // Load environment variables
 dotenv.config();
@@ -13,6 +15,13 @@ connectDB();
 const app = express();
 const PORT = process.env.PORT || 9099;
 
+// Behind a reverse proxy, TRUST_PROXY lets req.ip be the client's address rather
+// than the proxy's, which failed-login tracking per IP depends on
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -23,6 +32,8 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/votes', require('./routes/votes'));
 app.use('/api/voting-sessions', require('./routes/votingSessions'));
+app.use('/api/polls', require('./routes/polls'));
+app.use('/api/audit-logs', require('./routes/audit'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -49,8 +60,20 @@ if (process.env.NODE_ENV !== 'test') {
     console.log(`Server is running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV}`);
     
+    // Bring indexes of existing databases up to date
+    try {
+      await Vote.dropLegacyIndexes();
+    } catch (error) {
+      console.error('Error updating vote indexes:', error.message);
+    }
+
     // Initialize default admin user
     await User.initializeDefaultAdmin();
+
+    // Open and close sessions and polls at their start and end dates
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      startScheduler({ intervalMs: Number(process.env.SCHEDULER_INTERVAL_MS) || undefined });
+    }
   });
 }
 
@@ -0,0 +1,40 @@
+const AuditLog = require('../models/AuditLog');
+const { diffChanges } = require('../utils/diff');
+
+// Record an administrative action taken by the requesting user. Pass the target
+// document as it was before and after; only the fields that changed are kept.
+// The action has already happened, so a failure to log is reported but not rethrown
+const auditAction = async (req, { action, targetType, targetId, before = null, after = null }) => {
+  try {
+    return await AuditLog.record({
+      actor: req.user,
+      action,
+      target: { type: targetType, id: targetId },
+      ...diffChanges(before, after),
+      ip: req.ip
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
+
+// Same as auditAction, for changes the server makes on its own (no actor, no IP)
+const auditSystemAction = async ({ action, targetType, targetId, before = null, after = null }) => {
+  try {
+    return await AuditLog.record({
+      actor: null,
+      action,
+      target: { type: targetType, id: targetId },
+      ...diffChanges(before, after)
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  auditAction,
+  auditSystemAction
+};
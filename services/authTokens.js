@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const AuthSession = require('../models/AuthSession');
+const User = require('../models/User');
+
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Short-lived JWT naming the session it belongs to
+const generateAccessToken = (user, sessionId) => jwt.sign(
+  {
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    sid: sessionId
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.JWT_EXPIRES_IN || DEFAULT_ACCESS_TOKEN_TTL }
+);
+
+// Opaque "<session id>.<secret>"; only the hash of the secret part is stored
+const generateRefreshToken = (sessionId) => {
+  const token = `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+  return { token, hash: hashToken(token) };
+};
+
+const refreshTokenTtlMs = () =>
+  (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || DEFAULT_REFRESH_TOKEN_TTL_DAYS) * 24 * 60 * 60 * 1000;
+
+// Start a session for a user who has just signed in and hand out its first tokens
+const issueTokens = async (user, req) => {
+  // The session id is chosen up front because the refresh token carries it
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = generateRefreshToken(sessionId);
+
+  const session = await AuthSession.create({
+    _id: sessionId,
+    userId: user._id,
+    refreshTokenHash: refreshToken.hash,
+    expiresAt: new Date(Date.now() + refreshTokenTtlMs()),
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  return {
+    token: generateAccessToken(user, sessionId),
+    refreshToken: refreshToken.token,
+    refreshTokenExpiresAt: session.expiresAt
+  };
+};
+
+// Trade a refresh token for a new access token and refresh token. A refresh token
+// that has already been used means it was copied, so the whole session is revoked.
+// Returns { error, status } or { user, token, refreshToken, refreshTokenExpiresAt }
+const rotateRefreshToken = async (presentedToken) => {
+  const [sessionId] = String(presentedToken).split('.');
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return { status: 401, error: 'Invalid refresh token' };
+  }
+
+  const next = generateRefreshToken(sessionId);
+  const session = await AuthSession.rotate(sessionId, hashToken(presentedToken), next.hash);
+  if (!session) {
+    const existing = await AuthSession.findById(sessionId);
+    if (existing && !existing.revokedAt && existing.expiresAt > new Date()) {
+      await AuthSession.revoke(sessionId, 'refresh token reused');
+      return { status: 401, error: 'Refresh token has already been used; the session has been revoked' };
+    }
+    return { status: 401, error: 'Refresh token has expired or been revoked' };
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user) {
+    await AuthSession.revoke(sessionId, 'user deleted');
+    return { status: 401, error: 'User not found' };
+  }
+
+  if (User.passwordChangedSince(user, AuthSession.authenticatedAt(session))) {
+    await AuthSession.revoke(sessionId, 'password changed');
+    return { status: 401, error: 'Password has changed since this session started; please log in again' };
+  }
+
+  return {
+    user,
+    token: generateAccessToken(user, sessionId),
+    refreshToken: next.token,
+    refreshTokenExpiresAt: session.expiresAt
+  };
+};
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken
+};
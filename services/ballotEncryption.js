@@ -0,0 +1,74 @@
+const Vote = require('../models/Vote');
+const VotingSession = require('../models/VotingSession');
+const TrusteeShare = require('../models/TrusteeShare');
+const { keyPairMatches } = require('../utils/ballotCrypto');
+const { keyPairMatches: tallyKeyPairMatches } = require('../utils/elgamal');
+const { combine, decodeShare } = require('../utils/shamir');
+const { startRunoffIfNeeded } = require('./runoff');
+
+// Accept a trustee's share for a closed session. Once enough shares are in, the
+// key is rebuilt, checked against the session's public key and used to open every
+// ballot, or in a homomorphic session to decrypt and publish the per-candidate sums.
+// Returns { error } when the share cannot be accepted
+const submitTrusteeShare = async (votingSession, trusteeId, encodedShare) => {
+  let decoded;
+  try {
+    decoded = decodeShare(encodedShare);
+  } catch (error) {
+    return { error: 'Share is malformed' };
+  }
+
+  // Shares rebuild the key only with distinct indexes, so each trustee must hand
+  // back the share they were issued and not someone else's
+  const record = await TrusteeShare.findForTrustee(votingSession._id, trusteeId);
+  if (record && decoded.x !== record.shareIndex) {
+    return { error: 'This is not the share issued to you; submit your own share' };
+  }
+
+  const stored = await TrusteeShare.submit(votingSession._id, trusteeId, encodedShare.trim().toLowerCase());
+  if (!stored) {
+    return { error: 'This trustee has not collected a share for this session' };
+  }
+
+  const submitted = await TrusteeShare.getSubmitted(votingSession._id);
+  const progress = { sharesSubmitted: submitted.length, sharesRequired: votingSession.trusteeThreshold };
+  if (submitted.length < votingSession.trusteeThreshold) {
+    return { decrypted: false, ...progress };
+  }
+
+  const homomorphic = votingSession.tallyMode === 'homomorphic';
+  let privateKey;
+  try {
+    privateKey = combine(submitted.map(submission => decodeShare(submission.share)));
+  } catch (error) {
+    return { error: 'The submitted shares do not rebuild the session key; a trustee must resubmit', ...progress };
+  }
+  const matches = homomorphic
+    ? tallyKeyPairMatches(privateKey.toString('hex'), votingSession.homomorphicPublicKey)
+    : keyPairMatches(privateKey, votingSession.ballotPublicKey);
+  if (!matches) {
+    privateKey.fill(0);
+    return { error: 'The submitted shares do not rebuild the session key; a trustee must resubmit', ...progress };
+  }
+
+  let ballots;
+  let homomorphicTally;
+  if (homomorphic) {
+    homomorphicTally = await Vote.decryptHomomorphicTally(votingSession, privateKey.toString('hex'));
+  } else {
+    ballots = await Vote.decryptSessionBallots(votingSession._id, privateKey, votingSession.ballotPublicKey);
+  }
+  privateKey.fill(0);
+
+  const decryptedSession = await VotingSession.markBallotsDecrypted(votingSession._id, homomorphic ? { homomorphicTally } : {});
+  await TrusteeShare.deleteBySessionId(votingSession._id);
+
+  // The runoff check was deferred while the ballots were sealed
+  const runoffSession = decryptedSession ? await startRunoffIfNeeded(decryptedSession) : null;
+
+  return { decrypted: true, ballots, homomorphicTally, runoffSession, ...progress };
+};
+
+module.exports = {
+  submitTrusteeShare
+};
@@ -0,0 +1,130 @@
+const LoginAttempt = require('../models/LoginAttempt');
+
+// Failures allowed before delays start, per scope. Past that, each failure doubles
+// the wait before the next attempt, up to MAX_DELAY_SECONDS, and at maxFailures the
+// account or IP is locked out for LOGIN_LOCKOUT_MINUTES
+const FREE_FAILURES = { account: 3, ip: 10 };
+const MAX_DELAY_SECONDS = 60;
+const DEFAULT_MAX_ACCOUNT_FAILURES = 10;
+const DEFAULT_MAX_IP_FAILURES = 50;
+const DEFAULT_LOCKOUT_MINUTES = 15;
+const DEFAULT_WINDOW_MINUTES = 15;
+
+const maxFailures = (scope) => (scope === 'account'
+  ? Number(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || DEFAULT_MAX_ACCOUNT_FAILURES
+  : Number(process.env.LOGIN_MAX_IP_FAILURES) || DEFAULT_MAX_IP_FAILURES);
+
+const lockoutMs = () => (Number(process.env.LOGIN_LOCKOUT_MINUTES) || DEFAULT_LOCKOUT_MINUTES) * 60 * 1000;
+
+const windowMs = () => (Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || DEFAULT_WINDOW_MINUTES) * 60 * 1000;
+
+// Seconds to wait after the given number of failures; 0 while still free
+const delaySeconds = (scope, failures) => {
+  const excess = failures - FREE_FAILURES[scope];
+  return excess > 0 ? Math.min(2 ** (excess - 1), MAX_DELAY_SECONDS) : 0;
+};
+
+// Failures are counted per account, whether it was named by username or email.
+// Names that match no account are counted too, so they behave like real ones
+const accountIdentifier = (user, name) =>
+  (user ? user._id.toString() : `unknown:${String(name).trim().toLowerCase()}`);
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Answer to give while a record refuses attempts: { status, message, retryAfter }
+const refusal = (record) => {
+  const now = new Date();
+  const scope = record.scope;
+
+  // At maxFailures the lockout may not have been written yet by the attempt that
+  // reached it; refuse as if it had
+  if (record.lockedUntil > now || record.failures >= maxFailures(scope)) {
+    const lockedUntil = record.lockedUntil > now ? record.lockedUntil : new Date(now.getTime() + lockoutMs());
+    const retryAfter = secondsUntil(lockedUntil);
+    const minutes = Math.ceil(retryAfter / 60);
+    return scope === 'account'
+      ? {
+        status: 423,
+        message: `Account is temporarily locked after too many failed login attempts; try again in ${minutes} minutes`,
+        retryAfter
+      }
+      : {
+        status: 429,
+        message: `Too many failed login attempts from this address; try again in ${minutes} minutes`,
+        retryAfter
+      };
+  }
+
+  const retryAfter = secondsUntil(record.nextAttemptAt);
+  return {
+    status: 429,
+    message: `Too many failed login attempts; try again in ${retryAfter} seconds`,
+    retryAfter
+  };
+};
+
+// Start a login attempt for the account from ip. The attempt is counted as a
+// failure against both before the password or code is checked, so a burst of
+// concurrent guesses cannot all get in ahead of the first one's penalty. Returns
+// { block } with { status, message, retryAfter } to answer with when it is refused,
+// otherwise { attempt } to hand to recordLoginFailure or recordLoginSuccess
+const beginLoginAttempt = async ({ ip, accountId, userId }) => {
+  const results = await Promise.all([
+    LoginAttempt.recordAttempt('account', accountId, {
+      windowMs: windowMs(), maxFailures: maxFailures('account'), userId, ip
+    }),
+    ip ? LoginAttempt.recordAttempt('ip', ip, { windowMs: windowMs(), maxFailures: maxFailures('ip') }) : null
+  ]);
+  const records = results.filter(Boolean);
+
+  const refused = records.find(result => !result.counted);
+  if (refused) {
+    await Promise.all(records
+      .filter(result => result.counted)
+      .map(result => LoginAttempt.refundAttempt(result.record._id)));
+    return { block: refusal(refused.record) };
+  }
+
+  return { attempt: { records: records.map(result => result.record) } };
+};
+
+// The attempt failed: it stays counted, and past the free failures each record
+// makes the next attempt wait, or locks out at maxFailures
+const recordLoginFailure = async (attempt) => {
+  const now = Date.now();
+  await Promise.all(attempt.records.map(async (record) => {
+    const penalty = {};
+
+    const delay = delaySeconds(record.scope, record.failures);
+    if (delay > 0) {
+      penalty.nextAttemptAt = new Date(now + delay * 1000);
+    }
+    if (record.failures >= maxFailures(record.scope)) {
+      penalty.lockedUntil = new Date(now + lockoutMs());
+    }
+
+    if (Object.keys(penalty).length > 0) {
+      await LoginAttempt.extendPenalty(record._id, penalty);
+    }
+  }));
+};
+
+// The password or code was right, so the attempt is taken back off the counts
+const recordLoginSuccess = async (attempt) => {
+  await Promise.all(attempt.records.map(record => LoginAttempt.refundAttempt(record._id)));
+};
+
+// Forget an account's failures, after a completed login or a password reset. The
+// IP's are left to expire, so signing in to one account cannot be used to keep
+// guessing at others
+const clearAccountFailures = async ({ accountId }) => {
+  await LoginAttempt.clear('account', accountId);
+};
+
+module.exports = {
+  accountIdentifier,
+  beginLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  clearAccountFailures
+};
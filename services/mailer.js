@@ -0,0 +1,49 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Outgoing mail goes through a transport: any object with an async send(message)
+// taking { to, subject, text }. The built-in ones suit local development; set
+// another with setMailTransport, e.g. one backed by an SMTP or API provider
+
+// Print messages to the server log
+const consoleTransport = () => ({
+  send: async (message) => {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+  }
+});
+
+// Write every message to its own JSON file in directory
+const fileTransport = (directory) => ({
+  send: async (message) => {
+    await fs.mkdir(directory, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    const filePath = path.join(directory, fileName);
+    await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    return filePath;
+  }
+});
+
+// MAIL_TRANSPORT picks a built-in transport: 'console' (default) or 'file' (into MAIL_DIR)
+const transportFromEnv = () => (process.env.MAIL_TRANSPORT === 'file'
+  ? fileTransport(process.env.MAIL_DIR || 'mail-outbox')
+  : consoleTransport());
+
+let transport = null;
+
+const setMailTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  if (!transport) {
+    transport = transportFromEnv();
+  }
+  return await transport.send({ from: process.env.MAIL_FROM || 'no-reply@voting-app.local', to, subject, text });
+};
+
+module.exports = {
+  consoleTransport,
+  fileTransport,
+  setMailTransport,
+  sendMail
+};
@@ -0,0 +1,69 @@
+const Vote = require('../models/Vote');
+const VotingSession = require('../models/VotingSession');
+const TrusteeShare = require('../models/TrusteeShare');
+const { createSessionKey, createTallyKey } = require('./trusteeKeys');
+
+// Start the runoff of a session that has just closed, when its runoff policy
+// asks for one and no candidate won an absolute majority of the votes cast.
+// A runoff due straight away opens now; otherwise the scheduler opens it at its
+// start date, and sessions with trustees only once each has collected their new
+// share. Returns the new runoff session, or null when none is needed
+const startRunoffIfNeeded = async (votingSession, closedAt = new Date()) => {
+  if (votingSession.runoffPolicy !== 'top-two' ||
+      votingSession.votingMethod !== 'plurality' ||
+      votingSession.multipleChoice ||
+      votingSession.runoffSessionId ||
+      VotingSession.isAwaitingDecryption(votingSession)) {
+    return null;
+  }
+
+  const { results, totalVotes } = await Vote.getSessionTally(votingSession);
+  if (totalVotes === 0 || results.length < 2) {
+    return null;
+  }
+
+  if (results[0].voteCount > totalVotes / 2) {
+    return null;
+  }
+
+  // The top two go through, plus anyone tied with the runner-up
+  const runnerUpVotes = results[1].voteCount;
+  const finalists = results.filter(result => result.voteCount >= runnerUpVotes);
+
+  const candidates = finalists.map(result => {
+    const candidate = votingSession.candidates.find(c => c.name === result.candidateName);
+    return {
+      name: result.candidateName,
+      description: candidate ? candidate.description : ''
+    };
+  });
+
+  const startDate = new Date(closedAt.getTime() + votingSession.runoffStartAfterHours * 60 * 60 * 1000);
+
+  // The runoff gets a key of its own, split among the same trustees
+  let sessionKey = null;
+  if (VotingSession.usesTrustees(votingSession)) {
+    const trusteeIds = votingSession.trustees.map(trustee => (trustee._id || trustee).toString());
+    const createKey = votingSession.tallyMode === 'homomorphic' ? createTallyKey : createSessionKey;
+    sessionKey = createKey(trusteeIds, votingSession.trusteeThreshold);
+  }
+
+  const runoff = await VotingSession.createRunoff(votingSession, candidates, startDate, sessionKey && sessionKey.publicKey);
+  if (!runoff) {
+    return null;
+  }
+
+  if (sessionKey) {
+    await TrusteeShare.createForSession(runoff._id, sessionKey.shares);
+    return runoff;
+  }
+
+  if (startDate <= new Date()) {
+    return await VotingSession.transition(runoff._id, 'open') || runoff;
+  }
+  return runoff;
+};
+
+module.exports = {
+  startRunoffIfNeeded
+};
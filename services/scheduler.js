@@ -0,0 +1,110 @@
+const Poll = require('../models/Poll');
+const VotingSession = require('../models/VotingSession');
+const { transitionSession } = require('./sessionLifecycle');
+const { auditSystemAction } = require('./audit');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Apply one scheduled session action. Every transition is a conditional update on
+// the current status, so when several server instances pick up the same session
+// only one of them applies it and records it. A refused action is recorded on the
+// session, which keeps later runs from retrying it until the session changes
+const transitionDueSession = async (votingSession, action) => {
+  const previousStatus = votingSession.status;
+  const result = await transitionSession(votingSession, action);
+  if (result.error) {
+    if (await VotingSession.recordScheduleError(votingSession, action, result.error)) {
+      console.warn(`Scheduler could not ${action} voting session ${votingSession._id}: ${result.error}`);
+    }
+    return false;
+  }
+
+  await auditSystemAction({
+    action: `votingSession.${action}`,
+    targetType: 'VotingSession',
+    targetId: votingSession._id,
+    before: { status: previousStatus },
+    after: { status: result.votingSession.status }
+  });
+  return true;
+};
+
+const transitionDuePoll = async (poll, fromStatus, toStatus, action) => {
+  const updatedPoll = await Poll.transitionStatus(poll._id, fromStatus, toStatus);
+  if (!updatedPoll) return false;
+
+  await auditSystemAction({
+    action: `poll.${action}`,
+    targetType: 'Poll',
+    targetId: poll._id,
+    before: { status: fromStatus },
+    after: { status: toStatus }
+  });
+  return true;
+};
+
+// Run each item on its own so one failure does not hold up the rest
+const applyEach = async (items, apply) => {
+  let applied = 0;
+  for (const item of items) {
+    try {
+      if (await apply(item)) applied++;
+    } catch (error) {
+      console.error(`Scheduler error for ${item._id}:`, error);
+    }
+  }
+  return applied;
+};
+
+// Open everything whose start date has arrived and close everything whose end date
+// has passed. Closing runs first so a session due for both ends up closed
+const runScheduledTransitions = async (now = new Date()) => {
+  const sessionsClosed = await applyEach(
+    await VotingSession.findDueForClosing(now),
+    votingSession => transitionDueSession(votingSession, 'close')
+  );
+  const sessionsOpened = await applyEach(
+    await VotingSession.findDueForOpening(now),
+    votingSession => transitionDueSession(votingSession, 'open')
+  );
+  const pollsEnded = await applyEach(
+    await Poll.findDueForEnding(now),
+    poll => transitionDuePoll(poll, 'active', 'ended', 'end')
+  );
+  const pollsActivated = await applyEach(
+    await Poll.findDueForActivation(now),
+    poll => transitionDuePoll(poll, 'draft', 'active', 'activate')
+  );
+
+  return { sessionsOpened, sessionsClosed, pollsActivated, pollsEnded };
+};
+
+// Run the scheduled transitions now and then every intervalMs. A run that is still
+// going when the next one is due is not overlapped. Returns a function that stops it
+const startScheduler = ({ intervalMs = DEFAULT_INTERVAL_MS } = {}) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runScheduledTransitions();
+    } catch (error) {
+      console.error('Scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  // The scheduler alone should not keep the process alive
+  timer.unref();
+  tick();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  runScheduledTransitions,
+  startScheduler
+};
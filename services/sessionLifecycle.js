@@ -0,0 +1,89 @@
+const VotingSession = require('../models/VotingSession');
+const TrusteeShare = require('../models/TrusteeShare');
+const { startRunoffIfNeeded } = require('./runoff');
+
+const endDatePassed = (votingSession) => Boolean(votingSession.endDate && votingSession.endDate <= new Date());
+
+// Extra conditions an action must meet beyond the status it starts from.
+// Each returns (or resolves to) the reason the action is refused, or null
+const GUARDS = {
+  startNominations: (votingSession) => (votingSession.votingMethod === 'referendum'
+    ? 'Referendum options are fixed and cannot be nominated'
+    : null),
+  open: async (votingSession) => {
+    if (votingSession.candidates.length === 0) {
+      return 'A voting session needs at least one candidate before it can be opened';
+    }
+    if (votingSession.assignedUsers.length === 0) {
+      return 'A voting session needs at least one assigned user before it can be opened';
+    }
+    if (endDatePassed(votingSession)) {
+      return 'The end date has already passed; move it into the future first';
+    }
+    // No share of the key may still be sitting on the server once ballots come in
+    if (VotingSession.usesTrustees(votingSession) && await TrusteeShare.countUncollected(votingSession._id) > 0) {
+      return 'Every trustee must collect their key share before the voting session can be opened';
+    }
+    return null;
+  },
+  resume: (votingSession) => (endDatePassed(votingSession)
+    ? 'The end date has already passed; move it into the future first'
+    : null),
+  reopen: async (votingSession) => {
+    if (votingSession.runoffSessionId) {
+      return 'A runoff has already been started from this voting session';
+    }
+    if (votingSession.ballotsDecryptedAt) {
+      return 'Ballots for this voting session have already been decrypted';
+    }
+    // Shares handed back would let a partial tally be rebuilt while voting goes on
+    if (VotingSession.usesTrustees(votingSession) && await TrusteeShare.countSubmitted(votingSession._id) > 0) {
+      return 'Trustees have already started decrypting the ballots of this voting session';
+    }
+    if (endDatePassed(votingSession)) {
+      return 'The end date has already passed; move it into the future first';
+    }
+    return null;
+  },
+  archive: (votingSession) => (VotingSession.isAwaitingDecryption(votingSession)
+    ? 'Ballots must be decrypted by the trustees before the voting session is archived'
+    : null)
+};
+
+// Move a session through one lifecycle action on behalf of actorId (null for the system).
+// Closing may start a runoff. Returns { error } when the action is not allowed
+const transitionSession = async (votingSession, action, actorId = null) => {
+  const transition = VotingSession.TRANSITIONS[action];
+  if (!transition) {
+    return { error: `Unknown lifecycle action: ${action}` };
+  }
+
+  if (!transition.from.includes(votingSession.status)) {
+    return { error: `Cannot ${action} a voting session that is ${votingSession.status}` };
+  }
+
+  const refusal = GUARDS[action] ? await GUARDS[action](votingSession) : null;
+  if (refusal) {
+    return { error: refusal };
+  }
+
+  let updatedSession = await VotingSession.transition(votingSession._id, action, actorId);
+  if (!updatedSession) {
+    return { error: 'The voting session changed status in the meantime; reload and try again' };
+  }
+
+  // Closing a first round without a majority may start its runoff
+  let runoffSession = null;
+  if (transition.to === 'closed') {
+    runoffSession = await startRunoffIfNeeded(updatedSession);
+    if (runoffSession) {
+      updatedSession = await VotingSession.findById(votingSession._id);
+    }
+  }
+
+  return { votingSession: updatedSession, runoffSession };
+};
+
+module.exports = {
+  transitionSession
+};
@@ -0,0 +1,34 @@
+const { generateKeyPair } = require('../utils/ballotCrypto');
+const { GROUP: TALLY_GROUP, generateKeyPair: generateTallyKeyPair } = require('../utils/elgamal');
+const { split, encodeShare } = require('../utils/shamir');
+
+// ElGamal private keys are below q; shares of them are padded to q's byte length
+const TALLY_KEY_BYTES = Math.ceil(TALLY_GROUP.q.length / 2);
+
+const toTrusteeShares = (trusteeIds, secret, threshold) => split(secret, trusteeIds.length, threshold)
+  .map((share, index) => ({ trusteeId: trusteeIds[index], share: encodeShare(share), shareIndex: share.x }));
+
+// Generate a session key pair and split its private half among the trustees.
+// The private key itself is wiped and never stored
+const createSessionKey = (trusteeIds, threshold) => {
+  const { publicKey, privateKey } = generateKeyPair();
+  const shares = toTrusteeShares(trusteeIds, privateKey, threshold);
+  privateKey.fill(0);
+
+  return { publicKey, shares };
+};
+
+// The same for the ElGamal key a homomorphic session is tallied with
+const createTallyKey = (trusteeIds, threshold) => {
+  const { publicKey, privateKey } = generateTallyKeyPair();
+  const secret = Buffer.from(privateKey.padStart(TALLY_KEY_BYTES * 2, '0'), 'hex');
+  const shares = toTrusteeShares(trusteeIds, secret, threshold);
+  secret.fill(0);
+
+  return { publicKey, shares };
+};
+
+module.exports = {
+  createSessionKey,
+  createTallyKey
+};
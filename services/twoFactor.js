@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { verifyTotp } = require('../utils/totp');
+
+const BACKUP_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_TTL = '5m';
+const LOGIN_CHALLENGE_PURPOSE = 'login-2fa';
+
+const hashBackupCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Backup codes are shown as "xxxxx-xxxxx"; case, spaces and the dash are optional
+const normalizeBackupCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+// A fresh set of single-use backup codes, and the hashes to store for them
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(code => hashBackupCode(normalizeBackupCode(code))) };
+};
+
+// REQUIRE_ADMIN_2FA=true makes admins set up two-factor authentication before they
+// can use any admin endpoint, and stops them from switching it off again
+const isTwoFactorMandatory = (user) => process.env.REQUIRE_ADMIN_2FA === 'true' && user.role === 'admin';
+
+// Check the second factor a user presented: { code } from their authenticator app
+// or one of their { backupCode }s. Each code works once. Returns the method used,
+// or null when it does not check out
+const verifySecondFactor = async (user, { code, backupCode }) => {
+  if (!User.isTwoFactorEnabled(user)) return null;
+
+  if (code) {
+    const step = verifyTotp(user.twoFactor.secret, code);
+    if (step === null) return null;
+    return await User.recordTotpStep(user._id, step) ? 'totp' : null;
+  }
+
+  if (backupCode) {
+    const normalized = normalizeBackupCode(backupCode);
+    if (!normalized) return null;
+    return await User.useBackupCode(user._id, hashBackupCode(normalized)) ? 'backup-code' : null;
+  }
+
+  return null;
+};
+
+// Short-lived token proving the password step of a login succeeded. It carries no
+// session, so it is refused everywhere except the second login step
+const issueLoginChallenge = (user) => jwt.sign(
+  { id: user._id, purpose: LOGIN_CHALLENGE_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: LOGIN_CHALLENGE_TTL }
+);
+
+// The user id a login challenge was issued for, or null when it is invalid or expired
+const verifyLoginChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === LOGIN_CHALLENGE_PURPOSE ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  generateBackupCodes,
+  isTwoFactorMandatory,
+  verifySecondFactor,
+  issueLoginChallenge,
+  verifyLoginChallenge
+};
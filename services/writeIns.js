@@ -0,0 +1,50 @@
+const Vote = require('../models/Vote');
+const WriteIn = require('../models/WriteIn');
+const { normalizeName, findClosestName } = require('../utils/writeIns');
+
+// Give every write-in on the session's current ballots a moderation entry, suggesting
+// the closest listed candidate or other write-in for new ones. Entries are only made
+// here, never while voting, so they cannot be lined up with the time a voter cast.
+// Returns the votes per write-in key
+const syncWriteIns = async (votingSession) => {
+  const spellings = await Vote.getWriteInSpellings(votingSession._id);
+
+  // The most popular spelling names the entry
+  const ordered = spellings
+    .map(spelling => ({ ...spelling, key: normalizeName(spelling.candidateName) }))
+    .sort((a, b) => b.voteCount - a.voteCount);
+  const created = await WriteIn.register(
+    votingSession._id,
+    ordered.map(spelling => ({ key: spelling.key, name: spelling.candidateName }))
+  );
+
+  if (created.length > 0) {
+    const entries = await WriteIn.findBySessionId(votingSession._id);
+    for (const entry of created) {
+      const closest = findClosestName(entry.name, [
+        ...votingSession.candidates.map(c => ({ name: c.name, candidateId: c._id })),
+        ...entries
+          .filter(other => other.status !== 'rejected' && other._id.toString() !== entry._id.toString())
+          .map(other => ({ name: other.name, writeInId: other._id }))
+      ]);
+      if (closest) {
+        await WriteIn.setSuggestion(entry._id, {
+          candidateId: closest.option.candidateId,
+          writeInId: closest.option.writeInId,
+          name: closest.option.name,
+          similarity: Math.round(closest.similarity * 100) / 100
+        });
+      }
+    }
+  }
+
+  const votesByKey = new Map();
+  ordered.forEach(spelling => {
+    votesByKey.set(spelling.key, (votesByKey.get(spelling.key) || 0) + spelling.voteCount);
+  });
+  return votesByKey;
+};
+
+module.exports = {
+  syncWriteIns
+};
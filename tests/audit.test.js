@@ -0,0 +1,155 @@
+require('./setup');
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+
+describe('Audit log API', () => {
+  let adminToken;
+  let userToken;
+  let userId;
+
+  const auditCollection = () => mongoose.connection.db.collection('auditlogs');
+
+  const createSession = async () => {
+    const response = await request(app)
+      .post('/api/voting-sessions')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        title: 'Board election',
+        candidates: [{ name: 'Alice' }, { name: 'Bob' }]
+      });
+    return response.body.votingSession;
+  };
+
+  beforeEach(async () => {
+    const user = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123'
+    });
+    userId = user._id.toString();
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'testuser', password: 'password123' });
+    userToken = userLogin.body.token;
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'admin', password: 'admin123' });
+    adminToken = adminLogin.body.token;
+  });
+
+  describe('recording', () => {
+    it('should record the actor, target and changed fields of an update', async () => {
+      const session = await createSession();
+
+      await request(app)
+        .put(`/api/voting-sessions/${session._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ title: 'Board election 2025' })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/audit-logs')
+        .query({ action: 'votingSession.update' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.total).toBe(1);
+      const entry = response.body.entries[0];
+      expect(entry.actor.username).toBe('admin');
+      expect(entry.target).toEqual({ type: 'VotingSession', id: session._id });
+      expect(entry.changes.before).toEqual({ title: 'Board election' });
+      expect(entry.changes.after).toEqual({ title: 'Board election 2025' });
+      expect(entry.ip).toBeTruthy();
+    });
+
+    it('should record user deletion without the password hash', async () => {
+      await request(app)
+        .delete(`/api/users/${userId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/audit-logs')
+        .query({ targetType: 'User', targetId: userId })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.entries).toHaveLength(1);
+      expect(response.body.entries[0].action).toBe('user.delete');
+      expect(response.body.entries[0].changes.before.username).toBe('testuser');
+      expect(response.body.entries[0].changes.before.password).toBeUndefined();
+      expect(response.body.entries[0].changes.after).toBeNull();
+    });
+
+    it('should only be readable by admins', async () => {
+      await request(app)
+        .get('/api/audit-logs')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/audit-logs/verify', () => {
+    beforeEach(async () => {
+      const session = await createSession();
+      await request(app)
+        .post(`/api/voting-sessions/${session._id}/assign-users`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ userIds: [userId] });
+      await request(app)
+        .delete(`/api/voting-sessions/${session._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+    });
+
+    it('should report an intact chain', async () => {
+      const response = await request(app)
+        .get('/api/audit-logs/verify')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.valid).toBe(true);
+      expect(response.body.length).toBe(3);
+    });
+
+    it('should detect an entry modified directly in the database', async () => {
+      await auditCollection().updateOne({ sequence: 2 }, { $set: { 'actor.username': 'someone-else' } });
+
+      const response = await request(app)
+        .get('/api/audit-logs/verify')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.valid).toBe(false);
+      expect(response.body.sequence).toBe(2);
+    });
+
+    it('should detect a deleted entry', async () => {
+      await auditCollection().deleteOne({ sequence: 2 });
+
+      const response = await request(app)
+        .get('/api/audit-logs/verify')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.valid).toBe(false);
+      expect(response.body.reason).toBe('Expected sequence 2 but found 3');
+    });
+
+    it('should detect entries removed from the end', async () => {
+      await auditCollection().deleteOne({ sequence: 3 });
+
+      const response = await request(app)
+        .get('/api/audit-logs/verify')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.valid).toBe(false);
+      expect(response.body.reason).toBe('Expected at least 3 entries but found 2');
+    });
+  });
+});
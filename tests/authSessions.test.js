@@ -0,0 +1,108 @@
+require('./setup');
+
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+
+describe('Auth sessions', () => {
+  let userId;
+
+  const login = () => request(app)
+    .post('/api/auth/login')
+    .send({ username: 'testuser', password: 'password123' })
+    .expect(200);
+
+  const refresh = (refreshToken) => request(app)
+    .post('/api/auth/refresh')
+    .send({ refreshToken });
+
+  const profile = (token) => request(app)
+    .get('/api/auth/profile')
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeEach(async () => {
+    const user = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123'
+    });
+    userId = user._id.toString();
+  });
+
+  it('should hand out an access token and a refresh token on login', async () => {
+    const response = await login();
+
+    expect(response.body.token).toBeTruthy();
+    expect(response.body.refreshToken).toBeTruthy();
+    await profile(response.body.token).expect(200);
+  });
+
+  it('should rotate the refresh token on every use', async () => {
+    const { body: first } = await login();
+
+    const second = await refresh(first.refreshToken).expect(200);
+    expect(second.body.refreshToken).not.toBe(first.refreshToken);
+    await profile(second.body.token).expect(200);
+
+    await refresh(second.body.refreshToken).expect(200);
+  });
+
+  it('should revoke the session when a used refresh token is replayed', async () => {
+    const { body: first } = await login();
+    const second = await refresh(first.refreshToken).expect(200);
+
+    const replay = await refresh(first.refreshToken).expect(401);
+    expect(replay.body.message).toMatch(/already been used/);
+
+    // The legitimate holder is signed out too, since either copy may be the stolen one
+    await refresh(second.body.refreshToken).expect(401);
+    await profile(second.body.token).expect(401);
+  });
+
+  it('should stop accepting the access token after logout', async () => {
+    const { body } = await login();
+
+    await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${body.token}`)
+      .expect(200);
+
+    await profile(body.token).expect(401);
+    await refresh(body.refreshToken).expect(401);
+  });
+
+  it('should end every session when logging out everywhere', async () => {
+    const { body: laptop } = await login();
+    const { body: phone } = await login();
+
+    const response = await request(app)
+      .post('/api/auth/logout-all')
+      .set('Authorization', `Bearer ${laptop.token}`)
+      .expect(200);
+    expect(response.body.revokedSessions).toBe(2);
+
+    await profile(laptop.token).expect(401);
+    await profile(phone.token).expect(401);
+    await refresh(phone.refreshToken).expect(401);
+  });
+
+  it('should cut off a deleted user immediately', async () => {
+    const { body } = await login();
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'admin', password: 'admin123' });
+
+    await request(app)
+      .delete(`/api/users/${userId}`)
+      .set('Authorization', `Bearer ${adminLogin.body.token}`)
+      .expect(200);
+
+    await profile(body.token).expect(401);
+    await refresh(body.refreshToken).expect(401);
+  });
+
+  it('should refuse malformed refresh tokens', async () => {
+    await refresh('not-a-token').expect(401);
+    await request(app).post('/api/auth/refresh').send({}).expect(400);
+  });
+});
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const { generateKeyPair, keyPairMatches, encryptBallot, decryptBallot } = require('../utils/ballotCrypto');
+
+describe('Ballot encryption', () => {
+  const ballot = { candidateName: 'Alice', rankings: ['a', 'b'], isCustomCandidate: false };
+
+  it('should decrypt a ballot with the matching private key', () => {
+    const { publicKey, privateKey } = generateKeyPair();
+    const encrypted = encryptBallot(publicKey, ballot);
+
+    expect(encrypted.ciphertext).not.toContain('Alice');
+    expect(decryptBallot(privateKey, publicKey, encrypted)).toEqual(ballot);
+  });
+
+  it('should seal identical ballots to different ciphertexts', () => {
+    const { publicKey } = generateKeyPair();
+    expect(encryptBallot(publicKey, ballot).ciphertext).not.toBe(encryptBallot(publicKey, ballot).ciphertext);
+  });
+
+  it('should refuse to decrypt with the wrong key or a tampered ciphertext', () => {
+    const { publicKey, privateKey } = generateKeyPair();
+    const other = generateKeyPair();
+    const encrypted = encryptBallot(publicKey, ballot);
+
+    expect(() => decryptBallot(other.privateKey, other.publicKey, encrypted)).toThrow();
+
+    const tampered = Buffer.from(encrypted.ciphertext, 'base64');
+    tampered[0] ^= 1;
+    expect(() => decryptBallot(privateKey, publicKey, { ...encrypted, ciphertext: tampered.toString('base64') })).toThrow();
+  });
+
+  it('should tell whether a private key belongs to a public key', () => {
+    const { publicKey, privateKey } = generateKeyPair();
+    expect(keyPairMatches(privateKey, publicKey)).toBe(true);
+    expect(keyPairMatches(crypto.randomBytes(32), publicKey)).toBe(false);
+  });
+});
@@ -0,0 +1,23 @@
+const { diffChanges } = require('../utils/diff');
+
+describe('diffChanges', () => {
+  it('should keep only the fields that changed', () => {
+    expect(diffChanges(
+      { title: 'Old', status: 'draft', candidates: [{ name: 'Alice' }] },
+      { title: 'New', status: 'draft', candidates: [{ name: 'Alice' }], endDate: '2025-01-01' }
+    )).toEqual({
+      before: { title: 'Old', endDate: null },
+      after: { title: 'New', endDate: '2025-01-01' }
+    });
+  });
+
+  it('should keep a whole snapshot when the other side is missing', () => {
+    expect(diffChanges(null, { title: 'Created' })).toEqual({ before: null, after: { title: 'Created' } });
+    expect(diffChanges({ title: 'Deleted' }, null)).toEqual({ before: { title: 'Deleted' }, after: null });
+  });
+
+  it('should never record passwords or bookkeeping fields', () => {
+    expect(diffChanges({ username: 'bob', password: 'hash', __v: 0 }, null))
+      .toEqual({ before: { username: 'bob' }, after: null });
+  });
+});
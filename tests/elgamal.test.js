@@ -0,0 +1,66 @@
+const {
+  generateKeyPair,
+  keyPairMatches,
+  encrypt,
+  combine,
+  encryptVector,
+  verifyVector,
+  decrypt,
+  verifyDecryption
+} = require('../utils/elgamal');
+
+// 2048-bit proofs are slow, so the whole suite shares one key pair and a few ballots
+describe('Exponential ElGamal', () => {
+  const { publicKey, privateKey } = generateKeyPair();
+  const ballots = [
+    encryptVector(publicKey, [true, false], [1]),
+    encryptVector(publicKey, [false, true], [1]),
+    encryptVector(publicKey, [true, false], [1])
+  ];
+
+  it('should add messages by multiplying ciphertexts', () => {
+    const sum = combine([encrypt(publicKey, 2), encrypt(publicKey, 3)]);
+    expect(decrypt(privateKey, publicKey, sum, 10).message).toBe(5);
+  });
+
+  it('should decrypt only the aggregate of each candidate with a verifiable proof', () => {
+    const tallies = [0, 1].map(index => {
+      const aggregate = combine(ballots.map(ballot => ballot.entries[index]));
+      const decryption = decrypt(privateKey, publicKey, aggregate, ballots.length);
+      return { aggregate, decryption };
+    });
+
+    expect(tallies.map(tally => tally.decryption.message)).toEqual([2, 1]);
+    tallies.forEach(({ aggregate, decryption }) => {
+      expect(verifyDecryption(publicKey, aggregate, decryption)).toBe(true);
+    });
+
+    // A published count that does not match the ciphertext fails verification
+    expect(verifyDecryption(publicKey, tallies[0].aggregate, { ...tallies[0].decryption, message: 3 })).toBe(false);
+  });
+
+  it('should prove every ballot selects exactly one candidate', () => {
+    expect(verifyVector(publicKey, ballots[0], [1])).toBe(true);
+    expect(verifyVector(publicKey, ballots[0], [2])).toBe(false);
+    expect(() => encryptVector(publicKey, [true, true], [1])).toThrow('Message is not one of the allowed values');
+  });
+
+  it('should reject a ballot whose ciphertexts were swapped for another ballot\'s', () => {
+    const tampered = {
+      ...ballots[0],
+      entries: [{ ...ballots[0].entries[0], b: ballots[1].entries[0].b }, ballots[0].entries[1]]
+    };
+    expect(verifyVector(publicKey, tampered, [1])).toBe(false);
+  });
+
+  it('should recognise the private key behind a public key', () => {
+    expect(keyPairMatches(privateKey, publicKey)).toBe(true);
+    expect(keyPairMatches(generateKeyPair().privateKey, publicKey)).toBe(false);
+    expect(keyPairMatches('not hex', publicKey)).toBe(false);
+  });
+
+  it('should refuse to decrypt a value outside the expected range', () => {
+    expect(() => decrypt(privateKey, publicKey, encrypt(publicKey, 4), 3))
+      .toThrow('Decrypted value is outside the expected range');
+  });
+});
@@ -0,0 +1,152 @@
+require('./setup');
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const { setMailTransport } = require('../services/mailer');
+
+describe('Email verification', () => {
+  let outbox;
+  let adminToken;
+
+  const register = () => request(app)
+    .post('/api/auth/register')
+    .send({ username: 'newvoter', email: 'new@example.com', password: 'password123' });
+
+  const mailedToken = () => outbox[outbox.length - 1].text.match(/token=([\w-]+)/)[1];
+
+  const createOpenSession = async (userId) => {
+    const created = await request(app)
+      .post('/api/voting-sessions')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        title: 'Board election',
+        candidates: [{ name: 'Alice' }, { name: 'Bob' }],
+        assignedUsers: [userId]
+      });
+    const session = created.body.votingSession;
+    await request(app)
+      .post(`/api/voting-sessions/${session._id}/open`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    return session;
+  };
+
+  const vote = (token, session) => request(app)
+    .post('/api/voting-sessions/vote')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ votingSessionId: session._id, candidateId: session.candidates[0]._id, candidateName: 'Alice' });
+
+  beforeEach(async () => {
+    outbox = [];
+    setMailTransport({ send: async (message) => { outbox.push(message); } });
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'admin', password: 'admin123' });
+    adminToken = adminLogin.body.token;
+  });
+
+  afterAll(() => {
+    setMailTransport(null);
+  });
+
+  it('should register accounts as unverified and mail them a verification link', async () => {
+    const response = await register().expect(201);
+
+    expect(response.body.user.emailVerified).toBe(false);
+    expect(response.body.token).toBeDefined();
+    expect(outbox).toHaveLength(1);
+    expect(outbox[0].to).toBe('new@example.com');
+    expect(outbox[0].text).toContain('/api/auth/verify-email?token=');
+  });
+
+  it('should let unverified accounts see their profile but not vote', async () => {
+    const registered = await register().expect(201);
+    const session = await createOpenSession(registered.body.user.id);
+
+    const profile = await request(app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${registered.body.token}`)
+      .expect(200);
+    expect(profile.body.user.emailVerified).toBe(false);
+
+    // Read-only routes stay open; only casting and changing votes need a verified address
+    await request(app)
+      .get('/api/polls/my')
+      .set('Authorization', `Bearer ${registered.body.token}`)
+      .expect(200);
+
+    const refused = await vote(registered.body.token, session).expect(403);
+    expect(refused.body.message).toBe('Please verify your email address first');
+  });
+
+  it('should verify the address with the mailed token and then allow voting', async () => {
+    const registered = await register().expect(201);
+    const session = await createOpenSession(registered.body.user.id);
+
+    await request(app)
+      .get(`/api/auth/verify-email?token=${mailedToken()}`)
+      .expect(200);
+
+    const user = await User.findById(registered.body.user.id);
+    expect(user.emailVerified).toBe(true);
+    expect(user.emailVerifiedAt).toBeDefined();
+
+    await vote(registered.body.token, session).expect(201);
+  });
+
+  it('should accept each verification token only once', async () => {
+    await register().expect(201);
+    const token = mailedToken();
+
+    await request(app).get(`/api/auth/verify-email?token=${token}`).expect(200);
+    await request(app).get(`/api/auth/verify-email?token=${token}`).expect(400);
+    await request(app).get('/api/auth/verify-email?token=not-a-token').expect(400);
+    await request(app).get('/api/auth/verify-email').expect(400);
+  });
+
+  it('should rate-limit resending the verification email', async () => {
+    const registered = await register().expect(201);
+
+    const response = await request(app)
+      .post('/api/auth/resend-verification')
+      .set('Authorization', `Bearer ${registered.body.token}`)
+      .expect(429);
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    expect(outbox).toHaveLength(1);
+
+    // Pretend the cooldown has passed
+    await mongoose.connection.db.collection('users').updateOne(
+      { username: 'newvoter' },
+      { $set: { verificationEmailSentAt: new Date(Date.now() - 10 * 60 * 1000) } }
+    );
+
+    const firstToken = mailedToken();
+    await request(app)
+      .post('/api/auth/resend-verification')
+      .set('Authorization', `Bearer ${registered.body.token}`)
+      .expect(200);
+    expect(outbox).toHaveLength(2);
+
+    // The new link replaces the old one
+    await request(app).get(`/api/auth/verify-email?token=${firstToken}`).expect(400);
+    await request(app).get(`/api/auth/verify-email?token=${mailedToken()}`).expect(200);
+
+    await request(app)
+      .post('/api/auth/resend-verification')
+      .set('Authorization', `Bearer ${registered.body.token}`)
+      .expect(400);
+  });
+
+  it('should treat accounts created without verification as verified', async () => {
+    await User.create({ username: 'testuser', email: 'test@example.com', password: 'password123' });
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'testuser', password: 'password123' })
+      .expect(200);
+    expect(login.body.user.emailVerified).toBe(true);
+  });
+});
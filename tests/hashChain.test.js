@@ -0,0 +1,75 @@
+const { GENESIS_HASH, canonicalize, hashEntry, verifyChain } = require('../utils/hashChain');
+
+// Build a valid chain from a list of payloads
+const buildChain = (payloads) => {
+  let previousHash = GENESIS_HASH;
+  return payloads.map((payload, index) => {
+    const entry = { sequence: index + 1, previousHash, hash: hashEntry(previousHash, payload), payload };
+    previousHash = entry.hash;
+    return entry;
+  });
+};
+
+describe('Hash chain', () => {
+  describe('canonicalize', () => {
+    it('should encode objects independently of key order', () => {
+      expect(canonicalize({ b: 1, a: { d: [1, 2], c: 'x' } }))
+        .toBe(canonicalize({ a: { c: 'x', d: [1, 2] }, b: 1 }));
+    });
+
+    it('should drop undefined keys and encode dates and object ids as strings', () => {
+      const id = { toHexString: () => '507f1f77bcf86cd799439011' };
+      expect(canonicalize({ id, at: new Date('2025-01-01T00:00:00Z'), skipped: undefined }))
+        .toBe('{"at":"2025-01-01T00:00:00.000Z","id":"507f1f77bcf86cd799439011"}');
+    });
+  });
+
+  describe('hashEntry', () => {
+    it('should depend on the previous hash as well as the payload', () => {
+      const payload = { candidateName: 'Alice' };
+      expect(hashEntry(GENESIS_HASH, payload)).toMatch(/^[0-9a-f]{64}$/);
+      expect(hashEntry(GENESIS_HASH, payload)).not.toBe(hashEntry('f'.repeat(64), payload));
+    });
+  });
+
+  describe('verifyChain', () => {
+    const payloads = [{ candidateName: 'Alice' }, { candidateName: 'Bob' }, { candidateName: 'Alice' }];
+
+    it('should accept an intact chain and report its head', () => {
+      const chain = buildChain(payloads);
+      expect(verifyChain(chain)).toEqual({ valid: true, length: 3, headHash: chain[2].hash });
+      expect(verifyChain([])).toEqual({ valid: true, length: 0, headHash: GENESIS_HASH });
+    });
+
+    it('should detect a modified payload', () => {
+      const chain = buildChain(payloads);
+      chain[1].payload = { candidateName: 'Carol' };
+
+      const result = verifyChain(chain);
+      expect(result.valid).toBe(false);
+      expect(result.brokenAt).toBe(1);
+      expect(result.reason).toBe('Entry content does not match its hash');
+    });
+
+    it('should detect a removed entry', () => {
+      const chain = buildChain(payloads);
+      chain.splice(1, 1);
+
+      const result = verifyChain(chain);
+      expect(result.valid).toBe(false);
+      expect(result.brokenAt).toBe(1);
+      expect(result.reason).toBe('Expected sequence 2 but found 3');
+    });
+
+    it('should detect a rehashed entry that no longer links to its successor', () => {
+      const chain = buildChain(payloads);
+      chain[1].payload = { candidateName: 'Carol' };
+      chain[1].hash = hashEntry(chain[1].previousHash, chain[1].payload);
+
+      const result = verifyChain(chain);
+      expect(result.valid).toBe(false);
+      expect(result.brokenAt).toBe(2);
+      expect(result.reason).toBe('Entry does not link to the previous hash');
+    });
+  });
+});
@@ -0,0 +1,173 @@
+require('./setup');
+
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const { encryptVector, verifyDecryption } = require('../utils/elgamal');
+
+describe('Homomorphic tallying', () => {
+  let adminToken;
+  let userToken;
+  let userId;
+  let session;
+  let ballotSpec;
+  let trusteeShare;
+
+  // The voter's client encrypts its own selections and proves them valid
+  const encryptSelections = (selected) => {
+    const vector = encryptVector(
+      ballotSpec.publicKey,
+      ballotSpec.candidateIds.map(id => id === selected),
+      ballotSpec.allowedTotals
+    );
+    return {
+      entries: vector.entries.map((entry, index) => ({ candidateId: ballotSpec.candidateIds[index], ...entry })),
+      sumProof: vector.sumProof
+    };
+  };
+
+  const candidateId = (name) => session.candidates.find(c => c.name === name)._id;
+
+  const vote = (encryptedVector) => request(app)
+    .post('/api/voting-sessions/vote')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({ votingSessionId: session._id, encryptedVector });
+
+  beforeEach(async () => {
+    const user = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123'
+    });
+    userId = user._id.toString();
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'testuser', password: 'password123' });
+    userToken = userLogin.body.token;
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'admin', password: 'admin123' });
+    adminToken = adminLogin.body.token;
+
+    const created = await request(app)
+      .post('/api/voting-sessions')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        title: 'Board election',
+        candidates: [{ name: 'Alice' }, { name: 'Bob' }],
+        assignedUsers: [userId],
+        tallyMode: 'homomorphic',
+        trustees: [adminLogin.body.user.id]
+      })
+      .expect(201);
+    session = created.body.votingSession;
+    expect(session.homomorphicPrivateKey).toBeUndefined();
+
+    const collected = await request(app)
+      .get(`/api/voting-sessions/${session._id}/trustee-share`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    trusteeShare = collected.body.share;
+
+    await request(app)
+      .post(`/api/voting-sessions/${session._id}/open`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const details = await request(app)
+      .get(`/api/voting-sessions/${session._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    ballotSpec = details.body.homomorphicBallot;
+  });
+
+  it('should accept a vector encrypted by the voter and store no readable choice', async () => {
+    const response = await vote(encryptSelections(candidateId('Alice'))).expect(201);
+
+    expect(response.body.vote.candidateName).toBeUndefined();
+    expect(response.body.receipt.code).toBeDefined();
+  });
+
+  it('should reject a vector that fails verification', async () => {
+    const forged = encryptSelections(candidateId('Alice'));
+    forged.entries[0] = { ...forged.entries[0], b: forged.entries[1].b };
+
+    const response = await vote(forged).expect(400);
+    expect(response.body.message).toBe('Encrypted ballot failed verification');
+  });
+
+  it('should reject a vector that does not cover every candidate', async () => {
+    const partial = encryptSelections(candidateId('Alice'));
+    partial.entries = partial.entries.slice(0, 1);
+
+    await vote(partial).expect(400);
+  });
+
+  it('should not let candidates change once the session has opened', async () => {
+    const added = await request(app)
+      .post(`/api/voting-sessions/${session._id}/candidates`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Carol' })
+      .expect(400);
+    expect(added.body.message).toBe('Candidates of a homomorphic voting session cannot be changed once it has opened');
+
+    await request(app)
+      .delete(`/api/voting-sessions/${session._id}/candidates/${candidateId('Bob')}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+  });
+
+  it('should not decrypt anything while the session is open', async () => {
+    await vote(encryptSelections(candidateId('Alice'))).expect(201);
+
+    await request(app)
+      .get(`/api/voting-sessions/${session._id}/results`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(409);
+
+    const details = await request(app)
+      .get(`/api/voting-sessions/${session._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(details.body.results).toBeNull();
+
+    await request(app)
+      .post(`/api/voting-sessions/${session._id}/trustee-shares`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ share: trusteeShare })
+      .expect(400);
+  });
+
+  it('should publish verifiable sums once the trustees decrypt after closing', async () => {
+    await vote(encryptSelections(candidateId('Bob'))).expect(201);
+
+    await request(app)
+      .post(`/api/voting-sessions/${session._id}/close`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const submitted = await request(app)
+      .post(`/api/voting-sessions/${session._id}/trustee-shares`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ share: trusteeShare })
+      .expect(200);
+    expect(submitted.body.decrypted).toBe(true);
+
+    const response = await request(app)
+      .get(`/api/voting-sessions/${session._id}/results`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.results).toEqual([{ candidateName: 'Bob', voteCount: 1, customCandidateCount: 0 }]);
+    const { publicKey, tallies } = response.body.homomorphic;
+    tallies.forEach(tally => {
+      expect(verifyDecryption(publicKey, tally.aggregate, {
+        message: tally.voteCount,
+        decryptionShare: tally.decryptionShare,
+        proof: tally.proof
+      })).toBe(true);
+    });
+  });
+});
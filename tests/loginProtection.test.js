@@ -0,0 +1,192 @@
+require('./setup');
+
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const { generateTotp } = require('../utils/totp');
+
+describe('Login protection', () => {
+  let adminToken;
+  let userId;
+
+  const login = (username, password = 'wrongpassword') => request(app)
+    .post('/api/auth/login')
+    .send({ username, password });
+
+  const failTimes = async (count, username = 'testuser') => {
+    for (let i = 0; i < count; i++) {
+      await login(username).expect(401);
+    }
+  };
+
+  beforeEach(async () => {
+    const user = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123'
+    });
+    userId = user._id.toString();
+
+    const adminLogin = await login('admin', 'admin123');
+    adminToken = adminLogin.body.token;
+  });
+
+  afterEach(() => {
+    delete process.env.LOGIN_MAX_ACCOUNT_FAILURES;
+    delete process.env.LOGIN_MAX_IP_FAILURES;
+  });
+
+  it('should start delaying attempts after a few failures', async () => {
+    await failTimes(4);
+
+    // Even the right password has to wait
+    const response = await login('testuser', 'password123').expect(429);
+    expect(response.headers['retry-after']).toBe('1');
+    expect(response.body.retryAfter).toBe(1);
+  });
+
+  it('should count failures by username and email against the same account', async () => {
+    await failTimes(2, 'testuser');
+    await failTimes(2, 'test@example.com');
+
+    await login('testuser', 'password123').expect(429);
+  });
+
+  it('should forget earlier failures after a successful login', async () => {
+    await failTimes(3);
+    await login('testuser', 'password123').expect(200);
+
+    await failTimes(3);
+    await login('testuser', 'password123').expect(200);
+  });
+
+  it('should lock the account after repeated failures until an admin clears it', async () => {
+    process.env.LOGIN_MAX_ACCOUNT_FAILURES = '2';
+    await failTimes(2);
+
+    const locked = await login('testuser', 'password123').expect(423);
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(60);
+
+    const list = await request(app)
+      .get('/api/users/lockouts?locked=true')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(list.body.lockouts).toHaveLength(1);
+    expect(list.body.lockouts[0]).toMatchObject({
+      scope: 'account',
+      identifier: userId,
+      failures: 2,
+      locked: true,
+      user: { username: 'testuser' }
+    });
+
+    await request(app)
+      .delete(`/api/users/${userId}/lockout`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    await login('testuser', 'password123').expect(200);
+
+    const auditLogs = await request(app)
+      .get('/api/audit-logs')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(auditLogs.body.entries.map(entry => entry.action)).toContain('loginLockout.clear');
+  });
+
+  it('should not let a burst of concurrent guesses past the lockout', async () => {
+    process.env.LOGIN_MAX_ACCOUNT_FAILURES = '3';
+
+    const responses = await Promise.all(Array.from({ length: 10 }, () => login('testuser')));
+    const statuses = responses.map(response => response.status);
+    expect(statuses.filter(status => status === 401)).toHaveLength(3);
+    expect(statuses.filter(status => status === 423)).toHaveLength(7);
+
+    const record = await LoginAttempt.find('account', userId);
+    expect(record.failures).toBe(3);
+    expect(record.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('should answer 404 for a lockout or user id that is not an id', async () => {
+    await request(app)
+      .delete('/api/users/lockouts/not-an-id')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(404);
+
+    const response = await request(app)
+      .delete('/api/users/not-an-id/lockout')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(404);
+    expect(response.body.message).toBe('User not found');
+  });
+
+  it('should throttle names that match no account like real ones', async () => {
+    await failTimes(4, 'nobody');
+
+    const response = await login('nobody').expect(429);
+    expect(response.body.message).toMatch(/^Too many failed login attempts; try again in/);
+  });
+
+  it('should lock out an IP guessing at many accounts', async () => {
+    process.env.LOGIN_MAX_IP_FAILURES = '3';
+    await failTimes(1, 'first');
+    await failTimes(1, 'second');
+    await failTimes(1, 'third');
+
+    const response = await login('testuser', 'password123').expect(429);
+    expect(response.body.message).toMatch(/from this address/);
+
+    const list = await request(app)
+      .get('/api/users/lockouts?scope=ip')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(list.body.lockouts).toHaveLength(1);
+
+    await request(app)
+      .delete(`/api/users/lockouts/${list.body.lockouts[0].id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    await login('testuser', 'password123').expect(200);
+  });
+
+  it('should count wrong two-factor codes as failures', async () => {
+    const challengeFor = async () => {
+      const response = await login('testuser', 'password123').expect(200);
+      return response.body;
+    };
+
+    const { token } = await challengeFor();
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    await request(app)
+      .post('/api/auth/2fa/confirm')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: generateTotp(setup.body.secret) })
+      .expect(200);
+
+    const { challengeToken } = await challengeFor();
+    for (let i = 0; i < 4; i++) {
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken, code: '000000' })
+        .expect(401);
+    }
+
+    await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken, code: '000000' })
+      .expect(429);
+  });
+
+  it('should keep the counts in the database', async () => {
+    await failTimes(2);
+
+    const record = await LoginAttempt.find('account', userId);
+    expect(record.failures).toBe(2);
+    expect(record.lastIp).toBeDefined();
+  });
+});
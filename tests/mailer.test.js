@@ -0,0 +1,40 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fileTransport, setMailTransport, sendMail } = require('../services/mailer');
+
+describe('mailer', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+  });
+
+  afterEach(() => {
+    setMailTransport(null);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should write each message to its own file with the file transport', async () => {
+    setMailTransport(fileTransport(directory));
+
+    await sendMail({ to: 'a@example.com', subject: 'First', text: 'One' });
+    await sendMail({ to: 'b@example.com', subject: 'Second', text: 'Two' });
+
+    const messages = fs.readdirSync(directory)
+      .map(file => JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')));
+    expect(messages).toHaveLength(2);
+    expect(messages.map(message => message.subject).sort()).toEqual(['First', 'Second']);
+    expect(messages[0]).toHaveProperty('from');
+    expect(messages[0]).toHaveProperty('sentAt');
+  });
+
+  it('should hand messages to a custom transport', async () => {
+    const sent = [];
+    setMailTransport({ send: async (message) => { sent.push(message); } });
+
+    await sendMail({ to: 'a@example.com', subject: 'Hello', text: 'Body' });
+
+    expect(sent).toEqual([expect.objectContaining({ to: 'a@example.com', subject: 'Hello', text: 'Body' })]);
+  });
+});
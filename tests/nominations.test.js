@@ -0,0 +1,148 @@
+require('./setup');
+
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+
+describe('Nominations', () => {
+  let adminToken;
+  const tokens = {};
+  const ids = {};
+  let session;
+
+  const login = async (username, password) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ username, password });
+    return response.body.token;
+  };
+
+  const as = (username) => ({ Authorization: `Bearer ${username === 'admin' ? adminToken : tokens[username]}` });
+
+  const nominate = (username, nominee, statement) => request(app)
+    .post(`/api/voting-sessions/${session._id}/nominations`)
+    .set(as(username))
+    .send({ nomineeId: ids[nominee], statement });
+
+  const act = (username, nominationId, action, body = {}) => request(app)
+    .post(`/api/voting-sessions/${session._id}/nominations/${nominationId}/${action}`)
+    .set(as(username))
+    .send(body);
+
+  beforeEach(async () => {
+    for (const username of ['alice', 'bob', 'carol']) {
+      const user = await User.create({
+        username,
+        email: `${username}@example.com`,
+        password: 'password123'
+      });
+      ids[username] = user._id.toString();
+      tokens[username] = await login(username, 'password123');
+    }
+    adminToken = await login('admin', 'admin123');
+
+    const created = await request(app)
+      .post('/api/voting-sessions')
+      .set(as('admin'))
+      .send({
+        title: 'Board election',
+        assignedUsers: Object.values(ids),
+        nominationSecondsRequired: 1
+      });
+    session = created.body.votingSession;
+
+    await request(app)
+      .post(`/api/voting-sessions/${session._id}/start-nominations`)
+      .set(as('admin'))
+      .expect(200);
+  });
+
+  it('should turn an accepted, seconded nomination into a candidate', async () => {
+    const created = await nominate('alice', 'bob', 'Ten years on the board').expect(201);
+    const nominationId = created.body.nomination._id;
+    expect(created.body.nomination.status).toBe('pending');
+
+    await act('bob', nominationId, 'accept').expect(200);
+
+    const unseconded = await act('admin', nominationId, 'approve').expect(400);
+    expect(unseconded.body.message).toBe('This nomination needs 1 seconds before it can be approved');
+
+    await act('carol', nominationId, 'second').expect(200);
+    const approved = await act('admin', nominationId, 'approve').expect(200);
+
+    expect(approved.body.nomination.status).toBe('approved');
+    expect(approved.body.votingSession.candidates).toEqual([
+      expect.objectContaining({ name: 'bob', description: 'Ten years on the board' })
+    ]);
+
+    const opened = await request(app)
+      .post(`/api/voting-sessions/${session._id}/open`)
+      .set(as('admin'))
+      .expect(200);
+    expect(opened.body.votingSession.status).toBe('active');
+  });
+
+  it('should count a self-nomination as accepted', async () => {
+    const created = await nominate('alice', 'alice').expect(201);
+    expect(created.body.nomination.status).toBe('accepted');
+  });
+
+  it('should not approve a nomination the nominee declined', async () => {
+    const created = await nominate('alice', 'bob').expect(201);
+    const nominationId = created.body.nomination._id;
+
+    await act('bob', nominationId, 'decline').expect(200);
+    await act('carol', nominationId, 'second').expect(200);
+
+    await act('admin', nominationId, 'approve').expect(400);
+  });
+
+  it('should only let the nominee answer and other members second', async () => {
+    const created = await nominate('alice', 'bob').expect(201);
+    const nominationId = created.body.nomination._id;
+
+    await act('carol', nominationId, 'accept').expect(403);
+    await act('alice', nominationId, 'second').expect(400);
+    await act('bob', nominationId, 'second').expect(400);
+  });
+
+  it('should not accept the same nominee twice', async () => {
+    await nominate('alice', 'bob').expect(201);
+
+    const response = await nominate('carol', 'bob').expect(409);
+    expect(response.body.message).toMatch(/second the existing nomination/);
+  });
+
+  it('should reject a nomination and keep it out of the candidates', async () => {
+    const created = await nominate('alice', 'bob').expect(201);
+    const nominationId = created.body.nomination._id;
+
+    const rejected = await act('admin', nominationId, 'reject', { reason: 'Not eligible' }).expect(200);
+    expect(rejected.body.nomination.status).toBe('rejected');
+    expect(rejected.body.nomination.rejectionReason).toBe('Not eligible');
+
+    await act('bob', nominationId, 'accept').expect(400);
+    await act('admin', nominationId, 'approve').expect(400);
+  });
+
+  it('should not review nominations from members', async () => {
+    const created = await nominate('alice', 'alice').expect(201);
+
+    await act('bob', created.body.nomination._id, 'approve').expect(403);
+  });
+
+  it('should stop taking nominations once the session opens', async () => {
+    await request(app)
+      .post(`/api/voting-sessions/${session._id}/candidates`)
+      .set(as('admin'))
+      .send({ name: 'Dana' })
+      .expect(200);
+    await request(app)
+      .post(`/api/voting-sessions/${session._id}/open`)
+      .set(as('admin'))
+      .expect(200);
+
+    const response = await nominate('alice', 'bob').expect(400);
+    expect(response.body.message).toBe('Voting session is not accepting nominations');
+  });
+});
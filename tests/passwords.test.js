@@ -0,0 +1,151 @@
+require('./setup');
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const { setMailTransport } = require('../services/mailer');
+
+describe('Passwords', () => {
+  let outbox;
+
+  const login = (password) => request(app)
+    .post('/api/auth/login')
+    .send({ username: 'testuser', password });
+
+  const profile = (token) => request(app)
+    .get('/api/auth/profile')
+    .set('Authorization', `Bearer ${token}`);
+
+  const mailedToken = () => outbox[outbox.length - 1].text.match(/token=([\w-]+)/)[1];
+
+  beforeEach(async () => {
+    outbox = [];
+    setMailTransport({ send: async (message) => { outbox.push(message); } });
+
+    await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123'
+    });
+  });
+
+  afterAll(() => {
+    setMailTransport(null);
+  });
+
+  describe('POST /api/auth/change-password', () => {
+    it('should change the password and sign out other sessions', async () => {
+      const { body: current } = await login('password123').expect(200);
+      const { body: other } = await login('password123').expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${current.token}`)
+        .send({ currentPassword: 'password123', newPassword: 'new-password' })
+        .expect(200);
+      expect(response.body.revokedSessions).toBe(1);
+
+      await profile(current.token).expect(200);
+      await profile(other.token).expect(401);
+      await login('password123').expect(401);
+      await login('new-password').expect(200);
+    });
+
+    it('should refuse sessions started before the password changed even if they were not revoked', async () => {
+      const { body: session } = await login('password123').expect(200);
+      const user = await User.findByUsername('testuser');
+      // Changed straight in the database, so no session is revoked
+      await User.updatePassword(user._id, 'new-password');
+
+      await profile(session.token).expect(401);
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(401);
+
+      const { body: fresh } = await login('new-password').expect(200);
+      await profile(fresh.token).expect(200);
+    });
+
+    it('should require the current password', async () => {
+      const { body } = await login('password123').expect(200);
+
+      await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${body.token}`)
+        .send({ currentPassword: 'wrong-password', newPassword: 'new-password' })
+        .expect(401);
+    });
+  });
+
+  describe('forgot and reset', () => {
+    it('should reset the password with the mailed token and sign out everywhere', async () => {
+      const { body: session } = await login('password123').expect(200);
+
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' })
+        .expect(200);
+      expect(outbox).toHaveLength(1);
+      expect(outbox[0].to).toBe('test@example.com');
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: mailedToken(), newPassword: 'new-password' })
+        .expect(200);
+
+      await profile(session.token).expect(401);
+      await login('new-password').expect(200);
+    });
+
+    it('should accept a reset token only once', async () => {
+      await request(app).post('/api/auth/forgot-password').send({ email: 'test@example.com' });
+      const token = mailedToken();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, newPassword: 'new-password' })
+        .expect(200);
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, newPassword: 'another-password' })
+        .expect(400);
+    });
+
+    it('should only honour the latest reset token', async () => {
+      await request(app).post('/api/auth/forgot-password').send({ email: 'test@example.com' });
+      const first = mailedToken();
+      await request(app).post('/api/auth/forgot-password').send({ email: 'test@example.com' });
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: first, newPassword: 'new-password' })
+        .expect(400);
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: mailedToken(), newPassword: 'new-password' })
+        .expect(200);
+    });
+
+    it('should refuse expired reset tokens', async () => {
+      await request(app).post('/api/auth/forgot-password').send({ email: 'test@example.com' });
+      await mongoose.connection.db.collection('usertokens')
+        .updateMany({}, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: mailedToken(), newPassword: 'new-password' })
+        .expect(400);
+    });
+
+    it('should not reveal whether an email has an account', async () => {
+      const known = await request(app).post('/api/auth/forgot-password').send({ email: 'test@example.com' });
+      const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+      expect(unknown.status).toBe(known.status);
+      expect(unknown.body).toEqual(known.body);
+      expect(outbox).toHaveLength(1);
+    });
+  });
+});
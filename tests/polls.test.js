@@ -0,0 +1,583 @@
+require('./setup');
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Poll = require('../models/Poll');
+const Vote = require('../models/Vote');
+
+describe('Poll API', () => {
+  let adminToken;
+  let userToken;
+  let user2Token;
+  let userId;
+  let user2Id;
+
+  const futureDate = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+  const createPoll = async (overrides = {}) => {
+    const response = await request(app)
+      .post('/api/polls')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        title: 'Team lunch',
+        description: 'Where should we eat on Friday?',
+        candidates: [{ name: 'Pizza' }, { name: 'Sushi' }],
+        assignedUsers: [userId],
+        startDate: futureDate(5),
+        endDate: futureDate(60),
+        ...overrides
+      });
+    return response.body.poll;
+  };
+
+  // Activates a poll and moves its start date into the past so it accepts votes
+  const openPoll = async (pollId) => {
+    await request(app)
+      .post(`/api/polls/${pollId}/activate`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    await Poll.updatePoll(pollId, { startDate: new Date(Date.now() - 60 * 1000) });
+  };
+
+  beforeEach(async () => {
+    // Create test users
+    const user = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123'
+    });
+    userId = user._id.toString();
+
+    const user2 = await User.create({
+      username: 'testuser2',
+      email: 'test2@example.com',
+      password: 'password123'
+    });
+    user2Id = user2._id.toString();
+
+    // Login users
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'testuser', password: 'password123' });
+    userToken = userLogin.body.token;
+
+    const user2Login = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'testuser2', password: 'password123' });
+    user2Token = user2Login.body.token;
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'admin', password: 'admin123' });
+    adminToken = adminLogin.body.token;
+  });
+
+  describe('POST /api/polls', () => {
+    it('should allow admin to create a poll', async () => {
+      const response = await request(app)
+        .post('/api/polls')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          title: 'Team lunch',
+          description: 'Where should we eat on Friday?',
+          candidates: [{ name: 'Pizza' }, { name: 'Sushi' }],
+          startDate: futureDate(5),
+          endDate: futureDate(60)
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toHaveProperty('message', 'Poll created successfully');
+      expect(response.body.poll).toHaveProperty('status', 'draft');
+      expect(response.body.poll.candidates).toHaveLength(2);
+    });
+
+    it('should require title, description and dates', async () => {
+      const response = await request(app)
+        .post('/api/polls')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ title: 'Team lunch' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Title, description, start date, and end date are required');
+    });
+
+    it('should reject an end date before the start date', async () => {
+      const response = await request(app)
+        .post('/api/polls')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          title: 'Team lunch',
+          description: 'Where should we eat on Friday?',
+          startDate: futureDate(60),
+          endDate: futureDate(5)
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('End date must be after start date');
+    });
+
+    it('should not allow regular user to create a poll', async () => {
+      const response = await request(app)
+        .post('/api/polls')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          title: 'Team lunch',
+          description: 'Where should we eat on Friday?',
+          startDate: futureDate(5),
+          endDate: futureDate(60)
+        });
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe('Admin access required');
+    });
+  });
+
+  describe('GET /api/polls', () => {
+    it('should allow admin to list polls with pagination', async () => {
+      await createPoll();
+      await createPoll({ title: 'Team dinner' });
+
+      const response = await request(app)
+        .get('/api/polls?limit=1')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.polls).toHaveLength(1);
+      expect(response.body.pagination).toEqual({ current: 1, pages: 2, total: 2 });
+    });
+
+    it('should not allow regular user to list all polls', async () => {
+      const response = await request(app)
+        .get('/api/polls')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/polls/stats', () => {
+    it('should return poll counts by status', async () => {
+      const poll = await createPoll();
+      await createPoll();
+      await openPoll(poll._id);
+
+      const response = await request(app)
+        .get('/api/polls/stats')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.stats).toEqual({ total: 2, byStatus: { draft: 1, active: 1 } });
+    });
+  });
+
+  describe('GET /api/polls/my', () => {
+    it('should return only polls assigned to the current user', async () => {
+      await createPoll();
+      await createPoll({ assignedUsers: [user2Id] });
+
+      const response = await request(app)
+        .get('/api/polls/my')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(1);
+      expect(response.body.polls[0]).toHaveProperty('hasVoted', false);
+    });
+  });
+
+  describe('GET /api/polls/my/active', () => {
+    it('should return only open polls', async () => {
+      const poll = await createPoll();
+      await createPoll({ title: 'Still a draft' });
+      await openPoll(poll._id);
+
+      const response = await request(app)
+        .get('/api/polls/my/active')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(1);
+      expect(response.body.polls[0]).toHaveProperty('title', 'Team lunch');
+    });
+  });
+
+  describe('GET /api/polls/:pollId', () => {
+    it('should allow an assigned user to view the poll', async () => {
+      const poll = await createPoll();
+
+      const response = await request(app)
+        .get(`/api/polls/${poll._id}`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.poll).toHaveProperty('title', 'Team lunch');
+      expect(response.body.poll).toHaveProperty('hasVoted', false);
+    });
+
+    it('should deny access to users not assigned to the poll', async () => {
+      const poll = await createPoll();
+
+      const response = await request(app)
+        .get(`/api/polls/${poll._id}`)
+        .set('Authorization', `Bearer ${user2Token}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe('Access denied to this poll');
+    });
+
+    it('should return 404 for unknown poll', async () => {
+      const response = await request(app)
+        .get(`/api/polls/${new mongoose.Types.ObjectId()}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('PUT /api/polls/:pollId', () => {
+    it('should allow admin to update a poll', async () => {
+      const poll = await createPoll();
+
+      const response = await request(app)
+        .put(`/api/polls/${poll._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ title: 'Team brunch' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.poll).toHaveProperty('title', 'Team brunch');
+    });
+
+    it('should not allow a non-creator to update a poll', async () => {
+      const poll = await createPoll();
+
+      const response = await request(app)
+        .put(`/api/polls/${poll._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ title: 'Team brunch' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/polls/:pollId/assign and /remove', () => {
+    it('should assign and remove users', async () => {
+      const poll = await createPoll();
+
+      const assignResponse = await request(app)
+        .post(`/api/polls/${poll._id}/assign`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ userIds: [user2Id] });
+
+      expect(assignResponse.status).toBe(200);
+      expect(assignResponse.body.poll.assignedUsers).toHaveLength(2);
+
+      const removeResponse = await request(app)
+        .post(`/api/polls/${poll._id}/remove`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ userIds: [userId] });
+
+      expect(removeResponse.status).toBe(200);
+      expect(removeResponse.body.poll.assignedUsers).toHaveLength(1);
+      expect(removeResponse.body.poll.assignedUsers[0]).toHaveProperty('username', 'testuser2');
+    });
+
+    it('should require a user IDs array', async () => {
+      const poll = await createPoll();
+
+      const response = await request(app)
+        .post(`/api/polls/${poll._id}/assign`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ userIds: [] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('User IDs array is required');
+    });
+  });
+
+  describe('POST /api/polls/:pollId/activate and /end', () => {
+    it('should activate a draft poll and then end it', async () => {
+      const poll = await createPoll();
+
+      const activateResponse = await request(app)
+        .post(`/api/polls/${poll._id}/activate`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(activateResponse.status).toBe(200);
+      expect(activateResponse.body.poll).toHaveProperty('status', 'active');
+
+      const endResponse = await request(app)
+        .post(`/api/polls/${poll._id}/end`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(endResponse.status).toBe(200);
+      expect(endResponse.body.poll).toHaveProperty('status', 'ended');
+    });
+
+    it('should not activate a poll twice', async () => {
+      const poll = await createPoll();
+      await openPoll(poll._id);
+
+      const response = await request(app)
+        .post(`/api/polls/${poll._id}/activate`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Only draft polls can be activated');
+    });
+
+    it('should not end a poll twice', async () => {
+      const poll = await createPoll();
+      await request(app)
+        .post(`/api/polls/${poll._id}/end`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const response = await request(app)
+        .post(`/api/polls/${poll._id}/end`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Poll is already ended');
+    });
+  });
+
+  describe('POST /api/polls/:pollId/vote', () => {
+    it('should allow an assigned user to vote in an open poll', async () => {
+      const poll = await createPoll();
+      await openPoll(poll._id);
+
+      const response = await request(app)
+        .post(`/api/polls/${poll._id}/vote`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ candidateId: poll.candidates[0]._id, candidateName: 'Pizza' });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toHaveProperty('message', 'Vote cast successfully');
+      expect(response.body.vote).toHaveProperty('candidateName', 'Pizza');
+      expect(response.body.vote.poll).toHaveProperty('title', 'Team lunch');
+    });
+
+    it('should not allow user to vote twice in the same poll', async () => {
+      const poll = await createPoll();
+      await openPoll(poll._id);
+
+      await request(app)
+        .post(`/api/polls/${poll._id}/vote`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ candidateName: 'Pizza' });
+
+      const response = await request(app)
+        .post(`/api/polls/${poll._id}/vote`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ candidateName: 'Sushi' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toBe('User has already voted in this poll');
+    });
+
+    it('should allow the same user to vote in different polls', async () => {
+      const poll = await createPoll();
+      const otherPoll = await createPoll({ title: 'Team dinner' });
+      await openPoll(poll._id);
+      await openPoll(otherPoll._id);
+
+      await request(app)
+        .post(`/api/polls/${poll._id}/vote`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ candidateName: 'Pizza' });
+
+      const response = await request(app)
+        .post(`/api/polls/${otherPoll._id}/vote`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ candidateName: 'Sushi' });
+
+      expect(response.status).toBe(201);
+    });
+
+    it('should not allow voting in a draft poll', async () => {
+      const poll = await createPoll();
+
+      const response = await request(app)
+        .post(`/api/polls/${poll._id}/vote`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ candidateName: 'Pizza' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Poll is not currently active');
+    });
+
+    it('should not allow unassigned users to vote', async () => {
+      const poll = await createPoll();
+      await openPoll(poll._id);
+
+      const response = await request(app)
+        .post(`/api/polls/${poll._id}/vote`)
+        .set('Authorization', `Bearer ${user2Token}`)
+        .send({ candidateName: 'Pizza' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe('You are not assigned to this poll');
+    });
+
+    it('should reject custom candidates when the poll disallows them', async () => {
+      const poll = await createPoll({ allowNewCandidates: false });
+      await openPoll(poll._id);
+
+      const response = await request(app)
+        .post(`/api/polls/${poll._id}/vote`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ candidateName: 'Tacos', isCustomCandidate: true });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Custom candidates are not allowed in this poll');
+    });
+  });
+
+  describe('GET /api/polls/:pollId/vote-status', () => {
+    it('should report the vote of the current user', async () => {
+      const poll = await createPoll();
+      await openPoll(poll._id);
+
+      await request(app)
+        .post(`/api/polls/${poll._id}/vote`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ candidateName: 'Sushi' });
+
+      const response = await request(app)
+        .get(`/api/polls/${poll._id}/vote-status`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('hasVoted', true);
+      expect(response.body.vote).toHaveProperty('candidateName', 'Sushi');
+    });
+  });
+
+  describe('GET /api/polls/:pollId/votes', () => {
+    it('should list votes with voters for admin', async () => {
+      const poll = await createPoll();
+      await openPoll(poll._id);
+
+      await request(app)
+        .post(`/api/polls/${poll._id}/vote`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ candidateName: 'Pizza' });
+
+      const response = await request(app)
+        .get(`/api/polls/${poll._id}/votes`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.totalVotes).toBe(1);
+      expect(response.body.votes[0].user).toHaveProperty('username', 'testuser');
+    });
+
+    it('should hide voters in anonymous polls', async () => {
+      const poll = await createPoll({ isAnonymous: true });
+      await openPoll(poll._id);
+
+      await request(app)
+        .post(`/api/polls/${poll._id}/vote`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ candidateName: 'Pizza' });
+
+      const response = await request(app)
+        .get(`/api/polls/${poll._id}/votes`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.votes[0].user).toBeNull();
+    });
+
+    it('should not allow regular users to list votes', async () => {
+      const poll = await createPoll();
+
+      const response = await request(app)
+        .get(`/api/polls/${poll._id}/votes`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/polls/:pollId/results', () => {
+    it('should count votes per candidate', async () => {
+      const poll = await createPoll({ assignedUsers: [userId, user2Id] });
+      await openPoll(poll._id);
+
+      await request(app)
+        .post(`/api/polls/${poll._id}/vote`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ candidateName: 'Pizza' });
+
+      await request(app)
+        .post(`/api/polls/${poll._id}/vote`)
+        .set('Authorization', `Bearer ${user2Token}`)
+        .send({ candidateName: 'Pizza' });
+
+      const response = await request(app)
+        .get(`/api/polls/${poll._id}/results`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.results).toHaveProperty('totalVotes', 2);
+      expect(response.body.results.results[0]).toHaveProperty('candidateName', 'Pizza');
+      expect(response.body.results.results[0]).toHaveProperty('voteCount', 2);
+    });
+
+    it('should hide results from voters until the poll ends', async () => {
+      const poll = await createPoll();
+      await openPoll(poll._id);
+
+      const response = await request(app)
+        .get(`/api/polls/${poll._id}/results`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe('Results not available until poll ends');
+    });
+  });
+
+  describe('DELETE /api/polls/:pollId', () => {
+    it('should delete the poll and its votes', async () => {
+      const poll = await createPoll();
+      await openPoll(poll._id);
+
+      await request(app)
+        .post(`/api/polls/${poll._id}/vote`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ candidateName: 'Pizza' });
+
+      const response = await request(app)
+        .delete(`/api/polls/${poll._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('message', 'Poll and associated votes deleted successfully');
+
+      const lookup = await request(app)
+        .get(`/api/polls/${poll._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(lookup.status).toBe(404);
+    });
+  });
+
+  describe('Vote indexes', () => {
+    it('should replace the old one-vote-per-user index so poll votes can be stored', async () => {
+      const votes = mongoose.connection.db.collection('votes');
+      await votes.dropIndexes();
+      await votes.createIndex({ userId: 1, votingSessionId: 1 }, { unique: true, name: 'userId_1_votingSessionId_1' });
+
+      const dropped = await Vote.dropLegacyIndexes();
+      expect(dropped).toEqual(['userId_1_votingSessionId_1']);
+
+      const names = (await votes.indexes()).map(index => index.name);
+      expect(names).not.toContain('userId_1_votingSessionId_1');
+      expect(names).toContain('userId_votingSessionId_unique_partial');
+
+      // Nothing left to drop the second time
+      expect(await Vote.dropLegacyIndexes()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+require('./setup');
+
+const mongoose = require('mongoose');
+require('../server');
+const User = require('../models/User');
+const Poll = require('../models/Poll');
+const VotingSession = require('../models/VotingSession');
+const { runScheduledTransitions } = require('../services/scheduler');
+
+describe('Scheduler', () => {
+  const HOUR = 60 * 60 * 1000;
+  let admin;
+  let voter;
+
+  const hoursFromNow = (hours) => new Date(Date.now() + hours * HOUR);
+
+  const createSession = (overrides = {}) => VotingSession.create({
+    title: 'Board election',
+    candidates: [{ name: 'Alice' }, { name: 'Bob' }],
+    assignedUsers: [voter._id],
+    ...overrides
+  }, admin._id);
+
+  const createPoll = (overrides = {}) => Poll.createPoll({
+    title: 'Lunch',
+    description: 'Where should we eat?',
+    candidates: [{ name: 'Pizza' }, { name: 'Sushi' }],
+    createdBy: admin._id,
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    admin = await User.findByUsername('admin');
+    voter = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123'
+    });
+  });
+
+  it('should open drafts whose start date has arrived and leave future ones alone', async () => {
+    const due = await createSession({ startDate: hoursFromNow(-1), endDate: hoursFromNow(1) });
+    const future = await createSession({ startDate: hoursFromNow(1), endDate: hoursFromNow(2) });
+
+    const summary = await runScheduledTransitions();
+
+    expect(summary.sessionsOpened).toBe(1);
+    const opened = await VotingSession.findById(due._id);
+    expect(opened.status).toBe('active');
+    expect(opened.statusHistory).toHaveLength(1);
+    expect(opened.statusHistory[0].action).toBe('open');
+    expect(opened.statusHistory[0].actor).toBeFalsy();
+    expect((await VotingSession.findById(future._id)).status).toBe('draft');
+  });
+
+  it('should give up on a draft it cannot open until the session is changed', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      const draft = await createSession({ assignedUsers: [], startDate: hoursFromNow(-1) });
+
+      expect((await runScheduledTransitions()).sessionsOpened).toBe(0);
+      expect((await runScheduledTransitions()).sessionsOpened).toBe(0);
+      expect(warn).toHaveBeenCalledTimes(1);
+      const refused = await VotingSession.findById(draft._id);
+      expect(refused.scheduleError).toMatchObject({
+        action: 'open',
+        message: 'A voting session needs at least one assigned user before it can be opened'
+      });
+
+      await VotingSession.assignUsersToSession(draft._id, [voter._id]);
+
+      expect((await runScheduledTransitions()).sessionsOpened).toBe(1);
+      const opened = await VotingSession.findById(draft._id);
+      expect(opened.status).toBe('active');
+      expect(opened.toObject().scheduleError).toBeUndefined();
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  it('should close active and paused sessions whose end date has passed', async () => {
+    const active = await createSession({ status: 'active', endDate: hoursFromNow(-1) });
+    const paused = await createSession({ status: 'paused', endDate: hoursFromNow(-1) });
+    const running = await createSession({ status: 'active', endDate: hoursFromNow(1) });
+
+    const summary = await runScheduledTransitions();
+
+    expect(summary.sessionsClosed).toBe(2);
+    expect((await VotingSession.findById(active._id)).status).toBe('closed');
+    expect((await VotingSession.findById(paused._id)).status).toBe('closed');
+    expect((await VotingSession.findById(running._id)).status).toBe('active');
+  });
+
+  it('should activate and end polls at their dates', async () => {
+    const starting = await createPoll({ startDate: hoursFromNow(-1), endDate: hoursFromNow(1) });
+    const ending = await createPoll({ status: 'active', startDate: hoursFromNow(-2), endDate: hoursFromNow(-1) });
+    const cancelled = await createPoll({ status: 'cancelled', startDate: hoursFromNow(-1), endDate: hoursFromNow(1) });
+
+    const summary = await runScheduledTransitions();
+
+    expect(summary.pollsActivated).toBe(1);
+    expect(summary.pollsEnded).toBe(1);
+    expect((await Poll.findById(starting._id)).status).toBe('active');
+    expect((await Poll.findById(ending._id)).status).toBe('ended');
+    expect((await Poll.findById(cancelled._id)).status).toBe('cancelled');
+  });
+
+  it('should apply each transition once when several instances run at the same time', async () => {
+    const session = await createSession({ status: 'active', endDate: hoursFromNow(-1) });
+    const poll = await createPoll({ status: 'active', startDate: hoursFromNow(-2), endDate: hoursFromNow(-1) });
+
+    const summaries = await Promise.all([runScheduledTransitions(), runScheduledTransitions()]);
+
+    expect(summaries.reduce((sum, summary) => sum + summary.sessionsClosed, 0)).toBe(1);
+    expect(summaries.reduce((sum, summary) => sum + summary.pollsEnded, 0)).toBe(1);
+    expect((await VotingSession.findById(session._id)).statusHistory).toHaveLength(1);
+
+    const audits = mongoose.connection.db.collection('auditlogs');
+    expect(await audits.countDocuments({ action: 'votingSession.close' })).toBe(1);
+    expect(await audits.countDocuments({ action: 'poll.end', 'target.id': poll._id.toString() })).toBe(1);
+  });
+});
@@ -0,0 +1,84 @@
+require('./setup');
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+
+describe('Secret ballots', () => {
+  let adminToken;
+  let voters;
+  let session;
+
+  const vote = (voter, name) => request(app)
+    .post('/api/voting-sessions/vote')
+    .set('Authorization', `Bearer ${voter.token}`)
+    .send({
+      votingSessionId: session._id,
+      candidateId: session.candidates.find(c => c.name === name)._id,
+      candidateName: name
+    });
+
+  beforeEach(async () => {
+    voters = [];
+    for (const name of ['first', 'second']) {
+      const user = await User.create({ username: name, email: `${name}@example.com`, password: 'password123' });
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ username: name, password: 'password123' });
+      voters.push({ id: user._id.toString(), token: login.body.token });
+    }
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'admin', password: 'admin123' });
+    adminToken = adminLogin.body.token;
+
+    const created = await request(app)
+      .post('/api/voting-sessions')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        title: 'Secret election',
+        candidates: [{ name: 'Alice' }, { name: 'Bob' }],
+        assignedUsers: voters.map(voter => voter.id),
+        secretBallot: true
+      })
+      .expect(201);
+    session = created.body.votingSession;
+
+    await request(app)
+      .post(`/api/voting-sessions/${session._id}/open`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+  });
+
+  it('should store the ballot without any reference to the voter', async () => {
+    await vote(voters[0], 'Alice').expect(201);
+
+    const ballots = await mongoose.connection.db.collection('votes').find({}).toArray();
+    expect(ballots).toHaveLength(1);
+    expect(ballots[0].userId).toBeUndefined();
+    expect(ballots[0].supersededUserId).toBeUndefined();
+    expect(ballots[0].createdAt).toBeUndefined();
+    expect(ballots[0].candidateName).toBe('Alice');
+  });
+
+  it('should refuse a second ballot from the same voter', async () => {
+    await vote(voters[0], 'Alice').expect(201);
+
+    const response = await vote(voters[0], 'Bob').expect(409);
+    expect(response.body.message).toBe('User has already voted in this voting session');
+
+    const ballots = await mongoose.connection.db.collection('votes').countDocuments({});
+    expect(ballots).toBe(1);
+  });
+
+  it('should not record participation in the order people voted', async () => {
+    await vote(voters[1], 'Alice').expect(201);
+    await vote(voters[0], 'Bob').expect(201);
+
+    const participation = await mongoose.connection.db.collection('participations').find({}).toArray();
+    expect(participation).toHaveLength(1);
+    expect(participation[0].voters.map(String)).toEqual([voters[0].id, voters[1].id].sort());
+  });
+});
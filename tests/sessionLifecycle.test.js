@@ -0,0 +1,269 @@
+require('./setup');
+
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const VotingSession = require('../models/VotingSession');
+
+describe('Voting session lifecycle', () => {
+  let adminToken;
+  let userToken;
+  let userId;
+
+  const createSession = async (overrides = {}) => {
+    const response = await request(app)
+      .post('/api/voting-sessions')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        title: 'Board election',
+        candidates: [{ name: 'Alice' }, { name: 'Bob' }],
+        assignedUsers: [userId],
+        ...overrides
+      });
+    return response.body.votingSession;
+  };
+
+  const transition = (sessionId, action) => request(app)
+    .post(`/api/voting-sessions/${sessionId}/${action}`)
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  beforeEach(async () => {
+    const user = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123'
+    });
+    userId = user._id.toString();
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'testuser', password: 'password123' });
+    userToken = userLogin.body.token;
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'admin', password: 'admin123' });
+    adminToken = adminLogin.body.token;
+  });
+
+  it('should walk through every transition and record who made each one', async () => {
+    const session = await createSession();
+
+    for (const [action, status] of [
+      ['open', 'active'],
+      ['pause', 'paused'],
+      ['resume', 'active'],
+      ['close', 'closed'],
+      ['reopen', 'active'],
+      ['close', 'closed'],
+      ['archive', 'archived']
+    ]) {
+      const response = await transition(session._id, action).expect(200);
+      expect(response.body.votingSession.status).toBe(status);
+    }
+
+    const response = await request(app)
+      .get(`/api/voting-sessions/${session._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const history = response.body.votingSession.statusHistory;
+    expect(history.map(entry => entry.action))
+      .toEqual(['open', 'pause', 'resume', 'close', 'reopen', 'close', 'archive']);
+    expect(history[0]).toEqual(expect.objectContaining({ from: 'draft', to: 'active' }));
+    expect(history.every(entry => entry.actor && entry.at)).toBe(true);
+  });
+
+  it('should refuse transitions that do not start from the current status', async () => {
+    const session = await createSession();
+
+    const response = await transition(session._id, 'close').expect(400);
+    expect(response.body.message).toBe('Cannot close a voting session that is draft');
+    await transition(session._id, 'archive').expect(400);
+  });
+
+  it('should not open a session without candidates or assigned users', async () => {
+    const noCandidates = await createSession({ candidates: [] });
+    const noUsers = await createSession({ assignedUsers: [] });
+
+    const first = await transition(noCandidates._id, 'open').expect(400);
+    expect(first.body.message).toMatch(/at least one candidate/);
+    const second = await transition(noUsers._id, 'open').expect(400);
+    expect(second.body.message).toMatch(/at least one assigned user/);
+  });
+
+  it('should not accept votes while paused', async () => {
+    const session = await createSession();
+    await transition(session._id, 'open');
+    await transition(session._id, 'pause');
+
+    const response = await request(app)
+      .post('/api/voting-sessions/vote')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ votingSessionId: session._id, candidateId: session.candidates[0]._id, candidateName: 'Alice' })
+      .expect(400);
+    expect(response.body.message).toBe('Voting session is paused');
+  });
+
+  it('should ignore raw status edits', async () => {
+    const session = await createSession();
+
+    const response = await request(app)
+      .put(`/api/voting-sessions/${session._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'closed', title: 'Renamed' })
+      .expect(200);
+
+    expect(response.body.votingSession.status).toBe('draft');
+    expect(response.body.votingSession.title).toBe('Renamed');
+  });
+
+  it('should not remove a candidate who already has votes from an active session', async () => {
+    const session = await createSession();
+    await transition(session._id, 'open');
+    const [alice, bob] = session.candidates;
+
+    await request(app)
+      .post('/api/voting-sessions/vote')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ votingSessionId: session._id, candidateId: alice._id, candidateName: 'Alice' })
+      .expect(201);
+
+    await request(app)
+      .delete(`/api/voting-sessions/${session._id}/candidates/${alice._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+
+    await request(app)
+      .delete(`/api/voting-sessions/${session._id}/candidates/${bob._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+  });
+
+  describe('updating settings', () => {
+    const update = (sessionId, data) => request(app)
+      .put(`/api/voting-sessions/${sessionId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(data);
+
+    it('should let drafts change how ballots look', async () => {
+      const session = await createSession();
+
+      const response = await update(session._id, { multipleChoice: true, maxChoices: 2 }).expect(200);
+      expect(response.body.votingSession.multipleChoice).toBe(true);
+      expect(response.body.votingSession.maxChoices).toBe(2);
+    });
+
+    it('should freeze how ballots look once the session is open', async () => {
+      const session = await createSession();
+      await transition(session._id, 'open');
+
+      const response = await update(session._id, { votingMethod: 'borda' }).expect(400);
+      expect(response.body.message).toBe('votingMethod cannot be changed once the voting session has opened or received ballots');
+      await update(session._id, { maxChoices: 2, multipleChoice: true }).expect(400);
+
+      // Sending the current values back along with other edits is fine
+      await update(session._id, { votingMethod: 'plurality', title: 'Renamed' }).expect(200);
+    });
+
+    it('should run the creation checks against the updated settings', async () => {
+      const session = await createSession();
+
+      const scores = await update(session._id, { votingMethod: 'score', minScore: 5, maxScore: 5 }).expect(400);
+      expect(scores.body.message).toBe('Score range must be whole numbers with minScore below maxScore');
+
+      const runoff = await update(session._id, { votingMethod: 'ranked', runoffPolicy: 'top-two' }).expect(400);
+      expect(runoff.body.message).toBe('Runoffs are only available for plurality voting sessions');
+
+      await update(session._id, { votingMethod: 'referendum' }).expect(400);
+    });
+  });
+
+  describe('runoffs', () => {
+    let voterTokens;
+    let voterIds;
+
+    beforeEach(async () => {
+      voterTokens = [userToken];
+      voterIds = [userId];
+      for (const name of ['voter2', 'voter3', 'voter4', 'voter5']) {
+        const voter = await User.create({ username: name, email: `${name}@example.com`, password: 'password123' });
+        const login = await request(app)
+          .post('/api/auth/login')
+          .send({ username: name, password: 'password123' });
+        voterIds.push(voter._id.toString());
+        voterTokens.push(login.body.token);
+      }
+    });
+
+    // Open a top-two session, cast one ballot per name and close it
+    const runFirstRound = async (names, overrides = {}) => {
+      const session = await createSession({
+        candidates: [
+          { name: 'Alice', description: 'Treasurer' },
+          { name: 'Bob', description: 'Secretary' },
+          { name: 'Carol', description: 'Chair' }
+        ],
+        assignedUsers: voterIds,
+        runoffPolicy: 'top-two',
+        ...overrides
+      });
+      await transition(session._id, 'open').expect(200);
+
+      for (const [index, name] of names.entries()) {
+        const candidate = session.candidates.find(c => c.name === name);
+        await request(app)
+          .post('/api/voting-sessions/vote')
+          .set('Authorization', `Bearer ${voterTokens[index]}`)
+          .send({ votingSessionId: session._id, candidateId: candidate._id, candidateName: name })
+          .expect(201);
+      }
+
+      const closed = await transition(session._id, 'close').expect(200);
+      return closed.body;
+    };
+
+    it('should start a runoff between the top two when nobody has a majority', async () => {
+      const { votingSession, runoffSession } = await runFirstRound(['Alice', 'Alice', 'Bob', 'Bob', 'Carol']);
+
+      expect(runoffSession.status).toBe('active');
+      expect(runoffSession.runoffOf).toBe(votingSession._id);
+      expect(votingSession.runoffSessionId).toBe(runoffSession._id);
+      expect(runoffSession.candidates.map(c => [c.name, c.description]).sort())
+        .toEqual([['Alice', 'Treasurer'], ['Bob', 'Secretary']]);
+    });
+
+    it('should not start a runoff when a candidate has a majority', async () => {
+      const { runoffSession } = await runFirstRound(['Alice', 'Alice', 'Alice', 'Bob', 'Carol']);
+
+      expect(runoffSession).toBeFalsy();
+    });
+
+    it('should keep the ballot privacy settings of the first round', async () => {
+      const { runoffSession } = await runFirstRound(['Alice', 'Alice', 'Bob', 'Bob', 'Carol'], { secretBallot: true });
+
+      expect(runoffSession.secretBallot).toBe(true);
+      expect(runoffSession.allowVoteChanges).toBe(false);
+      expect(runoffSession.tallyMode).toBe('standard');
+    });
+
+    it('should wait as a draft until a later start date', async () => {
+      const { runoffSession } = await runFirstRound(['Alice', 'Alice', 'Bob', 'Bob', 'Carol'], { runoffStartAfterHours: 24 });
+
+      expect(runoffSession.status).toBe('draft');
+      expect(new Date(runoffSession.startDate).getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+    });
+
+    it('should release the first round when its runoff cannot be saved', async () => {
+      const { votingSession } = await runFirstRound(['Alice', 'Alice', 'Alice', 'Bob', 'Carol']);
+      const parent = await VotingSession.findById(votingSession._id);
+
+      await expect(VotingSession.createRunoff(parent, [{ description: 'No name' }], new Date()))
+        .rejects.toThrow();
+      expect((await VotingSession.findById(votingSession._id)).runoffSessionId).toBeUndefined();
+
+      const runoff = await VotingSession.createRunoff(parent, [{ name: 'Alice' }, { name: 'Bob' }], new Date());
+      expect(runoff).not.toBeNull();
+    });
+  });
+});
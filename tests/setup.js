@@ -1,27 +1,35 @@
+// Shared setup for the suites that run against MongoDB. Require it before the app:
+// it picks the database the app connects to.
+//
+// Tests run against a dedicated database so they never touch development data.
+// Jest runs suites in parallel workers, and every suite wipes the database before
+// each test, so each worker gets a database of its own (MONGODB_TEST_URI plus the
+// worker id) instead of clearing out another worker's data mid-test
+const DEFAULT_TEST_URI = 'mongodb://localhost:27017/voting-app-test';
+
+const [testUri, options] = (process.env.MONGODB_TEST_URI || DEFAULT_TEST_URI).split('?');
+process.env.MONGODB_URI = `${testUri}-${process.env.JEST_WORKER_ID || 1}${options ? `?${options}` : ''}`;
+
 process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test_jwt_secret';
 process.env.JWT_EXPIRES_IN = '1h';
 
-// Clear all data before each test
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const Vote = require('../models/Vote');
 
-beforeEach(() => {
+beforeAll(async () => {
+  await mongoose.connection.asPromise();
+});
+
+// Clear all data before each test
+beforeEach(async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+
   // Reset users to default admin only
-  User.users = [
-    {
-      id: 1,
-      username: 'admin',
-      email: 'admin@voting-app.com',
-      password: '$2b$10$9mLPZvY2qzQ8oF8hXhYQb.YUzPbL8/7XrZIqXqVVGBtNQ4kNQwOsK', // password: admin123
-      role: 'admin',
-      createdAt: new Date()
-    }
-  ];
-  User.idCounter = 2;
+  await User.initializeDefaultAdmin();
+});
 
-  // Clear all votes
-  Vote.votes = [];
-  Vote.candidates = [];
-  Vote.idCounter = 1;
+afterAll(async () => {
+  await mongoose.connection.close();
 });
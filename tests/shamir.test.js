@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const { split, combine, encodeShare, decodeShare } = require('../utils/shamir');
+
+describe('Shamir secret sharing', () => {
+  const secret = crypto.randomBytes(32);
+
+  it('should rebuild the secret from any threshold-sized subset of shares', () => {
+    const shares = split(secret, 5, 3);
+
+    expect(combine([shares[0], shares[1], shares[2]]).equals(secret)).toBe(true);
+    expect(combine([shares[4], shares[0], shares[3]]).equals(secret)).toBe(true);
+    expect(combine(shares).equals(secret)).toBe(true);
+  });
+
+  it('should not rebuild the secret from fewer shares than the threshold', () => {
+    const shares = split(secret, 5, 3);
+    expect(combine([shares[1], shares[3]]).equals(secret)).toBe(false);
+  });
+
+  it('should reject impossible thresholds and duplicate shares', () => {
+    expect(() => split(secret, 3, 4)).toThrow('Threshold must be between 1 and the share count');
+    expect(() => split(secret, 256, 2)).toThrow('Share count must be between 1 and 255');
+
+    const shares = split(secret, 3, 2);
+    expect(() => combine([shares[0], shares[0]])).toThrow('Shares must be distinct');
+  });
+
+  it('should round-trip shares through their text encoding', () => {
+    const [share] = split(secret, 3, 2);
+    const encoded = encodeShare(share);
+
+    expect(encoded).toMatch(/^01-[0-9a-f]{64}$/);
+    expect(decodeShare(encoded)).toEqual(share);
+    expect(() => decodeShare('00-abcd')).toThrow('Malformed share');
+    expect(() => decodeShare('not a share')).toThrow('Malformed share');
+  });
+});
@@ -0,0 +1,426 @@
+const {
+  instantRunoff,
+  singleTransferableVote,
+  condorcet,
+  scoreVoting,
+  bordaCount,
+  cumulativeVoting,
+  quadraticVoting,
+  approvalVoting,
+  referendum
+} = require('../utils/tally');
+
+const candidates = [
+  { id: 'a', name: 'Alice' },
+  { id: 'b', name: 'Bob' },
+  { id: 'c', name: 'Carol' }
+];
+
+// Build `count` identical ballots
+const ballots = (count, ranking) => Array.from({ length: count }, () => [...ranking]);
+
+describe('Tally engines', () => {
+  describe('instantRunoff', () => {
+    it('should elect a first-round majority winner without eliminations', () => {
+      const result = instantRunoff([
+        ...ballots(3, ['a', 'b']),
+        ...ballots(1, ['b']),
+        ...ballots(1, ['c'])
+      ], candidates);
+
+      expect(result.winner).toEqual({ candidateId: 'a', candidateName: 'Alice' });
+      expect(result.rounds).toHaveLength(1);
+      expect(result.rounds[0].majorityThreshold).toBe(3);
+    });
+
+    it('should transfer votes from eliminated candidates', () => {
+      const result = instantRunoff([
+        ...ballots(4, ['a']),
+        ...ballots(3, ['b']),
+        ...ballots(2, ['c', 'b'])
+      ], candidates);
+
+      expect(result.winner).toEqual({ candidateId: 'b', candidateName: 'Bob' });
+      expect(result.rounds).toHaveLength(2);
+      expect(result.rounds[0].eliminated).toEqual([{ candidateId: 'c', candidateName: 'Carol' }]);
+      expect(result.rounds[0].transfers).toEqual([{
+        from: { candidateId: 'c', candidateName: 'Carol' },
+        to: [{ candidateId: 'b', candidateName: 'Bob', votes: 2 }],
+        exhausted: 0
+      }]);
+      expect(result.rounds[1].tallies).toEqual([
+        { candidateId: 'b', candidateName: 'Bob', votes: 5 },
+        { candidateId: 'a', candidateName: 'Alice', votes: 4 }
+      ]);
+    });
+
+    it('should exclude exhausted ballots from the majority', () => {
+      const result = instantRunoff([
+        ...ballots(4, ['a']),
+        ...ballots(3, ['b']),
+        ...ballots(2, ['c'])
+      ], candidates);
+
+      expect(result.rounds[0].transfers[0].exhausted).toBe(2);
+      expect(result.rounds[1].exhaustedBallots).toBe(2);
+      expect(result.rounds[1].activeBallots).toBe(7);
+      expect(result.rounds[1].majorityThreshold).toBe(4);
+      expect(result.winner).toEqual({ candidateId: 'a', candidateName: 'Alice' });
+      expect(result.exhaustedBallots).toBe(2);
+    });
+
+    it('should break ties for last place using earlier rounds', () => {
+      const fourCandidates = [...candidates, { id: 'd', name: 'Dave' }];
+      const result = instantRunoff([
+        ...ballots(5, ['a']),
+        ...ballots(3, ['b']),
+        ...ballots(2, ['c']),
+        ...ballots(1, ['d', 'c'])
+      ], fourCandidates);
+
+      // Round 2: Bob and Carol tie on 3; Bob led in round 1 so Carol goes out
+      expect(result.rounds[1].tieBreak.resolvedBy).toBe('previous rounds');
+      expect(result.rounds[1].eliminated).toEqual([{ candidateId: 'c', candidateName: 'Carol' }]);
+    });
+
+    it('should report a tie when every remaining candidate is level', () => {
+      const result = instantRunoff([
+        ...ballots(2, ['a']),
+        ...ballots(2, ['b'])
+      ], candidates.slice(0, 2));
+
+      expect(result.winner).toBeNull();
+      expect(result.tied.map(c => c.candidateId).sort()).toEqual(['a', 'b']);
+    });
+
+    it('should ignore unknown and repeated candidates on ballots', () => {
+      const result = instantRunoff([
+        ['x', 'a', 'a'],
+        ['b']
+      ], candidates.slice(0, 2));
+
+      expect(result.totalBallots).toBe(2);
+      expect(result.rounds[0].tallies).toEqual([
+        { candidateId: 'a', candidateName: 'Alice', votes: 1 },
+        { candidateId: 'b', candidateName: 'Bob', votes: 1 }
+      ]);
+    });
+
+    it('should handle sessions without ballots', () => {
+      const result = instantRunoff([], candidates);
+
+      expect(result.winner).toBeNull();
+      expect(result.totalBallots).toBe(0);
+      expect(result.rounds).toEqual([]);
+    });
+  });
+
+  describe('singleTransferableVote', () => {
+    const fourCandidates = [...candidates, { id: 'd', name: 'Dave' }];
+
+    it('should compute the Droop quota', () => {
+      const result = singleTransferableVote(ballots(10, ['a']), candidates, 2);
+
+      expect(result.quota).toBe(4);
+      expect(result.totalBallots).toBe(10);
+    });
+
+    it('should transfer surplus votes at a fractional value', () => {
+      const result = singleTransferableVote([
+        ...ballots(6, ['a', 'b']),
+        ...ballots(2, ['b']),
+        ...ballots(1, ['c'])
+      ], candidates, 2);
+
+      // Quota is 4; Alice's surplus of 2 moves on at 2/6 per ballot
+      expect(result.elected.map(c => c.candidateId)).toEqual(['a', 'b']);
+      expect(result.rounds[0].transfers[0]).toMatchObject({
+        type: 'surplus',
+        surplus: 2,
+        transferValue: 0.3333,
+        to: [{ candidateId: 'b', candidateName: 'Bob', votes: 2 }]
+      });
+      expect(result.rounds[1].elected).toEqual([{ candidateId: 'b', candidateName: 'Bob' }]);
+    });
+
+    it('should eliminate the weakest candidate when nobody reaches the quota', () => {
+      const result = singleTransferableVote([
+        ...ballots(3, ['a']),
+        ...ballots(3, ['b']),
+        ...ballots(2, ['c']),
+        ...ballots(1, ['d', 'c'])
+      ], fourCandidates, 2);
+
+      expect(result.rounds[0].eliminated).toEqual([{ candidateId: 'd', candidateName: 'Dave' }]);
+      expect(result.rounds[0].transfers[0]).toMatchObject({
+        type: 'elimination',
+        to: [{ candidateId: 'c', candidateName: 'Carol', votes: 1 }]
+      });
+      expect(result.elected).toHaveLength(2);
+    });
+
+    it('should fill remaining seats when hopefuls equal open seats', () => {
+      const result = singleTransferableVote([
+        ...ballots(2, ['a']),
+        ...ballots(1, ['b'])
+      ], candidates.slice(0, 2), 2);
+
+      expect(result.elected.map(c => c.candidateId).sort()).toEqual(['a', 'b']);
+    });
+
+    it('should handle sessions without ballots', () => {
+      const result = singleTransferableVote([], candidates, 2);
+
+      expect(result.elected).toEqual([]);
+      expect(result.quota).toBe(0);
+      expect(result.rounds).toEqual([]);
+    });
+  });
+
+  describe('condorcet', () => {
+    it('should build the pairwise preference matrix', () => {
+      const result = condorcet([
+        ...ballots(2, ['a', 'b', 'c']),
+        ...ballots(1, ['b'])
+      ], candidates);
+
+      expect(result.matrix).toEqual([
+        [0, 2, 2],
+        [1, 0, 3],
+        [0, 0, 0]
+      ]);
+    });
+
+    it('should find the Condorcet winner', () => {
+      const result = condorcet([
+        ...ballots(2, ['a', 'b', 'c']),
+        ...ballots(1, ['b', 'a', 'c'])
+      ], candidates);
+
+      expect(result.condorcetWinner).toEqual({ candidateId: 'a', candidateName: 'Alice' });
+      expect(result.schulze.winners).toEqual([{ candidateId: 'a', candidateName: 'Alice' }]);
+    });
+
+    it('should resolve a preference cycle with the Schulze method', () => {
+      const fiveCandidates = ['a', 'b', 'c', 'd', 'e'].map(id => ({ id, name: id.toUpperCase() }));
+      const result = condorcet([
+        ...ballots(5, ['a', 'c', 'b', 'e', 'd']),
+        ...ballots(5, ['a', 'd', 'e', 'c', 'b']),
+        ...ballots(8, ['b', 'e', 'd', 'a', 'c']),
+        ...ballots(3, ['c', 'a', 'b', 'e', 'd']),
+        ...ballots(7, ['c', 'a', 'e', 'b', 'd']),
+        ...ballots(2, ['c', 'b', 'a', 'd', 'e']),
+        ...ballots(7, ['d', 'c', 'e', 'b', 'a']),
+        ...ballots(8, ['e', 'b', 'a', 'd', 'c'])
+      ], fiveCandidates);
+
+      expect(result.condorcetWinner).toBeNull();
+      expect(result.schulze.ranking.map(entry => entry.candidateId)).toEqual(['e', 'a', 'c', 'b', 'd']);
+      expect(result.schulze.strongestPaths[4][0]).toBe(25);
+      expect(result.schulze.strongestPaths[0][4]).toBe(24);
+    });
+
+    it('should report shared ranks for a perfect tie', () => {
+      const result = condorcet([['a', 'b'], ['b', 'a']], candidates.slice(0, 2));
+
+      expect(result.condorcetWinner).toBeNull();
+      expect(result.schulze.ranking.every(entry => entry.rank === 1)).toBe(true);
+    });
+  });
+
+  describe('scoreVoting', () => {
+    const scoreBallot = (a, b, c) => [
+      { candidateId: 'a', score: a },
+      { candidateId: 'b', score: b },
+      { candidateId: 'c', score: c }
+    ];
+
+    it('should report total, mean and median scores', () => {
+      const result = scoreVoting([
+        scoreBallot(5, 1, 0),
+        scoreBallot(4, 2, 0),
+        scoreBallot(0, 3, 5)
+      ], candidates);
+
+      expect(result.results[0]).toEqual({ candidateId: 'a', candidateName: 'Alice', total: 9, mean: 3, median: 4 });
+      expect(result.winner).toEqual({ candidateId: 'a', candidateName: 'Alice' });
+      expect(result.runoff).toBeUndefined();
+    });
+
+    it('should count missing scores as the minimum score', () => {
+      const result = scoreVoting([[{ candidateId: 'a', score: 3 }], scoreBallot(1, 2, 3)], candidates, { minScore: 1 });
+      const bob = result.results.find(r => r.candidateId === 'b');
+
+      expect(bob.total).toBe(3);
+      expect(bob.median).toBe(1.5);
+    });
+
+    it('should let the STAR runoff overturn the highest total', () => {
+      const result = scoreVoting([
+        scoreBallot(5, 0, 0),
+        scoreBallot(5, 0, 0),
+        scoreBallot(3, 4, 0),
+        scoreBallot(3, 4, 0),
+        scoreBallot(3, 4, 0)
+      ], candidates, { runoff: true });
+
+      expect(result.results[0].candidateId).toBe('a');
+      expect(result.runoff.finalists).toEqual([
+        { candidateId: 'a', candidateName: 'Alice', votes: 2 },
+        { candidateId: 'b', candidateName: 'Bob', votes: 3 }
+      ]);
+      expect(result.winner).toEqual({ candidateId: 'b', candidateName: 'Bob' });
+    });
+
+    it('should break a tied STAR runoff by total score', () => {
+      const result = scoreVoting([
+        scoreBallot(5, 0, 0),
+        scoreBallot(2, 3, 0),
+        scoreBallot(4, 4, 0)
+      ], candidates, { runoff: true });
+
+      expect(result.runoff.noPreference).toBe(1);
+      expect(result.runoff.tieBreak).toBe('higher total score');
+      expect(result.winner).toEqual({ candidateId: 'a', candidateName: 'Alice' });
+    });
+  });
+
+  describe('bordaCount', () => {
+    it('should award points by ranked position', () => {
+      const result = bordaCount([
+        ['a', 'b', 'c'],
+        ['b', 'a', 'c'],
+        ['b', 'c']
+      ], candidates);
+
+      expect(result.totalPoints).toBe(9);
+      expect(result.results).toEqual([
+        { candidateId: 'b', candidateName: 'Bob', points: 5, share: 0.5556 },
+        { candidateId: 'a', candidateName: 'Alice', points: 3, share: 0.3333 },
+        { candidateId: 'c', candidateName: 'Carol', points: 1, share: 0.1111 }
+      ]);
+      expect(result.winner).toEqual({ candidateId: 'b', candidateName: 'Bob' });
+    });
+  });
+
+  describe('cumulativeVoting', () => {
+    it('should sum allocated points and their shares', () => {
+      const result = cumulativeVoting([
+        [{ candidateId: 'a', amount: 7 }, { candidateId: 'b', amount: 3 }],
+        [{ candidateId: 'c', amount: 10 }]
+      ], candidates);
+
+      expect(result.totalPoints).toBe(20);
+      expect(result.results[0]).toEqual({ candidateId: 'c', candidateName: 'Carol', points: 10, share: 0.5 });
+      expect(result.winner).toEqual({ candidateId: 'c', candidateName: 'Carol' });
+    });
+
+    it('should report ties between point leaders', () => {
+      const result = cumulativeVoting([
+        [{ candidateId: 'a', amount: 5 }, { candidateId: 'b', amount: 5 }]
+      ], candidates);
+
+      expect(result.winner).toBeNull();
+      expect(result.tied.map(c => c.candidateId)).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('quadraticVoting', () => {
+    it('should add up votes and charge their square in credits', () => {
+      const result = quadraticVoting([
+        [{ candidateId: 'a', amount: 3 }, { candidateId: 'b', amount: 1 }],
+        [{ candidateId: 'b', amount: 2 }, { candidateId: 'c', amount: 0 }]
+      ], candidates);
+
+      expect(result.totalBallots).toBe(2);
+      expect(result.totalVotes).toBe(6);
+      expect(result.totalCreditsSpent).toBe(14);
+      expect(result.results).toEqual([
+        { candidateId: 'a', candidateName: 'Alice', votes: 3, creditsSpent: 9 },
+        { candidateId: 'b', candidateName: 'Bob', votes: 3, creditsSpent: 5 },
+        { candidateId: 'c', candidateName: 'Carol', votes: 0, creditsSpent: 0 }
+      ]);
+    });
+
+    it('should ignore allocations to unknown candidates', () => {
+      const result = quadraticVoting([[{ candidateId: 'x', amount: 4 }]], candidates);
+
+      expect(result.totalVotes).toBe(0);
+      expect(result.totalCreditsSpent).toBe(0);
+    });
+
+    it('should handle sessions without ballots', () => {
+      const result = quadraticVoting([], candidates);
+
+      expect(result.totalBallots).toBe(0);
+      expect(result.results.every(r => r.votes === 0)).toBe(true);
+    });
+  });
+
+  describe('approvalVoting', () => {
+    it('should report approvals and approval rates per ballot cast', () => {
+      const result = approvalVoting([
+        { candidateName: 'Alice', voteCount: 3 },
+        { candidateName: 'Bob', voteCount: 1 }
+      ], 4, 2);
+
+      expect(result).toEqual({
+        maxChoices: 2,
+        ballotsCast: 4,
+        totalSelections: 4,
+        results: [
+          { candidateName: 'Alice', approvals: 3, approvalRate: 0.75 },
+          { candidateName: 'Bob', approvals: 1, approvalRate: 0.25 }
+        ]
+      });
+    });
+
+    it('should report a zero rate when no ballots were cast', () => {
+      const result = approvalVoting([{ candidateName: 'Alice', voteCount: 0 }], 0, 2);
+
+      expect(result.results[0].approvalRate).toBe(0);
+      expect(result.totalSelections).toBe(0);
+    });
+  });
+
+  describe('referendum', () => {
+    const rules = { quorumPercent: 50, passingThreshold: 'simple-majority', eligibleSharePercent: 50 };
+
+    it('should pass a motion with a simple majority', () => {
+      const result = referendum({ yes: 4, no: 3, abstain: 1 }, 10, rules);
+
+      expect(result.outcome).toBe('PASSED');
+      expect(result.quorum).toMatchObject({ required: 5, participated: 8, met: true });
+      expect(result.threshold).toMatchObject({ required: 4, achieved: 4, met: true });
+      expect(result.threshold.arithmetic).toBe('Yes 4 of 7 Yes/No votes (57.1429%); simple majority requires floor(7 / 2) + 1 = 4');
+    });
+
+    it('should fail a tied motion', () => {
+      const result = referendum({ yes: 3, no: 3, abstain: 0 }, 10, rules);
+
+      expect(result.outcome).toBe('FAILED');
+    });
+
+    it('should report NO_QUORUM when too few voters participate', () => {
+      const result = referendum({ yes: 4, no: 0, abstain: 0 }, 10, rules);
+
+      expect(result.outcome).toBe('NO_QUORUM');
+      expect(result.quorum.arithmetic).toBe('4 of 10 eligible voters participated (40%); quorum of 50% requires ceil(10 × 50%) = 5');
+    });
+
+    it('should apply a two-thirds threshold', () => {
+      const twoThirds = { ...rules, passingThreshold: 'two-thirds' };
+
+      expect(referendum({ yes: 6, no: 3, abstain: 0 }, 10, twoThirds).outcome).toBe('PASSED');
+      expect(referendum({ yes: 5, no: 3, abstain: 0 }, 10, twoThirds).outcome).toBe('FAILED');
+    });
+
+    it('should measure an eligible-share threshold against all eligible voters', () => {
+      const eligibleShare = { ...rules, passingThreshold: 'eligible-share', eligibleSharePercent: 50 };
+      const result = referendum({ yes: 4, no: 0, abstain: 2 }, 10, eligibleShare);
+
+      expect(result.outcome).toBe('FAILED');
+      expect(result.threshold.required).toBe(5);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+} = require('../utils/totp');
+
+// The SHA-1 secret from the RFC 6238 test vectors, "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  it('should round-trip base32 and tolerate how people type secrets', () => {
+    const bytes = Buffer.from('12345678901234567890');
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(RFC_SECRET)).toEqual(bytes);
+    expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq')).toEqual(bytes);
+    expect(() => base32Decode('not base32!')).toThrow('Invalid base32 character');
+  });
+
+  it('should match the RFC 4226 HOTP test values', () => {
+    expect(hotp(RFC_SECRET, 0)).toBe('755224');
+    expect(hotp(RFC_SECRET, 1)).toBe('287082');
+    expect(hotp(RFC_SECRET, 9)).toBe('520489');
+  });
+
+  it('should match the RFC 6238 TOTP test values', () => {
+    expect(generateTotp(RFC_SECRET, 59 * 1000, 8)).toBe('94287082');
+    expect(generateTotp(RFC_SECRET, 1111111109 * 1000, 8)).toBe('07081804');
+    expect(generateTotp(RFC_SECRET, 1234567890 * 1000, 8)).toBe('89005924');
+    expect(generateTotp(RFC_SECRET, 20000000000 * 1000, 8)).toBe('65353130');
+  });
+
+  it('should accept codes from neighbouring time steps and return the step used', () => {
+    const secret = generateSecret();
+    const now = 1700000000000;
+    const step = Math.floor(now / 30000);
+
+    expect(verifyTotp(secret, generateTotp(secret, now), { now })).toBe(step);
+    expect(verifyTotp(secret, generateTotp(secret, now - 30000), { now })).toBe(step - 1);
+    expect(verifyTotp(secret, generateTotp(secret, now + 30000), { now })).toBe(step + 1);
+    expect(verifyTotp(secret, generateTotp(secret, now - 90000), { now })).toBeNull();
+  });
+
+  it('should reject malformed codes', () => {
+    const secret = generateSecret();
+    expect(verifyTotp(secret, '')).toBeNull();
+    expect(verifyTotp(secret, '12345')).toBeNull();
+    expect(verifyTotp(secret, 'abcdef')).toBeNull();
+    expect(verifyTotp(secret, undefined)).toBeNull();
+  });
+
+  it('should build an otpauth URI for authenticator apps', () => {
+    const uri = buildOtpauthUri({ secret: RFC_SECRET, accountName: 'admin@example.com', issuer: 'Voting App' });
+    expect(uri.startsWith('otpauth://totp/Voting%20App%3Aadmin%40example.com?')).toBe(true);
+    const params = new URL(uri).searchParams;
+    expect(params.get('secret')).toBe(RFC_SECRET);
+    expect(params.get('issuer')).toBe('Voting App');
+    expect(params.get('digits')).toBe('6');
+  });
+});
@@ -0,0 +1,108 @@
+require('./setup');
+
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+
+describe('Trustee key shares', () => {
+  let adminToken;
+  let trusteeToken;
+  let voterToken;
+  let session;
+
+  const login = async (username, password) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ username, password });
+    return response.body;
+  };
+
+  const collectShare = async (token) => {
+    const response = await request(app)
+      .get(`/api/voting-sessions/${session._id}/trustee-share`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    return response.body.share;
+  };
+
+  const submitShare = (token, share) => request(app)
+    .post(`/api/voting-sessions/${session._id}/trustee-shares`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ share });
+
+  const transition = (action) => request(app)
+    .post(`/api/voting-sessions/${session._id}/${action}`)
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  beforeEach(async () => {
+    const trustee = await User.create({ username: 'trustee', email: 'trustee@example.com', password: 'password123' });
+    const voter = await User.create({ username: 'voter', email: 'voter@example.com', password: 'password123' });
+
+    const admin = await login('admin', 'admin123');
+    adminToken = admin.token;
+    trusteeToken = (await login('trustee', 'password123')).token;
+    voterToken = (await login('voter', 'password123')).token;
+
+    const created = await request(app)
+      .post('/api/voting-sessions')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        title: 'Sealed election',
+        candidates: [{ name: 'Alice' }, { name: 'Bob' }],
+        assignedUsers: [voter._id.toString()],
+        encryptBallots: true,
+        trustees: [admin.user.id, trustee._id.toString()],
+        trusteeThreshold: 2
+      })
+      .expect(201);
+    session = created.body.votingSession;
+  });
+
+  it('should not open until every trustee has collected their share', async () => {
+    await collectShare(adminToken);
+
+    const refused = await transition('open').expect(400);
+    expect(refused.body.message).toBe('Every trustee must collect their key share before the voting session can be opened');
+
+    await collectShare(trusteeToken);
+    await transition('open').expect(200);
+  });
+
+  it('should refuse a share issued to another trustee with a 400', async () => {
+    const adminShare = await collectShare(adminToken);
+    const trusteeShare = await collectShare(trusteeToken);
+    await transition('open').expect(200);
+
+    await request(app)
+      .post('/api/voting-sessions/vote')
+      .set('Authorization', `Bearer ${voterToken}`)
+      .send({ votingSessionId: session._id, candidateId: session.candidates[0]._id, candidateName: 'Alice' })
+      .expect(201);
+    await transition('close').expect(200);
+
+    const accepted = await submitShare(adminToken, adminShare).expect(200);
+    expect(accepted.body.decrypted).toBe(false);
+
+    const refused = await submitShare(trusteeToken, adminShare).expect(400);
+    expect(refused.body.message).toBe('This is not the share issued to you; submit your own share');
+
+    // Resubmitting your own share replaces it rather than counting twice
+    await submitShare(adminToken, adminShare).expect(200);
+
+    const decrypted = await submitShare(trusteeToken, trusteeShare).expect(200);
+    expect(decrypted.body.decrypted).toBe(true);
+    expect(decrypted.body.sharesSubmitted).toBe(2);
+  });
+
+  it('should not reopen once a trustee has handed back their share', async () => {
+    const adminShare = await collectShare(adminToken);
+    await collectShare(trusteeToken);
+    await transition('open').expect(200);
+    await transition('close').expect(200);
+
+    await submitShare(adminToken, adminShare).expect(200);
+
+    const refused = await transition('reopen').expect(400);
+    expect(refused.body.message).toBe('Trustees have already started decrypting the ballots of this voting session');
+  });
+});
@@ -0,0 +1,178 @@
+require('./setup');
+
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const { generateTotp } = require('../utils/totp');
+
+describe('Two-factor authentication', () => {
+  let userToken;
+
+  const STEP_MS = 30 * 1000;
+
+  const login = (username = 'testuser', password = 'password123') => request(app)
+    .post('/api/auth/login')
+    .send({ username, password });
+
+  const authed = (method, url, token) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+
+  // Enroll with a code from the current time step; later codes in a test come from
+  // the next steps, since each step's code is only accepted once
+  const enroll = async (token) => {
+    const setup = await authed('post', '/api/auth/2fa/setup', token).expect(200);
+    const confirm = await authed('post', '/api/auth/2fa/confirm', token)
+      .send({ code: generateTotp(setup.body.secret) })
+      .expect(200);
+    return { secret: setup.body.secret, backupCodes: confirm.body.backupCodes };
+  };
+
+  beforeEach(async () => {
+    await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123'
+    });
+
+    const response = await login();
+    userToken = response.body.token;
+  });
+
+  afterEach(() => {
+    delete process.env.REQUIRE_ADMIN_2FA;
+  });
+
+  it('should enroll with a secret, an otpauth URI and a confirming code', async () => {
+    const setup = await authed('post', '/api/auth/2fa/setup', userToken).expect(200);
+    expect(setup.body.secret).toMatch(/^[A-Z2-7]+$/);
+    expect(setup.body.otpauthUri).toContain(`secret=${setup.body.secret}`);
+
+    // Not enabled until a code is confirmed
+    const before = await authed('get', '/api/auth/2fa', userToken).expect(200);
+    expect(before.body.enabled).toBe(false);
+
+    await authed('post', '/api/auth/2fa/confirm', userToken).send({ code: '000000' }).expect(400);
+
+    const confirm = await authed('post', '/api/auth/2fa/confirm', userToken)
+      .send({ code: generateTotp(setup.body.secret) })
+      .expect(200);
+    expect(confirm.body.backupCodes).toHaveLength(10);
+
+    const after = await authed('get', '/api/auth/2fa', userToken).expect(200);
+    expect(after.body.enabled).toBe(true);
+    expect(after.body.backupCodesRemaining).toBe(10);
+
+    // The secret never comes back out
+    const profile = await authed('get', '/api/auth/profile', userToken).expect(200);
+    expect(profile.body.user.twoFactorEnabled).toBe(true);
+    expect(JSON.stringify(profile.body)).not.toContain(setup.body.secret);
+  });
+
+  it('should turn login into a two-step challenge', async () => {
+    const { secret } = await enroll(userToken);
+
+    const first = await login().expect(200);
+    expect(first.body.twoFactorRequired).toBe(true);
+    expect(first.body.token).toBeUndefined();
+
+    // The challenge is not an access token
+    await authed('get', '/api/auth/profile', first.body.challengeToken).expect(401);
+
+    await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: first.body.challengeToken, code: '000000' })
+      .expect(401);
+
+    const code = generateTotp(secret, Date.now() + STEP_MS);
+    const second = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: first.body.challengeToken, code })
+      .expect(200);
+    expect(second.body.token).toBeDefined();
+    expect(second.body.refreshToken).toBeDefined();
+    await authed('get', '/api/auth/profile', second.body.token).expect(200);
+
+    // A code cannot be replayed
+    await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: first.body.challengeToken, code })
+      .expect(401);
+  });
+
+  it('should accept each backup code once', async () => {
+    const { backupCodes } = await enroll(userToken);
+    const challenge = (await login()).body.challengeToken;
+
+    await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: challenge, backupCode: backupCodes[0].toUpperCase() })
+      .expect(200);
+    await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: challenge, backupCode: backupCodes[0] })
+      .expect(401);
+
+    const status = await authed('get', '/api/auth/2fa', userToken).expect(200);
+    expect(status.body.backupCodesRemaining).toBe(9);
+  });
+
+  it('should replace backup codes given a current code', async () => {
+    const { secret, backupCodes } = await enroll(userToken);
+
+    const response = await authed('post', '/api/auth/2fa/backup-codes', userToken)
+      .send({ code: generateTotp(secret, Date.now() + STEP_MS) })
+      .expect(200);
+    expect(response.body.backupCodes).toHaveLength(10);
+
+    const challenge = (await login()).body.challengeToken;
+    await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: challenge, backupCode: backupCodes[0] })
+      .expect(401);
+    await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: challenge, backupCode: response.body.backupCodes[0] })
+      .expect(200);
+  });
+
+  it('should need the password and a code to disable', async () => {
+    const { secret } = await enroll(userToken);
+    const code = generateTotp(secret, Date.now() + STEP_MS);
+
+    await authed('post', '/api/auth/2fa/disable', userToken).send({ code }).expect(400);
+    await authed('post', '/api/auth/2fa/disable', userToken)
+      .send({ password: 'wrongpassword', code })
+      .expect(401);
+    await authed('post', '/api/auth/2fa/disable', userToken)
+      .send({ password: 'password123', code })
+      .expect(200);
+
+    const response = await login().expect(200);
+    expect(response.body.twoFactorRequired).toBeUndefined();
+    expect(response.body.token).toBeDefined();
+  });
+
+  it('should make admins enroll before using admin endpoints when required', async () => {
+    process.env.REQUIRE_ADMIN_2FA = 'true';
+
+    const adminLogin = await login('admin', 'admin123').expect(200);
+    expect(adminLogin.body.twoFactorSetupRequired).toBe(true);
+    const adminToken = adminLogin.body.token;
+
+    const refused = await authed('get', '/api/voting-sessions/admin/all', adminToken).expect(403);
+    expect(refused.body.twoFactorSetupRequired).toBe(true);
+
+    const { secret } = await enroll(adminToken);
+    await authed('get', '/api/voting-sessions/admin/all', adminToken).expect(200);
+
+    const disable = await authed('post', '/api/auth/2fa/disable', adminToken)
+      .send({ password: 'admin123', code: generateTotp(secret, Date.now() + STEP_MS) })
+      .expect(403);
+    expect(disable.body.message).toBe('Two-factor authentication is required for admin accounts');
+  });
+
+  it('should not get in the way of admins when it is optional', async () => {
+    const adminLogin = await login('admin', 'admin123').expect(200);
+    expect(adminLogin.body.twoFactorSetupRequired).toBe(false);
+    await authed('get', '/api/voting-sessions/admin/all', adminLogin.body.token).expect(200);
+  });
+});
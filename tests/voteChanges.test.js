@@ -0,0 +1,192 @@
+require('./setup');
+
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+
+describe('Changing and retracting votes', () => {
+  let adminToken;
+  let userToken;
+  let userId;
+  let session;
+
+  const createSession = async (overrides = {}) => {
+    const response = await request(app)
+      .post('/api/voting-sessions')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        title: 'Board election',
+        candidates: [{ name: 'Alice' }, { name: 'Bob' }],
+        assignedUsers: [userId],
+        allowVoteChanges: true,
+        ...overrides
+      });
+    const created = response.body.votingSession;
+
+    await request(app)
+      .post(`/api/voting-sessions/${created._id}/open`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    return created;
+  };
+
+  const candidateId = (name) => session.candidates.find(c => c.name === name)._id;
+
+  const vote = (name) => request(app)
+    .post('/api/voting-sessions/vote')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({ votingSessionId: session._id, candidateId: candidateId(name), candidateName: name });
+
+  const results = async () => {
+    const response = await request(app)
+      .get(`/api/voting-sessions/${session._id}/results`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    return response.body;
+  };
+
+  beforeEach(async () => {
+    const user = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123'
+    });
+    userId = user._id.toString();
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'testuser', password: 'password123' });
+    userToken = userLogin.body.token;
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'admin', password: 'admin123' });
+    adminToken = adminLogin.body.token;
+
+    session = await createSession();
+  });
+
+  it('should count only the replacement ballot and keep the original in history', async () => {
+    await vote('Alice').expect(201);
+
+    const response = await request(app)
+      .put(`/api/voting-sessions/${session._id}/vote`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ candidateId: candidateId('Bob'), candidateName: 'Bob' })
+      .expect(200);
+
+    expect(response.body.vote.candidateName).toBe('Bob');
+    expect(response.body.receipt.sequence).toBe(2);
+
+    const tally = await results();
+    expect(tally.totalVotes).toBe(1);
+    expect(tally.results).toEqual([expect.objectContaining({ candidateName: 'Bob', voteCount: 1 })]);
+
+    const history = await request(app)
+      .get(`/api/voting-sessions/${session._id}/vote-history`)
+      .query({ userId })
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(history.body.votes.map(v => [v.candidateName, v.current, v.supersededReason]))
+      .toEqual([['Alice', false, 'replaced'], ['Bob', true, null]]);
+  });
+
+  it('should let a voter retract and vote again', async () => {
+    await vote('Alice').expect(201);
+
+    await request(app)
+      .delete(`/api/voting-sessions/${session._id}/vote`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect((await results()).totalVotes).toBe(0);
+
+    await vote('Bob').expect(201);
+    expect((await results()).results).toEqual([expect.objectContaining({ candidateName: 'Bob', voteCount: 1 })]);
+  });
+
+  it('should keep replaced ballots in an intact hash chain', async () => {
+    await vote('Alice').expect(201);
+    await request(app)
+      .put(`/api/voting-sessions/${session._id}/vote`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ candidateId: candidateId('Bob'), candidateName: 'Bob' });
+
+    const response = await request(app)
+      .get(`/api/voting-sessions/${session._id}/hash-chain`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(response.body.verification.valid).toBe(true);
+    expect(response.body.entries.map(entry => entry.superseded)).toEqual(['replaced', null]);
+  });
+
+  it('should keep a deleted voter\'s ballots chained and counted', async () => {
+    await vote('Alice').expect(201);
+    await request(app)
+      .put(`/api/voting-sessions/${session._id}/vote`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ candidateId: candidateId('Bob'), candidateName: 'Bob' })
+      .expect(200);
+
+    await request(app)
+      .delete(`/api/users/${userId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const chain = await request(app)
+      .get(`/api/voting-sessions/${session._id}/hash-chain`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(chain.body.verification.valid).toBe(true);
+    expect(chain.body.entries).toHaveLength(2);
+
+    const tally = await results();
+    expect(tally.totalVotes).toBe(1);
+    expect(tally.results[0].candidateName).toBe('Bob');
+  });
+
+  it('should answer a concurrent second ballot with 409', async () => {
+    const responses = await Promise.all([vote('Alice'), vote('Bob')]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+  });
+
+  it('should refuse changes when the session does not allow them', async () => {
+    session = await createSession({ allowVoteChanges: false });
+    await vote('Alice').expect(201);
+
+    await request(app)
+      .put(`/api/voting-sessions/${session._id}/vote`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ candidateId: candidateId('Bob'), candidateName: 'Bob' })
+      .expect(403);
+  });
+
+  it('should refuse changes once the session is closed', async () => {
+    await vote('Alice').expect(201);
+    await request(app)
+      .post(`/api/voting-sessions/${session._id}/close`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    await request(app)
+      .delete(`/api/voting-sessions/${session._id}/vote`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(400);
+  });
+
+  it('should report when there is no ballot to change', async () => {
+    await request(app)
+      .delete(`/api/voting-sessions/${session._id}/vote`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(404);
+  });
+
+  it('should not allow vote changes on secret-ballot sessions', async () => {
+    await request(app)
+      .post('/api/voting-sessions')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ title: 'Secret', candidates: [{ name: 'Alice' }], secretBallot: true, allowVoteChanges: true })
+      .expect(400);
+  });
+});
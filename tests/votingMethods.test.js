@@ -0,0 +1,138 @@
+require('./setup');
+
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+
+describe('Voting methods', () => {
+  let adminToken;
+  let voterTokens;
+  let voterIds;
+
+  const createSession = async (settings) => {
+    const response = await request(app)
+      .post('/api/voting-sessions')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        title: 'Board election',
+        candidates: [{ name: 'Alice' }, { name: 'Bob' }, { name: 'Carol' }],
+        assignedUsers: voterIds,
+        ...settings
+      })
+      .expect(201);
+    const session = response.body.votingSession;
+
+    await request(app)
+      .post(`/api/voting-sessions/${session._id}/open`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    return session;
+  };
+
+  const vote = (voter, session, ballot) => request(app)
+    .post('/api/voting-sessions/vote')
+    .set('Authorization', `Bearer ${voterTokens[voter]}`)
+    .send({ votingSessionId: session._id, ...ballot });
+
+  const results = async (session) => {
+    const response = await request(app)
+      .get(`/api/voting-sessions/${session._id}/results`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    return response.body;
+  };
+
+  const candidate = (session, name) => session.candidates.find(c => c.name === name);
+
+  beforeEach(async () => {
+    voterTokens = [];
+    voterIds = [];
+    for (const username of ['voter1', 'voter2']) {
+      const user = await User.create({ username, email: `${username}@example.com`, password: 'password123' });
+      voterIds.push(user._id.toString());
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ username, password: 'password123' });
+      voterTokens.push(login.body.token);
+    }
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'admin', password: 'admin123' });
+    adminToken = adminLogin.body.token;
+  });
+
+  describe('approval', () => {
+    const choice = (session, name) => ({ candidateId: candidate(session, name)._id, candidateName: name });
+
+    it('should accept up to maxChoices distinct selections', async () => {
+      const session = await createSession({ multipleChoice: true, maxChoices: 2 });
+
+      const tooMany = await vote(0, session, {
+        choices: [choice(session, 'Alice'), choice(session, 'Bob'), choice(session, 'Carol')]
+      }).expect(400);
+      expect(tooMany.body.message).toBe('You can select at most 2 candidates');
+
+      const repeated = await vote(0, session, { choices: [choice(session, 'Alice'), choice(session, 'Alice')] }).expect(400);
+      expect(repeated.body.message).toBe('Each candidate can only be selected once');
+
+      await vote(0, session, { choices: [] }).expect(400);
+    });
+
+    it('should count every selection and report approval rates', async () => {
+      const session = await createSession({ multipleChoice: true, maxChoices: 2 });
+
+      await vote(0, session, { choices: [choice(session, 'Alice'), choice(session, 'Bob')] }).expect(201);
+      // A single selection may use the plain single-choice shape
+      await vote(1, session, choice(session, 'Alice')).expect(201);
+
+      const body = await results(session);
+      expect(body.totalVotes).toBe(2);
+      expect(body.approval.maxChoices).toBe(2);
+      expect(body.approval.ballotsCast).toBe(2);
+      expect(body.approval.totalSelections).toBe(3);
+      expect(body.approval.results).toEqual(expect.arrayContaining([
+        { candidateName: 'Alice', approvals: 2, approvalRate: 1 },
+        { candidateName: 'Bob', approvals: 1, approvalRate: 0.5 }
+      ]));
+    });
+  });
+
+  describe('quadratic', () => {
+    const allocation = (session, name, amount) => ({ candidateId: candidate(session, name)._id, amount });
+
+    it('should refuse ballots that cost more than the credit budget', async () => {
+      const session = await createSession({ votingMethod: 'quadratic', creditBudget: 10 });
+
+      const overBudget = await vote(0, session, {
+        allocations: [allocation(session, 'Alice', 3), allocation(session, 'Bob', 1), allocation(session, 'Carol', 1)]
+      }).expect(400);
+      expect(overBudget.body.message).toBe('Ballot costs 11 credits but the budget is 10 (n votes cost n² credits)');
+
+      const empty = await vote(0, session, { allocations: [allocation(session, 'Alice', 0)] }).expect(400);
+      expect(empty.body.message).toBe('Cast at least one vote');
+
+      const fractional = await vote(0, session, { allocations: [allocation(session, 'Alice', 1.5)] }).expect(400);
+      expect(fractional.body.message).toBe('Allocation amounts must be whole numbers of zero or more');
+    });
+
+    it('should report votes and credits spent per candidate', async () => {
+      const session = await createSession({ votingMethod: 'quadratic', creditBudget: 10 });
+
+      await vote(0, session, { allocations: [allocation(session, 'Alice', 3), allocation(session, 'Bob', 1)] }).expect(201);
+      await vote(1, session, { allocations: [allocation(session, 'Bob', 2)] }).expect(201);
+
+      const { quadratic } = await results(session);
+      expect(quadratic.creditBudget).toBe(10);
+      expect(quadratic.totalBallots).toBe(2);
+      expect(quadratic.totalVotes).toBe(6);
+      expect(quadratic.totalCreditsSpent).toBe(14);
+      expect(quadratic.results.map(({ candidateName, votes, creditsSpent }) => ({ candidateName, votes, creditsSpent }))).toEqual([
+        { candidateName: 'Alice', votes: 3, creditsSpent: 9 },
+        { candidateName: 'Bob', votes: 3, creditsSpent: 5 },
+        { candidateName: 'Carol', votes: 0, creditsSpent: 0 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+require('./setup');
+
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+
+describe('Write-in moderation', () => {
+  let adminToken;
+  let session;
+  const voterTokens = [];
+
+  const admin = () => ({ Authorization: `Bearer ${adminToken}` });
+
+  const writeIn = (voter, candidateName) => request(app)
+    .post('/api/voting-sessions/vote')
+    .set('Authorization', `Bearer ${voterTokens[voter]}`)
+    .send({ votingSessionId: session._id, candidateName, isCustomCandidate: true });
+
+  const queue = async () => {
+    const response = await request(app)
+      .get(`/api/voting-sessions/${session._id}/write-ins`)
+      .set(admin())
+      .expect(200);
+    return response.body.writeIns;
+  };
+
+  const results = async () => {
+    const response = await request(app)
+      .get(`/api/voting-sessions/${session._id}/results`)
+      .set(admin())
+      .expect(200);
+    return response.body;
+  };
+
+  const countFor = (tally, name) => {
+    const row = tally.results.find(result => result.candidateName === name);
+    return row ? row.voteCount : 0;
+  };
+
+  beforeEach(async () => {
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'admin', password: 'admin123' });
+    adminToken = adminLogin.body.token;
+
+    const userIds = [];
+    voterTokens.length = 0;
+    for (let i = 0; i < 5; i++) {
+      const user = await User.create({
+        username: `voter${i}`,
+        email: `voter${i}@example.com`,
+        password: 'password123'
+      });
+      userIds.push(user._id.toString());
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ username: `voter${i}`, password: 'password123' });
+      voterTokens.push(login.body.token);
+    }
+
+    const created = await request(app)
+      .post('/api/voting-sessions')
+      .set(admin())
+      .send({
+        title: 'Board election',
+        candidates: [{ name: 'Alice Smith' }],
+        assignedUsers: userIds,
+        allowNewCandidates: true
+      });
+    session = created.body.votingSession;
+    await request(app).post(`/api/voting-sessions/${session._id}/open`).set(admin()).expect(200);
+  });
+
+  it('should count a write-in spelling a listed candidate differently as that candidate', async () => {
+    const response = await writeIn(0, ' alice  SMITH ').expect(201);
+
+    expect(response.body.vote.isCustomCandidate).toBe(false);
+    expect(response.body.vote.candidateName).toBe('Alice Smith');
+  });
+
+  it('should group spellings and suggest the closest candidate', async () => {
+    await writeIn(0, 'Bob Jones').expect(201);
+    await writeIn(1, 'bob jones ').expect(201);
+    await writeIn(2, 'Alice S.').expect(201);
+
+    const writeIns = await queue();
+    expect(writeIns).toHaveLength(2);
+
+    const bob = writeIns.find(entry => entry.key === 'bob jones');
+    expect(bob.voteCount).toBe(2);
+    expect(bob.status).toBe('pending');
+
+    const alice = writeIns.find(entry => entry.key === 'alice s');
+    expect(alice.suggestion).toEqual(expect.objectContaining({ name: 'Alice Smith' }));
+
+    expect(countFor(await results(), 'Bob Jones')).toBe(2);
+  });
+
+  it('should count merged write-ins for their candidate and drop rejected ones', async () => {
+    await writeIn(0, 'Alice S.').expect(201);
+    await writeIn(1, 'Alice Smith').expect(201);
+    await writeIn(2, 'Rude word').expect(201);
+
+    const writeIns = await queue();
+    const alice = writeIns.find(entry => entry.key === 'alice s');
+    const rude = writeIns.find(entry => entry.key === 'rude word');
+
+    await request(app)
+      .post(`/api/voting-sessions/${session._id}/write-ins/${alice._id}/merge`)
+      .set(admin())
+      .send({ candidateId: session.candidates[0]._id })
+      .expect(200);
+    await request(app)
+      .post(`/api/voting-sessions/${session._id}/write-ins/${rude._id}/reject`)
+      .set(admin())
+      .send({ reason: 'Abusive' })
+      .expect(200);
+
+    const tally = await results();
+    expect(countFor(tally, 'Alice Smith')).toBe(2);
+    expect(countFor(tally, 'Alice S.')).toBe(0);
+    expect(countFor(tally, 'Rude word')).toBe(0);
+    expect(tally.rejectedWriteInCount).toBe(1);
+    expect(tally.totalVotes).toBe(3);
+  });
+
+  it('should promote a write-in to a candidate that voters can pick', async () => {
+    await writeIn(0, 'Carol King').expect(201);
+    const [carol] = await queue();
+
+    const promoted = await request(app)
+      .post(`/api/voting-sessions/${session._id}/write-ins/${carol._id}/promote`)
+      .set(admin())
+      .expect(200);
+    const candidateId = promoted.body.addedCandidate._id;
+
+    await request(app)
+      .post('/api/voting-sessions/vote')
+      .set('Authorization', `Bearer ${voterTokens[1]}`)
+      .send({ votingSessionId: session._id, candidateId, candidateName: 'Carol King' })
+      .expect(201);
+
+    const tally = await results();
+    expect(tally.results).toContainEqual({ candidateName: 'Carol King', voteCount: 2, customCandidateCount: 1 });
+
+    await request(app)
+      .post(`/api/voting-sessions/${session._id}/write-ins/${carol._id}/reject`)
+      .set(admin())
+      .expect(400);
+  });
+
+  it('should not merge write-ins into each other in a loop', async () => {
+    await writeIn(0, 'Dan').expect(201);
+    await writeIn(1, 'Danny').expect(201);
+    const writeIns = await queue();
+    const dan = writeIns.find(entry => entry.key === 'dan');
+    const danny = writeIns.find(entry => entry.key === 'danny');
+
+    await request(app)
+      .post(`/api/voting-sessions/${session._id}/write-ins/${danny._id}/merge`)
+      .set(admin())
+      .send({ writeInId: dan._id })
+      .expect(200);
+
+    expect(countFor(await results(), 'Dan')).toBe(2);
+  });
+
+  it('should only be available to admins', async () => {
+    await request(app)
+      .get(`/api/voting-sessions/${session._id}/write-ins`)
+      .set('Authorization', `Bearer ${voterTokens[0]}`)
+      .expect(403);
+  });
+});
@@ -0,0 +1,68 @@
+const {
+  cleanName,
+  normalizeName,
+  nameSimilarity,
+  findClosestName,
+  resolveWriteInTally
+} = require('../utils/writeIns');
+
+describe('write-in names', () => {
+  it('should tidy spacing for display', () => {
+    expect(cleanName('  Alice   Smith ')).toBe('Alice Smith');
+  });
+
+  it('should give spellings that differ in case, spacing, accents or punctuation the same key', () => {
+    const key = normalizeName('José Núñez');
+    expect(normalizeName(' jose  nunez ')).toBe(key);
+    expect(normalizeName('JOSE-NUNEZ')).toBe(key);
+    expect(normalizeName('José Núñez.')).toBe(key);
+  });
+
+  it('should rate abbreviations and near spellings as alike', () => {
+    expect(nameSimilarity('Alice', 'alice ')).toBe(1);
+    expect(nameSimilarity('Alice', 'Alice S.')).toBeGreaterThanOrEqual(0.8);
+    expect(nameSimilarity('Alice Smith', 'A. Smith')).toBeGreaterThanOrEqual(0.8);
+    expect(nameSimilarity('Jon Smith', 'John Smith')).toBeGreaterThanOrEqual(0.8);
+  });
+
+  it('should rate different names as unlike', () => {
+    expect(nameSimilarity('Ann', 'Dan')).toBeLessThan(0.8);
+    expect(nameSimilarity('Alice', 'Bob')).toBeLessThan(0.8);
+    expect(nameSimilarity('', 'Bob')).toBe(0);
+  });
+
+  it('should suggest the closest option above the threshold', () => {
+    const options = [{ name: 'Alice Smith' }, { name: 'Alicia Keys' }, { name: 'Bob' }];
+    expect(findClosestName('alice s.', options).option.name).toBe('Alice Smith');
+    expect(findClosestName('Carol', options)).toBeNull();
+  });
+});
+
+describe('resolveWriteInTally', () => {
+  const rows = [
+    { candidateName: 'Alice', isCustomCandidate: false, voteCount: 3 },
+    { candidateName: 'alice', isCustomCandidate: true, voteCount: 1 },
+    { candidateName: 'Zed', isCustomCandidate: true, voteCount: 2 },
+    { candidateName: 'zed ', isCustomCandidate: true, voteCount: 1 },
+    { candidateName: 'Zed Q.', isCustomCandidate: true, voteCount: 1 },
+    { candidateName: 'Spam', isCustomCandidate: true, voteCount: 4 }
+  ];
+
+  it('should count unmoderated spellings of one key under the most used spelling', () => {
+    const { results } = resolveWriteInTally(rows);
+    expect(results).toContainEqual({ candidateName: 'Zed', voteCount: 3, customCandidateCount: 3 });
+    expect(results).toContainEqual({ candidateName: 'Zed Q.', voteCount: 1, customCandidateCount: 1 });
+  });
+
+  it('should follow merges and leave rejected write-ins out', () => {
+    const resolutions = new Map([['alice', 'Alice'], ['zed q', 'Zed'], ['spam', null]]);
+
+    expect(resolveWriteInTally(rows, resolutions)).toEqual({
+      results: [
+        { candidateName: 'Alice', voteCount: 4, customCandidateCount: 1 },
+        { candidateName: 'Zed', voteCount: 4, customCandidateCount: 4 }
+      ],
+      rejectedWriteInCount: 4
+    });
+  });
+});
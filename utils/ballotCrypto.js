@@ -0,0 +1,69 @@
+// Hybrid public-key encryption for ballots: an ephemeral X25519 key agreement
+// with the session key, HKDF-SHA256, then AES-256-GCM over the canonical ballot
+const crypto = require('crypto');
+const { canonicalize } = require('./hashChain');
+
+const HKDF_INFO = Buffer.from('vote-app ballot encryption');
+
+const deriveKey = (sharedSecret, ephemeralPublicKey) =>
+  Buffer.from(crypto.hkdfSync('sha256', sharedSecret, Buffer.from(ephemeralPublicKey, 'base64url'), HKDF_INFO, 32));
+
+const publicKeyObject = (publicKey) =>
+  crypto.createPublicKey({ key: { kty: 'OKP', crv: 'X25519', x: publicKey }, format: 'jwk' });
+
+const privateKeyObject = (privateKey, publicKey) =>
+  crypto.createPrivateKey({ key: { kty: 'OKP', crv: 'X25519', d: privateKey.toString('base64url'), x: publicKey }, format: 'jwk' });
+
+// A fresh session key pair: the public half as base64url, the private half as 32 raw bytes
+const generateKeyPair = () => {
+  const { privateKey } = crypto.generateKeyPairSync('x25519');
+  const jwk = privateKey.export({ format: 'jwk' });
+  return { publicKey: jwk.x, privateKey: Buffer.from(jwk.d, 'base64url') };
+};
+
+// True when the private key really is the other half of the public key
+const keyPairMatches = (privateKey, publicKey) => {
+  try {
+    const derived = crypto.createPublicKey(privateKeyObject(privateKey, publicKey)).export({ format: 'jwk' });
+    return derived.x === publicKey;
+  } catch (error) {
+    return false;
+  }
+};
+
+const encryptBallot = (publicKey, content) => {
+  const ephemeral = crypto.generateKeyPairSync('x25519');
+  const ephemeralPublicKey = ephemeral.publicKey.export({ format: 'jwk' }).x;
+  const sharedSecret = crypto.diffieHellman({ privateKey: ephemeral.privateKey, publicKey: publicKeyObject(publicKey) });
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(sharedSecret, ephemeralPublicKey), iv);
+  const ciphertext = Buffer.concat([cipher.update(canonicalize(content), 'utf8'), cipher.final()]);
+
+  return {
+    ephemeralPublicKey,
+    iv: iv.toString('base64'),
+    ciphertext: ciphertext.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64')
+  };
+};
+
+const decryptBallot = (privateKey, publicKey, encrypted) => {
+  const sharedSecret = crypto.diffieHellman({
+    privateKey: privateKeyObject(privateKey, publicKey),
+    publicKey: publicKeyObject(encrypted.ephemeralPublicKey)
+  });
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(sharedSecret, encrypted.ephemeralPublicKey), Buffer.from(encrypted.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(encrypted.ciphertext, 'base64')), decipher.final()]);
+
+  return JSON.parse(plaintext.toString('utf8'));
+};
+
+module.exports = {
+  generateKeyPair,
+  keyPairMatches,
+  encryptBallot,
+  decryptBallot
+};
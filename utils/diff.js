@@ -0,0 +1,36 @@
+const { canonicalize } = require('./hashChain');
+
+// Fields never worth recording in a change set, or too secret to
+const IGNORED_FIELDS = ['password', 'twoFactor', 'updatedAt', '__v'];
+
+const toPlain = (value) => {
+  if (value === null || value === undefined) return null;
+  const plain = JSON.parse(JSON.stringify(typeof value.toObject === 'function' ? value.toObject() : value));
+  IGNORED_FIELDS.forEach(field => delete plain[field]);
+  return plain;
+};
+
+// Reduce two snapshots of a document to the top-level fields that differ.
+// A missing snapshot (creation or deletion) keeps the other one whole
+const diffChanges = (before, after) => {
+  const plainBefore = toPlain(before);
+  const plainAfter = toPlain(after);
+  if (!plainBefore || !plainAfter) {
+    return { before: plainBefore, after: plainAfter };
+  }
+
+  const changed = { before: {}, after: {} };
+  const fields = new Set([...Object.keys(plainBefore), ...Object.keys(plainAfter)]);
+  fields.forEach(field => {
+    if (canonicalize(plainBefore[field]) !== canonicalize(plainAfter[field])) {
+      changed.before[field] = plainBefore[field] === undefined ? null : plainBefore[field];
+      changed.after[field] = plainAfter[field] === undefined ? null : plainAfter[field];
+    }
+  });
+
+  return changed;
+};
+
+module.exports = {
+  diffChanges
+};
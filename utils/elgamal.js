@@ -0,0 +1,249 @@
+// Exponential ElGamal over the 2048-bit MODP group of RFC 3526 (p = 2q + 1, g = 2
+// generating the subgroup of order q). A message m is encrypted as (g^r, g^m * h^r),
+// so multiplying ciphertexts adds their messages and only a sum ever needs decrypting.
+// Zero-knowledge proofs (Chaum-Pedersen, made non-interactive with Fiat-Shamir) show
+// that a ciphertext holds one of a set of allowed values and that a decryption is correct.
+// Values cross this module's boundary as hex strings
+const crypto = require('crypto');
+
+const P = BigInt('0x' +
+  'FFFFFFFFFFFFFFFFC90FDAA22168C234C4C6628B80DC1CD129024E088A67CC74' +
+  '020BBEA63B139B22514A08798E3404DDEF9519B3CD3A431B302B0A6DF25F1437' +
+  '4FE1356D6D51C245E485B576625E7EC6F44C42E9A637ED6B0BFF5CB6F406B7ED' +
+  'EE386BFB5A899FA5AE9F24117C4B1FE649286651ECE45B3DC2007CB8A163BF05' +
+  '98DA48361C55D39A69163FA8FD24CF5F83655D23DCA3AD961C62F356208552BB' +
+  '9ED529077096966D670C354E4ABC9804F1746C08CA18217C32905E462E36CE3B' +
+  'E39E772C180E86039B2783A2EC07A28FB5C55DF06F4C52C9DE2BCBF695581718' +
+  '3995497CEA956AE515D2261898FA051015728E5A8AACAA68FFFFFFFFFFFFFFFF');
+const Q = (P - 1n) / 2n;
+const G = 2n;
+
+const GROUP = { name: 'RFC 3526 MODP-2048', p: P.toString(16), q: Q.toString(16), g: G.toString(16) };
+
+const toHex = (value) => value.toString(16);
+const fromHex = (value) => BigInt(`0x${value}`);
+
+const modPow = (base, exponent, modulus) => {
+  let result = 1n;
+  base %= modulus;
+  while (exponent > 0n) {
+    if (exponent & 1n) result = (result * base) % modulus;
+    exponent >>= 1n;
+    base = (base * base) % modulus;
+  }
+  return result;
+};
+
+const mod = (value, modulus) => ((value % modulus) + modulus) % modulus;
+
+// Group elements have order q, so x^-e = x^(q - e)
+const invPow = (base, exponent) => modPow(base, mod(-exponent, Q), P);
+
+// Uniform exponent in [1, q - 1]; the extra bytes make the modulo bias negligible
+const randomExponent = () => {
+  const bytes = crypto.randomBytes(Math.ceil(Q.toString(2).length / 8) + 16);
+  return mod(fromHex(bytes.toString('hex')), Q - 1n) + 1n;
+};
+
+// Fiat-Shamir challenge over every value the proof commits to
+const challenge = (...values) => mod(fromHex(crypto
+  .createHash('sha256')
+  .update(values.map(value => value.toString(16)).join('|'))
+  .digest('hex')), Q);
+
+const isGroupElement = (value) => value > 1n && value < P && modPow(value, Q, P) === 1n;
+
+const generateKeyPair = () => {
+  const privateKey = randomExponent();
+  return { publicKey: toHex(modPow(G, privateKey, P)), privateKey: toHex(privateKey) };
+};
+
+// Whether privateKey is the key behind publicKey, e.g. after rebuilding it from shares
+const keyPairMatches = (privateKey, publicKey) => {
+  try {
+    const x = fromHex(privateKey);
+    return x > 0n && x < Q && modPow(G, x, P) === fromHex(publicKey);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Encrypt a small integer; the randomness is returned so the caller can prove things about it
+const encrypt = (publicKey, message, randomness = randomExponent()) => {
+  const h = fromHex(publicKey);
+  return {
+    a: toHex(modPow(G, randomness, P)),
+    b: toHex((modPow(G, BigInt(message), P) * modPow(h, randomness, P)) % P),
+    randomness: toHex(randomness)
+  };
+};
+
+// Multiply ciphertexts, which adds the messages (and the randomness, when known)
+const combine = (ciphertexts) => {
+  let a = 1n;
+  let b = 1n;
+  let randomness = 0n;
+  ciphertexts.forEach(ciphertext => {
+    a = (a * fromHex(ciphertext.a)) % P;
+    b = (b * fromHex(ciphertext.b)) % P;
+    if (ciphertext.randomness !== undefined) {
+      randomness = mod(randomness + fromHex(ciphertext.randomness), Q);
+    }
+  });
+  const product = { a: toHex(a), b: toHex(b) };
+  if (ciphertexts.every(ciphertext => ciphertext.randomness !== undefined)) {
+    product.randomness = toHex(randomness);
+  }
+  return product;
+};
+
+// Disjunctive proof that the ciphertext encrypts one of allowedValues, without revealing which.
+// Every branch but the true one is simulated with a chosen challenge and response
+const proveMembership = (publicKey, ciphertext, message, allowedValues) => {
+  const h = fromHex(publicKey);
+  const a = fromHex(ciphertext.a);
+  const b = fromHex(ciphertext.b);
+  const r = fromHex(ciphertext.randomness);
+  const real = allowedValues.indexOf(message);
+  if (real === -1) {
+    throw new Error('Message is not one of the allowed values');
+  }
+
+  const challenges = [];
+  const responses = [];
+  const commitments = [];
+  const w = randomExponent();
+
+  allowedValues.forEach((value, index) => {
+    if (index === real) {
+      commitments.push([modPow(G, w, P), modPow(h, w, P)]);
+      challenges.push(0n);
+      responses.push(0n);
+      return;
+    }
+    const c = randomExponent();
+    const z = randomExponent();
+    const bOverGm = (b * invPow(G, BigInt(value))) % P;
+    commitments.push([
+      (modPow(G, z, P) * invPow(a, c)) % P,
+      (modPow(h, z, P) * invPow(bOverGm, c)) % P
+    ]);
+    challenges.push(c);
+    responses.push(z);
+  });
+
+  const total = challenge(h, a, b, ...allowedValues.map(BigInt), ...commitments.flat());
+  challenges[real] = mod(total - challenges.reduce((sum, c) => sum + c, 0n), Q);
+  responses[real] = mod(w + challenges[real] * r, Q);
+
+  return { challenges: challenges.map(toHex), responses: responses.map(toHex) };
+};
+
+const verifyMembership = (publicKey, ciphertext, allowedValues, proof) => {
+  try {
+    const h = fromHex(publicKey);
+    const a = fromHex(ciphertext.a);
+    const b = fromHex(ciphertext.b);
+    if (!isGroupElement(a) || !isGroupElement(b) ||
+        proof.challenges.length !== allowedValues.length || proof.responses.length !== allowedValues.length) {
+      return false;
+    }
+
+    const challenges = proof.challenges.map(fromHex);
+    const commitments = allowedValues.map((value, index) => {
+      const z = fromHex(proof.responses[index]);
+      const bOverGm = (b * invPow(G, BigInt(value))) % P;
+      return [
+        (modPow(G, z, P) * invPow(a, challenges[index])) % P,
+        (modPow(h, z, P) * invPow(bOverGm, challenges[index])) % P
+      ];
+    });
+
+    const total = challenge(h, a, b, ...allowedValues.map(BigInt), ...commitments.flat());
+    return mod(challenges.reduce((sum, c) => sum + c, 0n), Q) === total;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Encrypt a 0/1 selection per candidate, prove each entry is 0 or 1, and prove the
+// number of selections is one of allowedTotals
+const encryptVector = (publicKey, selections, allowedTotals) => {
+  const entries = selections.map(selected => {
+    const ciphertext = encrypt(publicKey, selected ? 1 : 0);
+    return { ciphertext, proof: proveMembership(publicKey, ciphertext, selected ? 1 : 0, [0, 1]) };
+  });
+
+  const sum = combine(entries.map(entry => entry.ciphertext));
+  const selectedCount = selections.filter(Boolean).length;
+
+  return {
+    entries: entries.map(({ ciphertext, proof }) => ({ a: ciphertext.a, b: ciphertext.b, proof })),
+    sumProof: proveMembership(publicKey, sum, selectedCount, allowedTotals)
+  };
+};
+
+const verifyVector = (publicKey, vector, allowedTotals) =>
+  vector.entries.every(entry => verifyMembership(publicKey, entry, [0, 1], entry.proof)) &&
+  verifyMembership(publicKey, combine(vector.entries), allowedTotals, vector.sumProof);
+
+// Decrypt a (typically aggregated) ciphertext whose message is known to lie in [0, maxValue].
+// Publishes the decryption share a^x and a Chaum-Pedersen proof that it used the key behind h
+const decrypt = (privateKey, publicKey, ciphertext, maxValue) => {
+  const x = fromHex(privateKey);
+  const h = fromHex(publicKey);
+  const a = fromHex(ciphertext.a);
+  const b = fromHex(ciphertext.b);
+
+  const share = modPow(a, x, P);
+  const w = randomExponent();
+  const c = challenge(G, h, a, share, modPow(G, w, P), modPow(a, w, P));
+  const z = mod(w + c * x, Q);
+
+  const gm = (b * invPow(share, 1n)) % P;
+  let candidate = 1n;
+  for (let message = 0; message <= maxValue; message++) {
+    if (candidate === gm) {
+      return { message, decryptionShare: toHex(share), proof: { challenge: toHex(c), response: toHex(z) } };
+    }
+    candidate = (candidate * G) % P;
+  }
+
+  throw new Error('Decrypted value is outside the expected range');
+};
+
+// Anyone can check a published decryption against the ciphertext and the public key
+const verifyDecryption = (publicKey, ciphertext, { message, decryptionShare, proof }) => {
+  try {
+    const h = fromHex(publicKey);
+    const a = fromHex(ciphertext.a);
+    const b = fromHex(ciphertext.b);
+    const share = fromHex(decryptionShare);
+    const c = fromHex(proof.challenge);
+    const z = fromHex(proof.response);
+
+    const t1 = (modPow(G, z, P) * invPow(h, c)) % P;
+    const t2 = (modPow(a, z, P) * invPow(share, c)) % P;
+    if (challenge(G, h, a, share, t1, t2) !== c) {
+      return false;
+    }
+
+    return (modPow(G, BigInt(message), P) * share) % P === b;
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  GROUP,
+  generateKeyPair,
+  keyPairMatches,
+  encrypt,
+  combine,
+  proveMembership,
+  verifyMembership,
+  encryptVector,
+  verifyVector,
+  decrypt,
+  verifyDecryption
+};
@@ -0,0 +1,56 @@
+// Append-only SHA-256 hash chains. Each entry's hash covers the previous
+// entry's hash and a canonical JSON encoding of its payload, so changing,
+// removing or reordering any entry breaks every hash after it.
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// JSON with object keys sorted at every level so the same payload always hashes the same
+const canonicalize = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (typeof value.toHexString === 'function') return JSON.stringify(value.toHexString());
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const hashEntry = (previousHash, payload) => crypto
+  .createHash('sha256')
+  .update(`${previousHash}\n${canonicalize(payload)}`)
+  .digest('hex');
+
+// Check a chain given as [{ sequence, previousHash, hash, payload }] in order.
+// Reports the first entry that is out of sequence, unlinked or altered
+const verifyChain = (entries) => {
+  let previousHash = GENESIS_HASH;
+
+  for (let index = 0; index < entries.length; index++) {
+    const entry = entries[index];
+    const failure = (reason) => ({ valid: false, length: entries.length, brokenAt: index, sequence: entry.sequence, reason });
+
+    if (entry.sequence !== undefined && entry.sequence !== index + 1) {
+      return failure(`Expected sequence ${index + 1} but found ${entry.sequence}`);
+    }
+    if (entry.previousHash !== previousHash) {
+      return failure('Entry does not link to the previous hash');
+    }
+    if (hashEntry(entry.previousHash, entry.payload) !== entry.hash) {
+      return failure('Entry content does not match its hash');
+    }
+
+    previousHash = entry.hash;
+  }
+
+  return { valid: true, length: entries.length, headHash: previousHash };
+};
+
+module.exports = {
+  GENESIS_HASH,
+  canonicalize,
+  hashEntry,
+  verifyChain
+};
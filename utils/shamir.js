@@ -0,0 +1,91 @@
+// Shamir secret sharing over GF(256), one polynomial per secret byte.
+// Any `threshold` of the shares rebuild the secret; fewer reveal nothing about it
+const crypto = require('crypto');
+
+// Log/antilog tables for GF(256) with the AES polynomial x^8 + x^4 + x^3 + x + 1
+const EXP = new Array(510);
+const LOG = new Array(256);
+for (let i = 0, value = 1; i < 255; i++) {
+  EXP[i] = value;
+  LOG[value] = i;
+  value ^= (value << 1) ^ (value & 0x80 ? 0x11b : 0); // multiply by the generator 3
+}
+for (let i = 255; i < 510; i++) {
+  EXP[i] = EXP[i - 255];
+}
+
+const multiply = (a, b) => (a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]]);
+const divide = (a, b) => (a === 0 ? 0 : EXP[LOG[a] + 255 - LOG[b]]);
+
+// Split a Buffer into `count` shares ({ x, y }), x running from 1 to count
+const split = (secret, count, threshold) => {
+  if (!Number.isInteger(count) || count < 1 || count > 255) {
+    throw new Error('Share count must be between 1 and 255');
+  }
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > count) {
+    throw new Error('Threshold must be between 1 and the share count');
+  }
+
+  const shares = Array.from({ length: count }, (_, index) => ({ x: index + 1, y: Buffer.alloc(secret.length) }));
+
+  for (let byte = 0; byte < secret.length; byte++) {
+    const coefficients = [secret[byte], ...crypto.randomBytes(threshold - 1)];
+    shares.forEach(share => {
+      // Horner's rule, highest coefficient first
+      let value = 0;
+      for (let power = threshold - 1; power >= 0; power--) {
+        value = multiply(value, share.x) ^ coefficients[power];
+      }
+      share.y[byte] = value;
+    });
+  }
+
+  return shares;
+};
+
+// Rebuild the secret by Lagrange interpolation at x = 0
+const combine = (shares) => {
+  const xs = shares.map(share => share.x);
+  if (new Set(xs).size !== xs.length) {
+    throw new Error('Shares must be distinct');
+  }
+
+  const length = shares[0].y.length;
+  if (shares.some(share => share.y.length !== length)) {
+    throw new Error('Shares must all be the same length');
+  }
+
+  const secret = Buffer.alloc(length);
+  shares.forEach((share, i) => {
+    let basis = 1;
+    shares.forEach((other, j) => {
+      if (i !== j) {
+        basis = multiply(basis, divide(other.x, other.x ^ share.x));
+      }
+    });
+    for (let byte = 0; byte < length; byte++) {
+      secret[byte] ^= multiply(share.y[byte], basis);
+    }
+  });
+
+  return secret;
+};
+
+// Shares travel as "<x in hex>-<y in hex>"
+const encodeShare = (share) => `${share.x.toString(16).padStart(2, '0')}-${share.y.toString('hex')}`;
+
+const decodeShare = (encoded) => {
+  const match = /^([0-9a-f]{2})-((?:[0-9a-f]{2})+)$/i.exec(String(encoded).trim());
+  const x = match ? parseInt(match[1], 16) : 0;
+  if (!match || x === 0) {
+    throw new Error('Malformed share');
+  }
+  return { x, y: Buffer.from(match[2], 'hex') };
+};
+
+module.exports = {
+  split,
+  combine,
+  encodeShare,
+  decodeShare
+};
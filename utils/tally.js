@@ -0,0 +1,593 @@
+// Tally engines for the non-plurality voting methods.
+// Every engine works on plain data so it can be tested without a database:
+// candidates are [{ id, name }] and ranked ballots are arrays of candidate id strings.
+
+const candidateRef = (candidate) => ({
+  candidateId: candidate.id,
+  candidateName: candidate.name
+});
+
+// Drop ids that are not (or no longer) candidates and repeated preferences
+const cleanRanking = (ranking, candidateIds) => {
+  const seen = new Set();
+  return ranking.filter(id => {
+    if (!candidateIds.has(id) || seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+};
+
+// Highest-ranked candidate on the ballot that is still in the count
+const topContinuing = (ranking, continuing) => ranking.find(id => continuing.has(id));
+
+// Instant-runoff voting: repeatedly eliminate the weakest candidate and
+// transfer those ballots to their next continuing preference until someone
+// holds a majority of the ballots still in play
+const instantRunoff = (ballots, candidates) => {
+  const byId = new Map(candidates.map(c => [c.id, c]));
+  const candidateIds = new Set(byId.keys());
+  const rankings = ballots
+    .map(ranking => cleanRanking(ranking, candidateIds))
+    .filter(ranking => ranking.length > 0);
+
+  const continuing = new Set(candidateIds);
+  const rounds = [];
+  let winner = null;
+  let tied = [];
+
+  while (rankings.length > 0 && continuing.size > 0) {
+    const counts = new Map([...continuing].map(id => [id, 0]));
+    // Ballots grouped by the candidate they currently count for, used to report transfers
+    const piles = new Map([...continuing].map(id => [id, []]));
+    let exhausted = 0;
+
+    rankings.forEach(ranking => {
+      const choice = topContinuing(ranking, continuing);
+      if (choice === undefined) {
+        exhausted += 1;
+        return;
+      }
+      counts.set(choice, counts.get(choice) + 1);
+      piles.get(choice).push(ranking);
+    });
+
+    // Exhausted ballots no longer count towards the majority
+    const activeBallots = rankings.length - exhausted;
+    const majorityThreshold = Math.floor(activeBallots / 2) + 1;
+
+    const round = {
+      round: rounds.length + 1,
+      tallies: [...counts.entries()]
+        .map(([id, votes]) => ({ ...candidateRef(byId.get(id)), votes }))
+        .sort((a, b) => b.votes - a.votes),
+      activeBallots,
+      exhaustedBallots: exhausted,
+      majorityThreshold,
+      eliminated: [],
+      transfers: []
+    };
+    rounds.push(round);
+
+    const leader = round.tallies[0];
+    if (leader && leader.votes >= majorityThreshold) {
+      winner = { candidateId: leader.candidateId, candidateName: leader.candidateName };
+      break;
+    }
+
+    if (continuing.size === 1 || activeBallots === 0) {
+      // Nobody can reach a majority any more; everyone left shares the result
+      tied = round.tallies.map(t => ({ candidateId: t.candidateId, candidateName: t.candidateName }));
+      break;
+    }
+
+    // Find the weakest candidates, breaking ties by looking back at earlier rounds
+    const lowest = Math.min(...counts.values());
+    let toEliminate = [...continuing].filter(id => counts.get(id) === lowest);
+    if (toEliminate.length > 1) {
+      round.tieBreak = { tiedCandidates: toEliminate.map(id => candidateRef(byId.get(id))) };
+      for (let i = rounds.length - 2; i >= 0 && toEliminate.length > 1; i--) {
+        const earlier = new Map(rounds[i].tallies.map(t => [t.candidateId, t.votes]));
+        const earlierLowest = Math.min(...toEliminate.map(id => earlier.get(id)));
+        toEliminate = toEliminate.filter(id => earlier.get(id) === earlierLowest);
+      }
+      round.tieBreak.resolvedBy = toEliminate.length === 1 ? 'previous rounds' : 'simultaneous elimination';
+    }
+
+    if (toEliminate.length === continuing.size) {
+      tied = round.tallies.map(t => ({ candidateId: t.candidateId, candidateName: t.candidateName }));
+      break;
+    }
+
+    toEliminate.forEach(id => continuing.delete(id));
+
+    round.eliminated = toEliminate.map(id => candidateRef(byId.get(id)));
+    round.transfers = toEliminate.map(id => {
+      const moved = new Map();
+      let exhaustedTransfers = 0;
+      piles.get(id).forEach(ranking => {
+        const next = topContinuing(ranking, continuing);
+        if (next === undefined) {
+          exhaustedTransfers += 1;
+        } else {
+          moved.set(next, (moved.get(next) || 0) + 1);
+        }
+      });
+      return {
+        from: candidateRef(byId.get(id)),
+        to: [...moved.entries()]
+          .map(([toId, votes]) => ({ ...candidateRef(byId.get(toId)), votes }))
+          .sort((a, b) => b.votes - a.votes),
+        exhausted: exhaustedTransfers
+      };
+    });
+  }
+
+  const lastRound = rounds[rounds.length - 1];
+
+  return {
+    winner,
+    tied,
+    totalBallots: rankings.length,
+    exhaustedBallots: lastRound ? lastRound.exhaustedBallots : 0,
+    rounds
+  };
+};
+
+// Tolerance for comparing fractional STV vote totals
+const EPSILON = 1e-9;
+
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+// Single transferable vote for multi-seat elections using the Droop quota.
+// Surpluses are transferred with the Gregory method: every ballot held by an
+// elected candidate moves on at a fraction of its weight (surplus / total)
+const singleTransferableVote = (ballots, candidates, seats) => {
+  const byId = new Map(candidates.map(c => [c.id, c]));
+  const candidateIds = new Set(byId.keys());
+  const papers = ballots
+    .map(ranking => cleanRanking(ranking, candidateIds))
+    .filter(ranking => ranking.length > 0)
+    .map(ranking => ({ ranking, weight: 1, holder: null }));
+
+  const totalBallots = papers.length;
+  const quota = Math.floor(totalBallots / (seats + 1)) + 1;
+  const hopeful = new Set(candidateIds);
+  const electedTotals = new Map();
+  const elected = [];
+  const rounds = [];
+  let exhausted = 0;
+
+  papers.forEach(paper => {
+    paper.holder = topContinuing(paper.ranking, hopeful);
+  });
+
+  // Move every ballot held by a candidate on to its next hopeful preference
+  const transferFrom = (fromId, type, transferValue = 1) => {
+    const moved = new Map();
+    let exhaustedWeight = 0;
+
+    papers.filter(paper => paper.holder === fromId).forEach(paper => {
+      paper.weight *= transferValue;
+      const next = topContinuing(paper.ranking, hopeful);
+      if (next === undefined) {
+        paper.holder = null;
+        exhaustedWeight += paper.weight;
+      } else {
+        paper.holder = next;
+        moved.set(next, (moved.get(next) || 0) + paper.weight);
+      }
+    });
+
+    exhausted += exhaustedWeight;
+
+    return {
+      from: candidateRef(byId.get(fromId)),
+      type,
+      transferValue: round4(transferValue),
+      to: [...moved.entries()]
+        .map(([toId, votes]) => ({ ...candidateRef(byId.get(toId)), votes: round4(votes) }))
+        .sort((a, b) => b.votes - a.votes),
+      exhausted: round4(exhaustedWeight)
+    };
+  };
+
+  while (totalBallots > 0 && elected.length < seats && hopeful.size > 0) {
+    const counts = new Map([...hopeful].map(id => [id, 0]));
+    papers.forEach(paper => {
+      if (hopeful.has(paper.holder)) {
+        counts.set(paper.holder, counts.get(paper.holder) + paper.weight);
+      }
+    });
+
+    const round = {
+      round: rounds.length + 1,
+      tallies: [
+        ...[...electedTotals.entries()].map(([id, votes]) => ({ ...candidateRef(byId.get(id)), votes: round4(votes), status: 'elected' })),
+        ...[...counts.entries()].map(([id, votes]) => ({ ...candidateRef(byId.get(id)), votes: round4(votes), status: 'hopeful' }))
+      ].sort((a, b) => b.votes - a.votes),
+      exhausted: round4(exhausted),
+      elected: [],
+      eliminated: [],
+      transfers: []
+    };
+    rounds.push(round);
+
+    const remainingSeats = seats - elected.length;
+    const byVotes = [...hopeful].sort((a, b) => counts.get(b) - counts.get(a));
+    let winners = byVotes.filter(id => counts.get(id) >= quota - EPSILON);
+
+    // Once the hopefuls can only just fill the remaining seats they are all elected
+    if (winners.length === 0 && hopeful.size <= remainingSeats) {
+      winners = byVotes;
+    }
+
+    if (winners.length > 0) {
+      winners.slice(0, remainingSeats).forEach(id => {
+        hopeful.delete(id);
+        electedTotals.set(id, counts.get(id));
+        elected.push({ ...candidateRef(byId.get(id)), round: round.round, votes: round4(counts.get(id)) });
+        round.elected.push(candidateRef(byId.get(id)));
+      });
+
+      if (elected.length < seats) {
+        round.elected.forEach(({ candidateId }) => {
+          const total = counts.get(candidateId);
+          const surplus = total - quota;
+          if (surplus <= EPSILON) return;
+
+          electedTotals.set(candidateId, quota);
+          round.transfers.push({
+            ...transferFrom(candidateId, 'surplus', surplus / total),
+            surplus: round4(surplus)
+          });
+        });
+      }
+      continue;
+    }
+
+    // Nobody reached the quota: eliminate the weakest hopeful, breaking ties
+    // by earlier rounds and finally by the order candidates were listed
+    const lowest = Math.min(...counts.values());
+    let toEliminate = [...hopeful].filter(id => Math.abs(counts.get(id) - lowest) < EPSILON);
+    if (toEliminate.length > 1) {
+      round.tieBreak = { tiedCandidates: toEliminate.map(id => candidateRef(byId.get(id))) };
+      for (let i = rounds.length - 2; i >= 0 && toEliminate.length > 1; i--) {
+        const earlier = new Map(rounds[i].tallies.map(t => [t.candidateId, t.votes]));
+        const earlierLowest = Math.min(...toEliminate.map(id => earlier.get(id)));
+        toEliminate = toEliminate.filter(id => earlier.get(id) === earlierLowest);
+      }
+      round.tieBreak.resolvedBy = toEliminate.length === 1 ? 'previous rounds' : 'candidate order';
+    }
+
+    const eliminatedId = toEliminate[toEliminate.length - 1];
+    hopeful.delete(eliminatedId);
+    round.eliminated.push(candidateRef(byId.get(eliminatedId)));
+    round.transfers.push(transferFrom(eliminatedId, 'elimination'));
+  }
+
+  return {
+    seats,
+    quota: totalBallots > 0 ? quota : 0,
+    totalBallots,
+    elected,
+    exhausted: round4(exhausted),
+    rounds
+  };
+};
+
+// Pairwise comparison of ranked ballots. matrix[i][j] is the number of ballots
+// preferring candidate i over candidate j; ranked candidates beat unranked ones
+// and unranked candidates are left level with each other
+const pairwisePreferences = (ballots, candidates) => {
+  const candidateIds = new Set(candidates.map(c => c.id));
+  const matrix = candidates.map(() => candidates.map(() => 0));
+
+  ballots.forEach(ballot => {
+    const ranking = cleanRanking(ballot, candidateIds);
+    if (ranking.length === 0) return;
+
+    const position = new Map(ranking.map((id, index) => [id, index]));
+    candidates.forEach((a, i) => {
+      candidates.forEach((b, j) => {
+        if (i === j || !position.has(a.id)) return;
+        if (!position.has(b.id) || position.get(a.id) < position.get(b.id)) {
+          matrix[i][j] += 1;
+        }
+      });
+    });
+  });
+
+  return matrix;
+};
+
+// Condorcet analysis: the pairwise matrix, the Condorcet winner (beats every
+// other candidate head to head) if there is one, and a Schulze ranking that
+// resolves preference cycles through the strongest beatpaths
+const condorcet = (ballots, candidates) => {
+  const matrix = pairwisePreferences(ballots, candidates);
+  const size = candidates.length;
+
+  const winnerIndex = candidates.findIndex((_, i) =>
+    candidates.every((__, j) => i === j || matrix[i][j] > matrix[j][i])
+  );
+
+  // Strongest path strengths via a Floyd-Warshall style widest-path search
+  const paths = matrix.map((row, i) => row.map((votes, j) => (
+    i !== j && votes > matrix[j][i] ? votes : 0
+  )));
+  for (let k = 0; k < size; k++) {
+    for (let i = 0; i < size; i++) {
+      if (i === k) continue;
+      for (let j = 0; j < size; j++) {
+        if (j === i || j === k) continue;
+        paths[i][j] = Math.max(paths[i][j], Math.min(paths[i][k], paths[k][j]));
+      }
+    }
+  }
+
+  // Candidates beating more rivals on strongest paths rank higher; equal counts share a rank
+  const beats = candidates.map((_, i) => candidates.filter((__, j) => paths[i][j] > paths[j][i]).length);
+  const order = candidates
+    .map((candidate, i) => ({ ...candidateRef(candidate), wins: beats[i] }))
+    .sort((a, b) => b.wins - a.wins);
+  const ranking = order.map(entry => ({
+    rank: order.findIndex(other => other.wins === entry.wins) + 1,
+    candidateId: entry.candidateId,
+    candidateName: entry.candidateName
+  }));
+
+  return {
+    candidates: candidates.map(candidateRef),
+    matrix,
+    condorcetWinner: winnerIndex >= 0 ? candidateRef(candidates[winnerIndex]) : null,
+    schulze: {
+      strongestPaths: paths,
+      ranking,
+      winners: ranking.filter(entry => entry.rank === 1).map(({ candidateId, candidateName }) => ({ candidateId, candidateName }))
+    }
+  };
+};
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Score (range) voting. Score ballots are arrays of { candidateId, score };
+// a candidate missing from a ballot counts as minScore. With `runoff` the two
+// highest totals go to a STAR automatic runoff decided by how many ballots
+// scored one finalist above the other
+const scoreVoting = (ballots, candidates, { minScore = 0, runoff = false } = {}) => {
+  const scoreSheets = ballots.map(ballot => new Map(ballot.map(entry => [entry.candidateId, entry.score])));
+  const scoreOf = (sheet, id) => (sheet.has(id) ? sheet.get(id) : minScore);
+
+  const results = candidates
+    .map(candidate => {
+      const scores = scoreSheets.map(sheet => scoreOf(sheet, candidate.id));
+      const total = scores.reduce((sum, score) => sum + score, 0);
+      return {
+        ...candidateRef(candidate),
+        total,
+        mean: scores.length > 0 ? round4(total / scores.length) : 0,
+        median: median(scores)
+      };
+    })
+    .sort((a, b) => b.total - a.total);
+
+  const topTotal = results.length > 0 ? results[0].total : 0;
+  const leaders = results.filter(result => result.total === topTotal);
+
+  const tally = {
+    totalBallots: ballots.length,
+    results,
+    winner: ballots.length > 0 && leaders.length === 1 ? { candidateId: leaders[0].candidateId, candidateName: leaders[0].candidateName } : null,
+    tied: ballots.length > 0 && leaders.length > 1 ? leaders.map(({ candidateId, candidateName }) => ({ candidateId, candidateName })) : []
+  };
+
+  if (!runoff || results.length < 2 || ballots.length === 0) {
+    return tally;
+  }
+
+  const [first, second] = results;
+  let firstVotes = 0;
+  let secondVotes = 0;
+  scoreSheets.forEach(sheet => {
+    const difference = scoreOf(sheet, first.candidateId) - scoreOf(sheet, second.candidateId);
+    if (difference > 0) firstVotes += 1;
+    if (difference < 0) secondVotes += 1;
+  });
+
+  const star = {
+    finalists: [
+      { candidateId: first.candidateId, candidateName: first.candidateName, votes: firstVotes },
+      { candidateId: second.candidateId, candidateName: second.candidateName, votes: secondVotes }
+    ],
+    noPreference: ballots.length - firstVotes - secondVotes,
+    winner: null
+  };
+
+  // A tied runoff goes to the finalist with the higher total score
+  if (firstVotes !== secondVotes) {
+    const runoffWinner = firstVotes > secondVotes ? first : second;
+    star.winner = { candidateId: runoffWinner.candidateId, candidateName: runoffWinner.candidateName };
+  } else if (first.total !== second.total) {
+    star.winner = { candidateId: first.candidateId, candidateName: first.candidateName };
+    star.tieBreak = 'higher total score';
+  }
+
+  return {
+    ...tally,
+    winner: star.winner,
+    tied: star.winner ? [] : star.finalists.map(({ candidateId, candidateName }) => ({ candidateId, candidateName })),
+    runoff: star
+  };
+};
+
+// Point totals per candidate with each candidate's share of all points awarded
+const summarizePoints = (totals, candidates, totalBallots) => {
+  const totalPoints = candidates.reduce((sum, c) => sum + totals.get(c.id), 0);
+  const results = candidates
+    .map(candidate => ({
+      ...candidateRef(candidate),
+      points: totals.get(candidate.id),
+      share: totalPoints > 0 ? round4(totals.get(candidate.id) / totalPoints) : 0
+    }))
+    .sort((a, b) => b.points - a.points);
+
+  const leaders = totalPoints > 0 ? results.filter(result => result.points === results[0].points) : [];
+
+  return {
+    totalBallots,
+    totalPoints,
+    results,
+    winner: leaders.length === 1 ? { candidateId: leaders[0].candidateId, candidateName: leaders[0].candidateName } : null,
+    tied: leaders.length > 1 ? leaders.map(({ candidateId, candidateName }) => ({ candidateId, candidateName })) : []
+  };
+};
+
+// Borda count over ranked ballots: with n candidates a first preference earns
+// n - 1 points, a second n - 2 and so on; unranked candidates earn nothing
+const bordaCount = (ballots, candidates) => {
+  const candidateIds = new Set(candidates.map(c => c.id));
+  const totals = new Map(candidates.map(c => [c.id, 0]));
+  let totalBallots = 0;
+
+  ballots.forEach(ballot => {
+    const ranking = cleanRanking(ballot, candidateIds);
+    if (ranking.length === 0) return;
+    totalBallots += 1;
+    ranking.forEach((id, index) => {
+      totals.set(id, totals.get(id) + candidates.length - 1 - index);
+    });
+  });
+
+  return summarizePoints(totals, candidates, totalBallots);
+};
+
+// Cumulative voting: ballots are arrays of { candidateId, amount } spreading
+// each voter's point budget across candidates
+const cumulativeVoting = (ballots, candidates) => {
+  const totals = new Map(candidates.map(c => [c.id, 0]));
+
+  ballots.forEach(ballot => {
+    ballot.forEach(({ candidateId, amount }) => {
+      if (totals.has(candidateId)) {
+        totals.set(candidateId, totals.get(candidateId) + amount);
+      }
+    });
+  });
+
+  return summarizePoints(totals, candidates, ballots.length);
+};
+
+// Quadratic voting: ballots are arrays of { candidateId, amount } giving the votes
+// bought for each candidate, where n votes for one candidate cost n² credits
+const quadraticVoting = (ballots, candidates) => {
+  const votes = new Map(candidates.map(c => [c.id, 0]));
+  const credits = new Map(candidates.map(c => [c.id, 0]));
+
+  ballots.forEach(ballot => {
+    ballot.forEach(({ candidateId, amount }) => {
+      if (votes.has(candidateId)) {
+        votes.set(candidateId, votes.get(candidateId) + amount);
+        credits.set(candidateId, credits.get(candidateId) + amount * amount);
+      }
+    });
+  });
+
+  const results = candidates
+    .map(candidate => ({
+      ...candidateRef(candidate),
+      votes: votes.get(candidate.id),
+      creditsSpent: credits.get(candidate.id)
+    }))
+    .sort((a, b) => b.votes - a.votes);
+
+  return {
+    totalBallots: ballots.length,
+    totalVotes: results.reduce((sum, result) => sum + result.votes, 0),
+    totalCreditsSpent: results.reduce((sum, result) => sum + result.creditsSpent, 0),
+    results
+  };
+};
+
+// Approval voting over per-candidate counts ({ candidateName, voteCount }), where
+// each ballot may approve up to maxChoices candidates. Ballots and approvals are
+// different totals, so both are spelled out
+const approvalVoting = (counts, ballotsCast, maxChoices) => ({
+  maxChoices,
+  ballotsCast,
+  totalSelections: counts.reduce((sum, count) => sum + count.voteCount, 0),
+  results: counts.map(count => ({
+    candidateName: count.candidateName,
+    approvals: count.voteCount,
+    approvalRate: ballotsCast > 0 ? count.voteCount / ballotsCast : 0
+  }))
+});
+
+const percent = (part, whole) => (whole > 0 ? round4((part / whole) * 100) : 0);
+
+// Referendum outcome from Yes/No/Abstain counts. Abstentions count towards
+// the quorum but not towards majority thresholds. Every check carries the
+// arithmetic behind it so the outcome can be audited by hand
+const referendum = ({ yes, no, abstain }, eligibleVoters, { quorumPercent, passingThreshold, eligibleSharePercent }) => {
+  const participated = yes + no + abstain;
+  const decisive = yes + no;
+  const quorumRequired = Math.ceil((eligibleVoters * quorumPercent) / 100);
+  const quorumMet = participated >= quorumRequired && participated > 0;
+
+  const quorum = {
+    requiredPercent: quorumPercent,
+    required: quorumRequired,
+    participated,
+    met: quorumMet,
+    arithmetic: `${participated} of ${eligibleVoters} eligible voters participated (${percent(participated, eligibleVoters)}%); ` +
+      `quorum of ${quorumPercent}% requires ceil(${eligibleVoters} × ${quorumPercent}%) = ${quorumRequired}`
+  };
+
+  let required;
+  let arithmetic;
+  if (passingThreshold === 'two-thirds') {
+    required = Math.ceil((decisive * 2) / 3);
+    arithmetic = `Yes ${yes} of ${decisive} Yes/No votes (${percent(yes, decisive)}%); ` +
+      `two-thirds requires ceil(${decisive} × 2/3) = ${required}`;
+  } else if (passingThreshold === 'eligible-share') {
+    required = Math.ceil((eligibleVoters * eligibleSharePercent) / 100);
+    arithmetic = `Yes ${yes} of ${eligibleVoters} eligible voters (${percent(yes, eligibleVoters)}%); ` +
+      `${eligibleSharePercent}% of eligible voters requires ceil(${eligibleVoters} × ${eligibleSharePercent}%) = ${required}`;
+  } else {
+    required = Math.floor(decisive / 2) + 1;
+    arithmetic = `Yes ${yes} of ${decisive} Yes/No votes (${percent(yes, decisive)}%); ` +
+      `simple majority requires floor(${decisive} / 2) + 1 = ${required}`;
+  }
+
+  const thresholdMet = yes > 0 && yes >= required;
+
+  return {
+    outcome: !quorumMet ? 'NO_QUORUM' : (thresholdMet ? 'PASSED' : 'FAILED'),
+    counts: { yes, no, abstain },
+    eligibleVoters,
+    quorum,
+    threshold: {
+      rule: passingThreshold,
+      required,
+      achieved: yes,
+      met: thresholdMet,
+      arithmetic
+    }
+  };
+};
+
+module.exports = {
+  instantRunoff,
+  singleTransferableVote,
+  condorcet,
+  scoreVoting,
+  bordaCount,
+  cumulativeVoting,
+  quadraticVoting,
+  approvalVoting,
+  referendum
+};
@@ -0,0 +1,118 @@
+// Matching of write-in candidate names. Spellings that differ only in case,
+// spacing, accents or punctuation share a key and are always the same write-in;
+// anything looser is only ever suggested to a moderator
+
+// Tidy a name for display: trimmed, with runs of whitespace collapsed
+const cleanName = (name) => String(name).replace(/\s+/g, ' ').trim();
+
+// Comparison key: lower case, accents and punctuation removed, single spaces
+const normalizeName = (name) => cleanName(String(name)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, ' '));
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Every word of the shorter name appears in the longer one, where a single letter
+// stands for any word it abbreviates ("alice s" and "alice smith")
+const wordsContained = (shorter, longer) => {
+  const remaining = longer.split(' ');
+  return shorter.split(' ').every(word => {
+    const index = remaining.findIndex(other => other === word ||
+      (word.length === 1 && other.startsWith(word)) ||
+      (other.length === 1 && word.startsWith(other)));
+    if (index === -1) return false;
+    remaining.splice(index, 1);
+    return true;
+  });
+};
+
+// How alike two names are, from 0 (nothing in common) to 1 (same key)
+const nameSimilarity = (a, b) => {
+  const keyA = normalizeName(a);
+  const keyB = normalizeName(b);
+  if (!keyA || !keyB) return 0;
+  if (keyA === keyB) return 1;
+
+  const [shorter, longer] = keyA.length <= keyB.length ? [keyA, keyB] : [keyB, keyA];
+  const spelling = 1 - editDistance(keyA, keyB) / longer.length;
+  // A contained name is a strong hint but never as certain as a matching key
+  const containment = wordsContained(shorter, longer) ? 0.9 : 0;
+  return Math.max(spelling, containment);
+};
+
+const SUGGESTION_THRESHOLD = 0.8;
+
+// The option ({ name, ... }) most like name, if it is alike enough to suggest
+const findClosestName = (name, options, threshold = SUGGESTION_THRESHOLD) => {
+  let best = null;
+  options.forEach(option => {
+    const similarity = nameSimilarity(name, option.name);
+    if (similarity >= threshold && (!best || similarity > best.similarity)) {
+      best = { option, similarity };
+    }
+  });
+  return best;
+};
+
+// Combine per-spelling vote counts ([{ candidateName, isCustomCandidate, voteCount }])
+// into one row per name votes count for. resolutions maps write-in keys to that name,
+// or to null for rejected write-ins; unmoderated spellings sharing a key are counted
+// under the spelling most voters used
+const resolveWriteInTally = (rows, resolutions = new Map()) => {
+  const spellings = new Map();
+  rows.filter(row => row.isCustomCandidate).forEach(row => {
+    const key = normalizeName(row.candidateName);
+    const best = spellings.get(key);
+    if (!best || row.voteCount > best.voteCount) {
+      spellings.set(key, row);
+    }
+  });
+
+  const totals = new Map();
+  let rejectedWriteInCount = 0;
+  rows.forEach(row => {
+    let name = row.candidateName;
+    if (row.isCustomCandidate) {
+      const key = normalizeName(row.candidateName);
+      name = resolutions.has(key) ? resolutions.get(key) : spellings.get(key).candidateName;
+    }
+    if (name === null) {
+      rejectedWriteInCount += row.voteCount;
+      return;
+    }
+
+    const total = totals.get(name) || { candidateName: name, voteCount: 0, customCandidateCount: 0 };
+    total.voteCount += row.voteCount;
+    if (row.isCustomCandidate) total.customCandidateCount += row.voteCount;
+    totals.set(name, total);
+  });
+
+  const results = [...totals.values()]
+    .sort((a, b) => b.voteCount - a.voteCount || String(a.candidateName).localeCompare(String(b.candidateName)));
+  return { results, rejectedWriteInCount };
+};
+
+module.exports = {
+  SUGGESTION_THRESHOLD,
+  cleanName,
+  normalizeName,
+  nameSimilarity,
+  findClosestName,
+  resolveWriteInTally
+};